@@ -0,0 +1,107 @@
+// Precomputes the smoothed routes and the animated trips for a routes GeoJSON, so the app doesn't
+// re-smooth the whole file in the browser on every page load (see src/utils/precomputedRoutes.ts).
+//
+//   npm run build:routes -- [routes.geojson] [--force]
+//
+// Smoothing uses the built-in preset under the file's own top-level `smoothing` member, and each
+// route's `properties.smoothing`, as the app does. Writes, next to the input:
+//   <name>.smoothed.<hash>.geojson  smoothGeoJSON output
+//   trips.<hash>.json               toTripsData of it
+//   <name>.manifest.json            what was built, and from what
+// The hashes are of each file's content. The build is skipped (unless --force is given) while the
+// routes file, the options and the smoothing code are unchanged.
+
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { toTripsData } from "../src/utils/prepareTrips";
+import { manifestPathFor, PRECOMPUTED_FORMAT, PRECOMPUTED_TRIP_POINTS, type RoutesManifest } from "../src/utils/precomputedRoutes";
+import { smoothGeoJSON } from "../src/utils/smoothRoute";
+import { DEFAULT_SMOOTHING, datasetSmoothing } from "../src/utils/smoothingPresets";
+
+const DEFAULT_INPUT = "public/assets/routes/routes.geojson";
+
+// edits to these rebuild the artifacts even when the routes file is unchanged
+const PIPELINE_SOURCES = ["smoothRoute.ts", "smoothingPresets.ts", "prepareTrips.ts"].map((f) => path.resolve(__dirname, "../src/utils", f));
+
+const sha256 = (data: string | Buffer) => createHash("sha256").update(data).digest("hex");
+
+function readManifest(file: string): RoutesManifest | null {
+  try {
+    return JSON.parse(readFileSync(file, "utf8")) as RoutesManifest;
+  } catch {
+    return null;
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes("--force");
+  const input = path.resolve(args.find((a) => !a.startsWith("--")) ?? DEFAULT_INPUT);
+  const manifestFile = manifestPathFor(input);
+  if (!manifestFile) throw new Error(`Expected a .geojson or .json file, got ${input}`);
+  const dir = path.dirname(input);
+
+  const source = readFileSync(input);
+  const raw = JSON.parse(source.toString("utf8"));
+  const options = { ...DEFAULT_SMOOTHING, ...datasetSmoothing(raw) };
+  const sourceHash = sha256(source);
+  const codeHash = sha256(PIPELINE_SOURCES.map((f) => readFileSync(f, "utf8")).join("\n"));
+  const inputHash = sha256(JSON.stringify({ format: PRECOMPUTED_FORMAT, sourceHash, codeHash, options, tripsMaxPoints: PRECOMPUTED_TRIP_POINTS }));
+
+  const previous = readManifest(manifestFile);
+  const built = (name?: string) => !!name && existsSync(path.join(dir, name));
+  if (!force && previous?.inputHash === inputHash && built(previous.smoothed) && built(previous.trips)) {
+    console.log(`${path.relative(process.cwd(), input)}: artifacts are up to date (${previous.smoothed}, ${previous.trips})`);
+    return;
+  }
+
+  const started = Date.now();
+  // measured whatever the limit, so the quality panel has numbers for the precomputed routes too
+  const smoothed = smoothGeoJSON(raw, { ...options, measure: true });
+  const trips = toTripsData(smoothed as Parameters<typeof toTripsData>[0], PRECOMPUTED_TRIP_POINTS);
+  const smoothedText = JSON.stringify(smoothed);
+  const tripsText = JSON.stringify(trips);
+
+  const name = path.basename(input).replace(/\.(geo)?json$/i, "");
+  const manifest: RoutesManifest = {
+    format: PRECOMPUTED_FORMAT,
+    source: path.basename(input),
+    sourceHash,
+    inputHash,
+    options,
+    tripsMaxPoints: PRECOMPUTED_TRIP_POINTS,
+    smoothed: `${name}.smoothed.${sha256(smoothedText).slice(0, 10)}.geojson`,
+    trips: `trips.${sha256(tripsText).slice(0, 10)}.json`,
+    builtAt: new Date().toISOString(),
+  };
+  writeFileSync(path.join(dir, manifest.smoothed), smoothedText);
+  writeFileSync(path.join(dir, manifest.trips), tripsText);
+  writeFileSync(manifestFile, JSON.stringify(manifest, null, 2) + "\n");
+
+  // the previous build's files are no longer referenced
+  for (const old of [previous?.smoothed, previous?.trips]) {
+    if (old && old !== manifest.smoothed && old !== manifest.trips && !old.includes("/")) rmSync(path.join(dir, old), { force: true });
+  }
+
+  console.log(
+    `${path.relative(process.cwd(), input)}: ${smoothed.features.length} routes smoothed in ${((Date.now() - started) / 1000).toFixed(1)} s` +
+      ` -> ${manifest.smoothed}, ${manifest.trips}`
+  );
+  if (options.maxDeviationMeters > 0) reportFallbacks(smoothed.features, options.maxDeviationMeters);
+}
+
+/** Which SMOOTH_FALLBACKS step the routes needed; warns when the limit left every route unsmoothed. */
+function reportFallbacks(features: { properties: Record<string, unknown> | null }[], limit: number) {
+  const counts = new Map<string, number>();
+  for (const f of features) {
+    const step = String(f.properties?.smooth_fallback ?? "none");
+    counts.set(step, (counts.get(step) ?? 0) + 1);
+  }
+  console.log(`  max deviation ${limit} m, fallbacks: ${[...counts].map(([step, n]) => `${step} ${n}`).join(", ")}`);
+  if (features.length && counts.get("original") === features.length) {
+    console.warn(`  every route kept its original line: no smoothing step stays within ${limit} m`);
+  }
+}
+
+main();
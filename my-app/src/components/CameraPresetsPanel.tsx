@@ -0,0 +1,155 @@
+"use client";
+
+import type { CameraPreset } from "@/utils/cameraPresets";
+import { useState } from "react";
+
+type Props = {
+  presets: CameraPreset[];
+  /** id of the preset last flown to */
+  activeId?: string | null;
+  onSelect: (preset: CameraPreset) => void;
+  /** save the current camera under a name */
+  onSaveCurrent: (name: string) => void;
+  onDelete: (id: string) => void;
+  /** load a presets JSON (same shape as camera-presets.json) */
+  onImport: (file: File) => void;
+  onExport: () => void;
+  tourRunning: boolean;
+  tourStops: number;
+  onTourStart: () => void;
+  onTourStop: () => void;
+  error?: string | null;
+  style?: React.CSSProperties;
+};
+
+const smallBtn: React.CSSProperties = {
+  background: "#333",
+  color: "white",
+  border: "1px solid #555",
+  borderRadius: 4,
+  padding: "2px 8px",
+  cursor: "pointer",
+  fontSize: 12,
+};
+
+/** Named camera views (config + saved) with a guided tour through them. */
+export default function CameraPresetsPanel({
+  presets,
+  activeId,
+  onSelect,
+  onSaveCurrent,
+  onDelete,
+  onImport,
+  onExport,
+  tourRunning,
+  tourStops,
+  onTourStart,
+  onTourStop,
+  error,
+  style,
+}: Props) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const active = presets.find((p) => p.id === activeId);
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSaveCurrent(name.trim());
+    setName("");
+  };
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 260,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <button
+          onClick={() => setOpen((o) => !o)}
+          aria-expanded={open}
+          style={{ flex: 1, textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+        >
+          {open ? "▾" : "▸"} Views
+          {active && <span style={{ fontWeight: 400, opacity: 0.75 }}> · {active.name}</span>}
+        </button>
+        <button
+          onClick={tourRunning ? onTourStop : onTourStart}
+          disabled={!tourRunning && !tourStops}
+          style={{ ...smallBtn, background: tourRunning ? "#3b82f6" : "#333" }}
+        >
+          {tourRunning ? "■ Stop tour" : "▶ Tour"}
+        </button>
+      </div>
+
+      {open && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ display: "grid", gap: 4, maxHeight: "40vh", overflowY: "auto" }}>
+            {presets.map((p) => (
+              <div key={p.id} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <button
+                  onClick={() => onSelect(p)}
+                  style={{
+                    ...smallBtn,
+                    flex: 1,
+                    textAlign: "left",
+                    fontSize: 13,
+                    padding: "4px 8px",
+                    background: p.id === activeId ? "#3b82f6" : "#333",
+                  }}
+                >
+                  {p.name}
+                </button>
+                {p.saved && (
+                  <button onClick={() => onDelete(p.id)} title="Delete saved view" style={{ ...smallBtn, background: "none", border: "none", color: "#aaa" }}>
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: "flex", gap: 6, marginTop: 8, borderTop: "1px solid #333", paddingTop: 8 }}>
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && save()}
+              placeholder="Name for current view"
+              style={{ flex: 1, minWidth: 0, background: "#222", color: "white", border: "1px solid #555", borderRadius: 4, padding: "2px 6px" }}
+            />
+            <button onClick={save} disabled={!name.trim()} style={smallBtn}>
+              Save
+            </button>
+          </div>
+
+          <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+            <label style={{ ...smallBtn, display: "inline-block" }}>
+              Import JSON
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  e.target.value = "";
+                  if (f) onImport(f);
+                }}
+                style={{ display: "none" }}
+              />
+            </label>
+            <button onClick={onExport} style={smallBtn}>
+              Export JSON
+            </button>
+          </div>
+          {error && <div style={{ color: "#ff8a80", marginTop: 6 }}>⚠️ {error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
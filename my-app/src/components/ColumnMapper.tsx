@@ -0,0 +1,119 @@
+"use client";
+
+import {
+  CSV_FIELD_KEYS,
+  CSV_FIELDS,
+  CSV_MODE_LABELS,
+  REQUIRED_FIELDS,
+  type ColumnMapping,
+  type CsvMode,
+  type RowIssue,
+} from "@/utils/csvIngest";
+import { useState } from "react";
+
+type Props = {
+  headers: string[];
+  mapping: ColumnMapping;
+  onChange: (next: ColumnMapping) => void;
+  mode: CsvMode;
+  onModeChange: (mode: CsvMode) => void;
+  /** detected delimiter, shown for reference */
+  delimiter: string;
+  rowCount: number;
+  issues: RowIssue[];
+};
+
+const DELIMITER_LABELS: Record<string, string> = { ";": "semicolon", ",": "comma", "\t": "tab", "|": "pipe" };
+
+const cell: React.CSSProperties = { padding: "4px 8px", borderBottom: "1px solid #333", verticalAlign: "top" };
+const selectStyle: React.CSSProperties = { background: "#222", color: "#fff", border: "1px solid #555", borderRadius: 6, padding: "4px 6px", width: "100%" };
+
+/** Map CSV headers to the generator's fields and list row validation issues. */
+export default function ColumnMapper({ headers, mapping, onChange, mode, onModeChange, delimiter, rowCount, issues }: Props) {
+  const required = REQUIRED_FIELDS[mode];
+  const [showWarnings, setShowWarnings] = useState(false);
+  const errors = issues.filter((i) => i.severity === "error");
+  const warnings = issues.filter((i) => i.severity === "warning");
+  const badRows = new Set(errors.map((i) => i.row)).size;
+  const listed = showWarnings ? issues : errors;
+
+  return (
+    <div style={{ marginTop: 16, padding: 12, border: "1px solid #333", borderRadius: 8, background: "#111", fontSize: 14 }}>
+      <div style={{ fontWeight: 600, marginBottom: 8 }}>
+        Column mapping{" "}
+        <span style={{ fontWeight: 400, opacity: 0.75, fontSize: 13 }}>
+          · {rowCount} row{rowCount === 1 ? "" : "s"} · {DELIMITER_LABELS[delimiter] ?? JSON.stringify(delimiter)}-separated
+        </span>
+      </div>
+
+      <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13, marginBottom: 10 }}>
+        Routes from:
+        <select value={mode} onChange={(e) => onModeChange(e.target.value as CsvMode)} style={{ ...selectStyle, width: "auto" }}>
+          {(Object.keys(CSV_MODE_LABELS) as CsvMode[]).map((m) => (
+            <option key={m} value={m}>{CSV_MODE_LABELS[m]}</option>
+          ))}
+        </select>
+      </label>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: 8 }}>
+        {CSV_FIELD_KEYS.map((field) => {
+          const missing = required.includes(field) && !mapping[field];
+          return (
+            <label key={field} style={{ display: "grid", gap: 4, fontSize: 13 }}>
+              <span style={{ color: missing ? "#ff8a80" : undefined }}>
+                {CSV_FIELDS[field].label}
+                {required.includes(field) ? " *" : ""}
+              </span>
+              <select
+                value={mapping[field]}
+                onChange={(e) => onChange({ ...mapping, [field]: e.target.value })}
+                style={{ ...selectStyle, borderColor: missing ? "#ff8a80" : "#555" }}
+              >
+                <option value="">— not in file —</option>
+                {headers.map((h) => (
+                  <option key={h} value={h}>{h}</option>
+                ))}
+              </select>
+            </label>
+          );
+        })}
+      </div>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", marginTop: 12 }}>
+        <span style={{ color: errors.length ? "#ff8a80" : "#0f4" }}>
+          {errors.length ? <>{badRows} row{badRows === 1 ? "" : "s"} with errors (skipped)</> : "No blocking errors"}
+        </span>
+        {warnings.length > 0 && <span style={{ color: "#ffd166" }}>{warnings.length} warning{warnings.length === 1 ? "" : "s"}</span>}
+        <span style={{ flex: 1 }} />
+        {warnings.length > 0 && (
+          <label style={{ fontSize: 13 }}>
+            <input type="checkbox" checked={showWarnings} onChange={(e) => setShowWarnings(e.target.checked)} /> show warnings
+          </label>
+        )}
+      </div>
+
+      {listed.length > 0 && (
+        <div style={{ maxHeight: 240, overflowY: "auto", marginTop: 8 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ textAlign: "left", opacity: 0.8 }}>
+                <th style={cell}>Row</th>
+                <th style={cell}>Field</th>
+                <th style={cell}>Issue</th>
+              </tr>
+            </thead>
+            <tbody>
+              {listed.map((issue, i) => (
+                <tr key={i}>
+                  <td style={cell}>{issue.row}</td>
+                  <td style={cell}>{issue.field ? CSV_FIELDS[issue.field].label : ""}</td>
+                  <td style={{ ...cell, color: issue.severity === "error" ? "#ff8a80" : "#ffd166" }}>{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
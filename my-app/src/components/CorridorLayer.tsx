@@ -0,0 +1,82 @@
+"use client";
+
+import type { CorridorCollection } from "@/utils/corridors";
+import type { DataDrivenPropertyValueSpecification, GeoJSONSource, Map as MLMap } from "maplibre-gl";
+import { useEffect } from "react";
+
+type Props = {
+  map: MLMap | null | undefined;
+  /** output of buildCorridors; null removes the layer */
+  data: CorridorCollection | null;
+  sourceId?: string;
+  layerId?: string;
+};
+
+// quiet → busy, in the map's palette
+const COLOR_BY_SHARE = [
+  "interpolate", ["linear"], ["get", "share"],
+  0, "#2323ff",
+  0.35, "#3D64F6",
+  0.7, "#BA29BC",
+  1, "#ffffff",
+] as DataDrivenPropertyValueSpecification<string>;
+
+/** Streets drawn wider and brighter the more routes traverse them. */
+export default function CorridorLayer({ map, data, sourceId = "route-corridors", layerId = "route-corridors-line" }: Props) {
+  const glowId = `${layerId}-glow`;
+  const visible = data != null;
+
+  useEffect(() => {
+    if (!map || !data) return;
+
+    const src = map.getSource(sourceId) as GeoJSONSource | undefined;
+    if (src) src.setData(data);
+    else map.addSource(sourceId, { type: "geojson", data });
+
+    const width = (k: number) => [
+      "interpolate", ["linear"], ["zoom"],
+      10, ["*", k, ["interpolate", ["linear"], ["get", "share"], 0, 0.8, 1, 5]],
+      15, ["*", k, ["interpolate", ["linear"], ["get", "share"], 0, 2, 1, 14]],
+    ] as DataDrivenPropertyValueSpecification<number>;
+
+    if (!map.getLayer(glowId)) {
+      map.addLayer({
+        id: glowId,
+        type: "line",
+        source: sourceId,
+        layout: { "line-cap": "round", "line-join": "round" },
+        paint: {
+          "line-color": COLOR_BY_SHARE,
+          "line-width": width(2.5),
+          "line-opacity": 0.25,
+          "line-blur": 4,
+        },
+      });
+    }
+    if (!map.getLayer(layerId)) {
+      map.addLayer({
+        id: layerId,
+        type: "line",
+        source: sourceId,
+        layout: { "line-cap": "round", "line-join": "round" },
+        paint: {
+          "line-color": COLOR_BY_SHARE,
+          "line-width": width(1),
+          "line-opacity": ["interpolate", ["linear"], ["get", "share"], 0, 0.55, 1, 0.95],
+        },
+      });
+    }
+  }, [map, data, sourceId, layerId, glowId]);
+
+  // remove everything when hidden or unmounted
+  useEffect(() => {
+    if (!map || !visible) return;
+    return () => {
+      if (!map.style) return;
+      [layerId, glowId].forEach((id) => map.getLayer(id) && map.removeLayer(id));
+      if (map.getSource(sourceId)) map.removeSource(sourceId);
+    };
+  }, [map, visible, sourceId, layerId, glowId]);
+
+  return null;
+}
@@ -0,0 +1,41 @@
+"use client";
+
+import { DEFAULT_EMISSION_FACTORS, type EmissionFactors } from "@/utils/emissions";
+import { PROFILES } from "@/utils/providers/types";
+
+type Props = {
+  factors: EmissionFactors;
+  onChange: (next: EmissionFactors) => void;
+};
+
+const inputStyle: React.CSSProperties = { background: "#222", color: "white", border: "1px solid #555", borderRadius: 4, width: 64 };
+
+/** g CO2 per km for each routing profile. */
+export default function EmissionFactorsEditor({ factors, onChange }: Props) {
+  return (
+    <div style={{ display: "grid", gap: 4 }}>
+      {PROFILES.map((p) => (
+        <label key={p} style={{ display: "flex", gap: 8, alignItems: "center", justifyContent: "space-between" }}>
+          {p}
+          <span>
+            <input
+              type="number"
+              min={0}
+              step={5}
+              value={factors[p]}
+              onChange={(e) => onChange({ ...factors, [p]: Math.max(0, Number(e.target.value) || 0) })}
+              style={inputStyle}
+            />{" "}
+            g/km
+          </span>
+        </label>
+      ))}
+      <button
+        onClick={() => onChange(DEFAULT_EMISSION_FACTORS)}
+        style={{ justifySelf: "start", background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "2px 8px", cursor: "pointer" }}
+      >
+        Reset to defaults
+      </button>
+    </div>
+  );
+}
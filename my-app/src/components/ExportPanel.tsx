@@ -0,0 +1,120 @@
+"use client";
+
+import { EXPORT_FPS, EXPORT_SIZES, type ExportFormat, type ExportSettings } from "@/utils/tripsExport";
+import { useState } from "react";
+
+type Props = {
+  onExport: (settings: ExportSettings) => void;
+  onCancel: () => void;
+  /** set while an export is running */
+  progress: { done: number; total: number } | null;
+  error?: string | null;
+  webmSupported: boolean;
+  style?: React.CSSProperties;
+};
+
+const selectStyle: React.CSSProperties = { background: "#222", color: "white", border: "1px solid #555", borderRadius: 4 };
+const buttonStyle: React.CSSProperties = { background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "4px 10px", cursor: "pointer" };
+
+/** Settings and progress for exporting the trips animation as a looping clip. */
+export default function ExportPanel({ onExport, onCancel, progress, error, webmSupported, style }: Props) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState<ExportFormat>(webmSupported ? "webm" : "png-zip");
+  const [sizeIndex, setSizeIndex] = useState(0);
+  const [fps, setFps] = useState(30);
+  const [seconds, setSeconds] = useState(10);
+
+  const { width, height } = EXPORT_SIZES[sizeIndex];
+  const row: React.CSSProperties = { display: "flex", gap: 8, alignItems: "center", justifyContent: "space-between" };
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 260,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        style={{ width: "100%", textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+      >
+        {open ? "▾" : "▸"} Export clip
+        {progress && <span style={{ fontWeight: 400, opacity: 0.75 }}> · {Math.round((progress.done / progress.total) * 100)}%</span>}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8, display: "grid", gap: 6 }}>
+          <label style={row}>
+            Format
+            <select value={format} onChange={(e) => setFormat(e.target.value as ExportFormat)} disabled={!!progress} style={selectStyle}>
+              <option value="webm" disabled={!webmSupported}>
+                WebM video
+              </option>
+              <option value="png-zip">PNG sequence (zip)</option>
+            </select>
+          </label>
+          <label style={row}>
+            Size
+            <select value={sizeIndex} onChange={(e) => setSizeIndex(Number(e.target.value))} disabled={!!progress} style={selectStyle}>
+              {EXPORT_SIZES.map((s, i) => (
+                <option key={s.label} value={i}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={row}>
+            Frame rate
+            <select value={fps} onChange={(e) => setFps(Number(e.target.value))} disabled={!!progress} style={selectStyle}>
+              {EXPORT_FPS.map((v) => (
+                <option key={v} value={v}>
+                  {v} fps
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={row}>
+            Length
+            <span>
+              <input
+                type="number"
+                min={1}
+                max={120}
+                value={seconds}
+                onChange={(e) => setSeconds(Math.min(120, Math.max(1, Number(e.target.value) || 1)))}
+                disabled={!!progress}
+                style={{ ...selectStyle, width: 56 }}
+              />{" "}
+              s
+            </span>
+          </label>
+          <div style={{ opacity: 0.7, fontSize: 12 }}>
+            One full loop of the animation, {Math.round(seconds * fps)} frames. The current camera is cropped to {width}×{height}; keep the map still while
+            exporting.
+          </div>
+
+          {progress ? (
+            <div style={row}>
+              <progress value={progress.done} max={progress.total} style={{ flex: 1 }} />
+              <button onClick={onCancel} style={buttonStyle}>
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button onClick={() => onExport({ format, width, height, fps, seconds })} style={buttonStyle}>
+              Export
+            </button>
+          )}
+          {error && <div style={{ color: "#ff8080" }}>{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+"use client";
+
+import { FACET_KEYS, isFilterEmpty, type FacetKey, type Facets, type RouteFilters } from "@/utils/routeFilters";
+import { useState } from "react";
+
+type Props = {
+  facets: Facets;
+  filters: RouteFilters;
+  onChange: (next: RouteFilters) => void;
+  /** number of routes matching the current filters / total loaded */
+  matched?: number;
+  total?: number;
+  style?: React.CSSProperties;
+};
+
+const FACET_LABELS: Record<FacetKey, string> = {
+  month: "Month",
+  team: "Team",
+  class: "Class",
+  activity: "Activity",
+  profile: "Profile",
+};
+
+/**
+ * Multi-select facet panel for route properties.
+ * Values inside one facet are OR-ed, facets are AND-ed (see `matchesFilters`).
+ */
+export default function FilterPanel({ facets, filters, onChange, matched, total, style }: Props) {
+  const [open, setOpen] = useState(false);
+  const [expanded, setExpanded] = useState<FacetKey | null>("month");
+
+  const toggleValue = (key: FacetKey, value: string) => {
+    const current = filters[key] || [];
+    const next = current.includes(value) ? current.filter((v) => v !== value) : [...current, value];
+    onChange({ ...filters, [key]: next });
+  };
+
+  const clearFacet = (key: FacetKey) => onChange({ ...filters, [key]: [] });
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 260,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <button
+          onClick={() => setOpen((o) => !o)}
+          aria-expanded={open}
+          style={{ flex: 1, textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+        >
+          {open ? "▾" : "▸"} Filters
+          {total != null && (
+            <span style={{ fontWeight: 400, opacity: 0.75 }}> · {matched ?? total} / {total} routes</span>
+          )}
+        </button>
+        {!isFilterEmpty(filters) && (
+          <button
+            onClick={() => onChange({})}
+            style={{ background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "2px 8px", cursor: "pointer", fontSize: 12 }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div style={{ marginTop: 8, maxHeight: "50vh", overflowY: "auto" }}>
+          {FACET_KEYS.filter((key) => facets[key]?.length).map((key) => {
+            const selected = filters[key] || [];
+            const isExpanded = expanded === key;
+            return (
+              <div key={key} style={{ borderTop: "1px solid #333", padding: "6px 0" }}>
+                <div style={{ display: "flex", alignItems: "center" }}>
+                  <button
+                    onClick={() => setExpanded(isExpanded ? null : key)}
+                    style={{ flex: 1, textAlign: "left", background: "none", border: "none", color: "white", cursor: "pointer", padding: 0 }}
+                  >
+                    {isExpanded ? "▾" : "▸"} {FACET_LABELS[key]}
+                    {selected.length > 0 && <span style={{ color: "#60a5fa" }}> ({selected.length})</span>}
+                  </button>
+                  {selected.length > 0 && (
+                    <button
+                      onClick={() => clearFacet(key)}
+                      style={{ background: "none", border: "none", color: "#aaa", cursor: "pointer", fontSize: 12 }}
+                    >
+                      all
+                    </button>
+                  )}
+                </div>
+                {isExpanded && (
+                  <div style={{ marginTop: 4, display: "grid", gap: 2 }}>
+                    {facets[key].map((value) => (
+                      <label key={value} style={{ display: "flex", gap: 6, alignItems: "flex-start", cursor: "pointer" }}>
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(value)}
+                          onChange={() => toggleValue(key, value)}
+                          style={{ marginTop: 2 }}
+                        />
+                        <span style={{ overflow: "hidden", textOverflow: "ellipsis" }} title={value}>{value}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+"use client";
+
+import { hasCoords, needsReview, type GeocodeEntry } from "@/utils/geocodeCache";
+import { useMemo, useState } from "react";
+import PinPickerMap from "./PinPickerMap";
+
+type Props = {
+  entries: GeocodeEntry[];
+  /** MapLibre style used by the pin picker */
+  styleUrl: string;
+  /** re-geocode using a corrected address */
+  onCorrect: (entry: GeocodeEntry, correctedQuery: string) => void | Promise<void>;
+  /** pin exact coordinates picked on the map */
+  onPin: (entry: GeocodeEntry, lon: number, lat: number) => void | Promise<void>;
+  /** keep a low-confidence result as is */
+  onAccept: (entry: GeocodeEntry) => void | Promise<void>;
+  busyKey?: string | null;
+};
+
+const cell: React.CSSProperties = { padding: "6px 8px", borderBottom: "1px solid #333", verticalAlign: "top" };
+const btn: React.CSSProperties = { padding: "4px 8px", borderRadius: 6, border: "1px solid #555", background: "#222", color: "#fff", cursor: "pointer", fontSize: 12 };
+
+/**
+ * Review table for unresolved / low-confidence addresses in the geocode cache.
+ * Fixes are written back to the cache, so every later generation run reuses them.
+ */
+export default function GeocodeReview({ entries, styleUrl, onCorrect, onPin, onAccept, busyKey }: Props) {
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [pinningKey, setPinningKey] = useState<string | null>(null);
+
+  const rows = useMemo(
+    () => entries.filter(needsReview).sort((a, b) => (a.status === b.status ? a.query.localeCompare(b.query) : a.status === "failed" ? -1 : 1)),
+    [entries]
+  );
+
+  if (!rows.length) {
+    return <div style={{ fontSize: 13, opacity: 0.8 }}>No addresses need review.</div>;
+  }
+
+  const pinning = rows.find((r) => r.key === pinningKey) || null;
+
+  return (
+    <div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr style={{ textAlign: "left", opacity: 0.8 }}>
+            <th style={cell}>Address</th>
+            <th style={cell}>Status</th>
+            <th style={cell}>Fix</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((e) => {
+            const draft = drafts[e.key] ?? e.correctedQuery ?? e.query;
+            const busy = busyKey === e.key;
+            return (
+              <tr key={e.key}>
+                <td style={cell}>
+                  <div>{e.query}</div>
+                  {e.name && e.name !== e.query && <div style={{ opacity: 0.65 }}>→ {e.name}</div>}
+                </td>
+                <td style={{ ...cell, whiteSpace: "nowrap" }}>
+                  <span style={{ color: e.status === "failed" ? "#ff8a80" : "#ffd166" }}>
+                    {e.status === "failed" ? "unresolved" : "low confidence"}
+                  </span>
+                  {e.error && <div style={{ opacity: 0.65, whiteSpace: "normal" }}>{e.error}</div>}
+                </td>
+                <td style={cell}>
+                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                    <input
+                      value={draft}
+                      onChange={(ev) => setDrafts((d) => ({ ...d, [e.key]: ev.target.value }))}
+                      style={{ flex: "1 1 220px", padding: 4, borderRadius: 4, border: "1px solid #555", background: "#111", color: "#fff" }}
+                    />
+                    <button style={btn} disabled={busy || !draft.trim()} onClick={() => onCorrect(e, draft.trim())}>
+                      {busy ? "…" : "Geocode"}
+                    </button>
+                    <button style={btn} onClick={() => setPinningKey(pinningKey === e.key ? null : e.key)}>
+                      {pinningKey === e.key ? "Close map" : "Pin on map"}
+                    </button>
+                    {e.status === "low" && hasCoords(e) && (
+                      <button style={btn} onClick={() => onAccept(e)}>Accept</button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {pinning && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 13, marginBottom: 6 }}>
+            Click the map to pin <b>{pinning.query}</b>
+          </div>
+          <PinPickerMap
+            styleUrl={styleUrl}
+            value={hasCoords(pinning) ? { lon: pinning.lon, lat: pinning.lat } : null}
+            onPick={(lon, lat) => onPin(pinning, lon, lat)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
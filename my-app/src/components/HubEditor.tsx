@@ -0,0 +1,100 @@
+"use client";
+
+import { hubHasCoords, type Hub } from "@/utils/hubs";
+import { useState } from "react";
+import PinPickerMap from "./PinPickerMap";
+
+type Props = {
+  hubs: Hub[];
+  onChange: (next: Hub[]) => void;
+  /** MapLibre style used by the pin picker */
+  styleUrl: string;
+};
+
+const input: React.CSSProperties = { background: "#222", color: "#fff", border: "1px solid #555", borderRadius: 6, padding: "4px 6px" };
+const btn: React.CSSProperties = { padding: "4px 8px", borderRadius: 6, border: "1px solid #555", background: "#222", color: "#fff", cursor: "pointer", fontSize: 12 };
+const cell: React.CSSProperties = { padding: "4px 8px", borderBottom: "1px solid #333", verticalAlign: "top" };
+
+/**
+ * Origin hubs for hub-and-spoke generation. A hub is an address (geocoded like any other,
+ * through the cache) or a point clicked on the map.
+ */
+export default function HubEditor({ hubs, onChange, styleUrl }: Props) {
+  const [name, setName] = useState("");
+  const [address, setAddress] = useState("");
+  const [pin, setPin] = useState<{ lon: number; lat: number } | null>(null);
+  const [picking, setPicking] = useState(false);
+
+  const hubName = name.trim() || `Hub ${hubs.length + 1}`;
+  const taken = hubs.some((h) => h.name.toLowerCase() === hubName.toLowerCase());
+  const canAdd = !taken && (!!address.trim() || !!pin);
+
+  const add = () => {
+    if (!canAdd) return;
+    onChange([...hubs, { name: hubName, ...(address.trim() ? { address: address.trim() } : {}), ...(pin ?? {}) }]);
+    setName("");
+    setAddress("");
+    setPin(null);
+    setPicking(false);
+  };
+
+  return (
+    <div style={{ marginTop: 16, padding: 12, border: "1px solid #333", borderRadius: 8, background: "#111", fontSize: 14 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4 }}>Origin hubs</div>
+      <div style={{ fontSize: 13, opacity: 0.75, marginBottom: 8 }}>
+        Rows without a <code>from</code> start at the hub named in their <code>hub</code> column, or else at the nearest hub. A <code>hub</code> that names no hub below is a row error.
+      </div>
+
+      {hubs.length > 0 ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, marginBottom: 8 }}>
+          <tbody>
+            {hubs.map((h, i) => (
+              <tr key={h.name}>
+                <td style={{ ...cell, fontWeight: 600 }}>{h.name}</td>
+                <td style={cell}>
+                  {h.address || ""}
+                  {hubHasCoords(h) && (
+                    <div style={{ opacity: 0.65 }}>
+                      📍 {h.lat.toFixed(5)}, {h.lon.toFixed(5)}
+                    </div>
+                  )}
+                </td>
+                <td style={{ ...cell, textAlign: "right" }}>
+                  <button onClick={() => onChange(hubs.filter((_, j) => j !== i))} style={btn}>
+                    remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div style={{ color: "#ffd166", fontSize: 13, marginBottom: 8 }}>No hubs yet: add at least one before generating.</div>
+      )}
+
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={`Hub ${hubs.length + 1}`} style={{ ...input, width: 120 }} />
+        <input
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && add()}
+          placeholder="Address (or pick on map)"
+          style={{ ...input, flex: 1, minWidth: 220 }}
+        />
+        <button onClick={() => setPicking((v) => !v)} style={{ ...btn, background: picking ? "#333" : "#222" }}>
+          {pin ? `📍 ${pin.lat.toFixed(4)}, ${pin.lon.toFixed(4)}` : "Pick on map"}
+        </button>
+        <button onClick={add} disabled={!canAdd} style={btn}>
+          Add hub
+        </button>
+      </div>
+      {taken && <div style={{ color: "#ff8a80", fontSize: 12, marginTop: 4 }}>A hub named “{hubName}” already exists.</div>}
+
+      {picking && (
+        <div style={{ marginTop: 8 }}>
+          <PinPickerMap styleUrl={styleUrl} value={pin} onPick={(lon, lat) => setPin({ lon, lat })} height={280} />
+        </div>
+      )}
+    </div>
+  );
+}
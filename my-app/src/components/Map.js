@@ -1,16 +1,53 @@
 'use client';
 
 import maplibregl from 'maplibre-gl';
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useCameraTour } from '../hooks/useCameraTour';
+import {
+    BUILTIN_PRESETS,
+    loadSavedPresets,
+    mergePresets,
+    parsePresetConfig,
+    presetConfigToJSON,
+    resolveTour,
+    saveSavedPresets,
+    slugify,
+} from '../utils/cameraPresets';
+import { ENV_PROVIDER_SETTINGS, MISSING_BASEMAP_KEY } from '../utils/providers';
+import { COLOR_BY_KEYS, categoryColor, categoryColors, categoryLegendEntries, hexToRgb } from '../utils/colorBy';
+import { buildCorridors } from '../utils/corridors';
+import { DEFAULT_EMISSION_FACTORS, emissionsFor, formatCO2, loadEmissionFactors, saveEmissionFactors } from '../utils/emissions';
+import { featureBounds } from '../utils/geo';
+import { exportPosterPNG, exportPosterSVG } from '../utils/posterExport';
+import { computeRegionClusters } from '../utils/regionClusters';
+import { computeRouteStats, routeStatsToCSV } from '../utils/routeStats';
+import { DEFAULT_SMOOTHING, datasetSmoothing, loadSmoothingPreset, parseSmoothOpts, saveSmoothingPreset, withSmoothing } from '../utils/smoothingPresets';
+import { DEFAULT_ROUTE_STYLES, parseRouteStyleConfig, routeLegendEntries } from '../utils/routeStyles';
+import { ExportCancelledError, exportFileName, exportTrips, webmMimeType } from '../utils/tripsExport';
+import { buildFacets, filterFeatureCollection, monthWindow } from '../utils/routeFilters';
+import { DEFAULT_ANIMATION, parseUrlState, writeUrlState } from '../utils/urlState';
+import CameraPresetsPanel from './CameraPresetsPanel';
+import CorridorLayer from './CorridorLayer';
+import ExportPanel from './ExportPanel';
+import FilterPanel from './FilterPanel';
+import PosterPanel from './PosterPanel';
+import RegionClustersPanel from './RegionClustersPanel';
 import RouteGenerator from './RouteGenerator';
+import RouteInspector from './RouteInspector';
 import RouteLayer from './RouteLayer';
+import RouteLegend from './RouteLegend';
+import RouteSearch from './RouteSearch';
+import SmoothingPanel from './SmoothingPanel';
+import SmoothingQualityPanel from './SmoothingQualityPanel';
+import StatsPanel from './StatsPanel';
+import Timeline from './Timeline';
 
 // [TRIPS ADD]
-import { toTripsData } from '../utils/prepareTrips';
+import { PipelineCancelledError, prepareTrips } from '../utils/routePipeline';
 import MapHoverOverlay from "./MapHoverOverlay";
 import TripsOverlay from './TripsOverlay';
 
-const MAPTILER_API_KEY = "ZAMOU7NPssEmiSXsELqD";
+const MAPTILER_API_KEY = ENV_PROVIDER_SETTINGS.maptilerKey;
 
 
 function getBasePath() {
@@ -27,54 +64,232 @@ export default function Map() {
     const [API_KEY] = useState(MAPTILER_API_KEY);
     const [visualizationMode, setVisualizationMode] = useState("offset"); 
     const layerId = "saved-route-line";
+    const sourceId = "saved-route";
 
     const basePath = getBasePath();
-    const routesUrl = `${basePath}/assets/routes/routes.geojson`;
+    // `data` in the URL swaps in another routes GeoJSON (null = the bundled one)
+    const [dataUrl, setDataUrl] = useState(null);
+    const routesUrl = dataUrl || `${basePath}/assets/routes/routes.geojson`;
     const [showSmoothed, setShowSmoothed] = useState(true);
+    const [animation, setAnimation] = useState(DEFAULT_ANIMATION);
+
+    // Clip export steps the trips clock itself through this handle
+    const tripsRef = useRef(null);
+    const exportAbortRef = useRef(null);
+    const [exportProgress, setExportProgress] = useState(null);
+    const [exportError, setExportError] = useState(null);
+    const [posterBusy, setPosterBusy] = useState(false);
+    const [posterError, setPosterError] = useState(null);
+
+    // URL state is applied once on mount; until then nothing is written back
+    const [urlRestored, setUrlRestored] = useState(false);
+    const [pendingMonth, setPendingMonth] = useState(null);
+    const [linkCopied, setLinkCopied] = useState(false);
     const toggleSmoothed = () => setShowSmoothed(s => !s);
     
-    // State to track the current view (true = Bay Area, false = SF)
-    const [isZoomedOut, setIsZoomedOut] = useState(false);
+    // Named camera views: camera-presets.json (or `presets` from the URL) + views saved in this browser
+    const [configPresets, setConfigPresets] = useState(BUILTIN_PRESETS);
+    const [savedPresets, setSavedPresets] = useState([]);
+    const [tourConfig, setTourConfig] = useState([]);
+    const [presetsUrl, setPresetsUrl] = useState(null);
+    const [presetError, setPresetError] = useState(null);
+    // the config fetch has finished (loaded or not), so tourStops is final
+    const [presetsSettled, setPresetsSettled] = useState(false);
+    const [activePresetId, setActivePresetId] = useState('sf');
+    const presets = useMemo(() => mergePresets(configPresets, savedPresets), [configPresets, savedPresets]);
+    const tourStops = useMemo(() => resolveTour(presets, tourConfig), [presets, tourConfig]);
+
+    // Kiosk: no controls, the tour loops until the page is closed
+    const [kiosk, setKiosk] = useState(false);
+    const [autoTour, setAutoTour] = useState(false);
 
     // State to track if the map has finished loading
     const [isMapLoaded, setIsMapLoaded] = useState(false);
 
-    // [TRIPS ADD] animated trips data
+    // Full (unfiltered) route collection as delivered by RouteLayer
+    const [routesFC, setRoutesFC] = useState(null);
+
+    // Route clicked on the map (its original feature), shown in the inspector
+    const [selectedRoute, setSelectedRoute] = useState(null);
+    // Route smoothing: built-in defaults < preset saved in this browser < the dataset's own preset < live tuning.
+    // Single routes can be tuned on their own (by index in the loaded, unsmoothed collection).
+    const [sourceFC, setSourceFC] = useState(null);
+    const [savedSmoothing, setSavedSmoothing] = useState({});
+    useEffect(() => setSavedSmoothing(loadSmoothingPreset()), []);
+    const baseSmoothing = useMemo(
+        () => ({ ...DEFAULT_SMOOTHING, ...savedSmoothing, ...datasetSmoothing(sourceFC) }),
+        [savedSmoothing, sourceFC]
+    );
+    const [smoothTuning, setSmoothTuning] = useState(null);
+    const smoothing = smoothTuning ?? baseSmoothing;
+    // the smooth_* metrics are only computed while the quality panel is open (or a max deviation needs them)
+    const [measureSmoothing, setMeasureSmoothing] = useState(false);
+    const smoothOptions = useMemo(() => (measureSmoothing ? { ...smoothing, measure: true } : smoothing), [smoothing, measureSmoothing]);
+    const [routeSmoothing, setRouteSmoothing] = useState({});
+    const [smoothScope, setSmoothScope] = useState('all');
+    const [compareOnMap, setCompareOnMap] = useState(false);
+    useEffect(() => {
+        setSmoothTuning(null);
+        setRouteSmoothing({});
+    }, [sourceFC]);
+
+    // Endpoint details kept open after a search pick (cleared with the selection or by a map click)
+    const [pinnedDetails, setPinnedDetails] = useState(null);
+    useEffect(() => {
+        if (!selectedRoute) setPinnedDetails(null);
+    }, [selectedRoute]);
+
+    // Active facet filters: { month?: string[], team?: string[], ... }
+    const [filters, setFilters] = useState({});
+    const facets = useMemo(() => buildFacets(routesFC), [routesFC]);
+
+    // Timeline playhead over the months present in the data (null = last month)
+    const months = facets.month;
+    const [timelineIndex, setTimelineIndex] = useState(null);
+    const [timelineMode, setTimelineMode] = useState('cumulative');
+    const playhead = timelineIndex ?? Math.max(0, months.length - 1);
+
+    // A month from the URL can only be placed once the data (and its months) has loaded
+    useEffect(() => {
+        if (!pendingMonth || !months.length) return;
+        const i = months.indexOf(pendingMonth);
+        if (i >= 0) setTimelineIndex(i);
+        setPendingMonth(null);
+    }, [pendingMonth, months]);
+
+    // "Color by" mode: palette assigned over the whole dataset so colors survive filtering
+    const [colorBy, setColorBy] = useState(null);
+    const [isolated, setIsolated] = useState(null);
+    const routeColors = useMemo(() => (colorBy ? categoryColors(colorBy, facets[colorBy]) : null), [colorBy, facets]);
+    const changeColorBy = (key) => {
+        setColorBy(key || null);
+        setIsolated(null);
+    };
+
+    // Facet filters plus the timeline's month window drive lines, endpoints and trips together
+    const timelineFilters = useMemo(
+        () => ({ ...filters, monthWindow: monthWindow(months, playhead, timelineMode) }),
+        [filters, months, playhead, timelineMode]
+    );
+    // Categories left after filtering (the legend rows); an isolated category narrows its facet to one value
+    const shownCategories = useMemo(
+        () => (colorBy && routesFC ? buildFacets(filterFeatureCollection(routesFC, timelineFilters))[colorBy] : []),
+        [colorBy, routesFC, timelineFilters]
+    );
+    const isolatedCategory = isolated && shownCategories.includes(isolated) ? isolated : null;
+    const activeFilters = useMemo(
+        () => (isolatedCategory ? { ...timelineFilters, [colorBy]: [isolatedCategory] } : timelineFilters),
+        [timelineFilters, colorBy, isolatedCategory]
+    );
+    const filteredFC = useMemo(
+        () => (routesFC ? filterFeatureCollection(routesFC, activeFilters) : null),
+        [routesFC, activeFilters]
+    );
+
+    // Segment-level frequency of the visible routes (only built while the layer is on)
+    const [showCorridors, setShowCorridors] = useState(false);
+    const corridors = useMemo(() => (showCorridors && filteredFC ? buildCorridors(filteredFC) : null), [showCorridors, filteredFC]);
+
+    // Dashboard numbers follow the same filter selection as the map
+    const [emissionFactors, setEmissionFactors] = useState(DEFAULT_EMISSION_FACTORS);
+    useEffect(() => setEmissionFactors(loadEmissionFactors()), []);
+    const updateEmissionFactors = (next) => {
+        setEmissionFactors(next);
+        saveEmissionFactors(next);
+    };
+    const stats = useMemo(() => computeRouteStats(filteredFC, { emissionFactors }), [filteredFC, emissionFactors]);
+
+    // Per-mode route styling from route-styles.json; the legend lists the modes present in the data
+    const [routeStyles, setRouteStyles] = useState(DEFAULT_ROUTE_STYLES);
+    // (or, in color-by mode, the categories)
+    const legendEntries = useMemo(
+        () => (routeColors ? categoryLegendEntries(routeColors, shownCategories) : routeLegendEntries(routeStyles, facets.profile)),
+        [routeColors, shownCategories, routeStyles, facets.profile]
+    );
+
+    // Regions computed from the visible routes' endpoints
+    const [clusterMethod, setClusterMethod] = useState('distance');
+    const [clusterKm, setClusterKm] = useState(3);
+    const clusters = useMemo(
+        () => computeRegionClusters(filteredFC, { method: clusterMethod, thresholdMeters: clusterKm * 1000 }),
+        [filteredFC, clusterMethod, clusterKm]
+    );
+
+    // [TRIPS ADD] animated trips data, limited to the filtered routes, prepared in the route worker
     const [trips, setTrips] = useState([]);
+    const [tripsProgress, setTripsProgress] = useState(null);
+    const [smoothingProgress, setSmoothingProgress] = useState(null);
+    useEffect(() => {
+        if (!filteredFC) {
+            setTrips([]);
+            return;
+        }
+        const controller = new AbortController();
+        const colorOf = routeColors ? (p) => hexToRgb(categoryColor(routeColors, p)) : undefined;
+        setTripsProgress(0);
+        prepareTrips(filteredFC, 400, colorOf, { signal: controller.signal, onProgress: (done, total) => setTripsProgress(done / total) })
+            .then((data) => {
+                setTrips(data); // -> [{ path, timestamps, color }]
+                setTripsProgress(null);
+            })
+            .catch((e) => {
+                if (e instanceof PipelineCancelledError) return;
+                console.error('Failed to prepare trips', e);
+                setTrips([]);
+                setTripsProgress(null);
+            });
+        return () => controller.abort();
+    }, [filteredFC, routeColors]);
 
     // live view info for on-screen readout
     const [viewInfo, setViewInfo] = useState({
         lng: -122.4194,
         lat: 37.7749,
         zoom: 12,
+        bearing: 0,
+        pitch: 0,
     });
 
-    // Define the two camera view configurations
-    const sfView = {
-        center: [-122.43609, 37.77169], // San Francisco
-        zoom: 12.9,
-    };
-
-    const bayAreaView = {
-        center: [-122.27463, 37.61096], // A central point to see SF, Berkeley, and Palo Alto
-        zoom: 10.25,
-    };
-
     // Initialize map
     useEffect(() => {
         if (map.current || !mapContainer.current) return;
 
-        // Use the initial SF view when the map loads
-        const initialState = sfView;
+        // Restore a shared link (camera, dataset, toggles, filters); otherwise start on SF
+        const urlState = parseUrlState(window.location);
+        const namedView = BUILTIN_PRESETS.find((p) => p.id === urlState.view) || BUILTIN_PRESETS[0];
+        const initialState = urlState.camera
+            ? { center: [urlState.camera.lng, urlState.camera.lat], zoom: urlState.camera.zoom }
+            : namedView;
+
+        if (urlState.view) setActivePresetId(urlState.view);
+        if (urlState.presets) setPresetsUrl(urlState.presets);
+        if (urlState.kiosk) setKiosk(true);
+        if (urlState.kiosk || urlState.tour) setAutoTour(true);
+        setSavedPresets(loadSavedPresets());
+        if (urlState.data) setDataUrl(urlState.data);
+        if (urlState.smoothed != null) setShowSmoothed(urlState.smoothed);
+        if (urlState.corridors) setShowCorridors(true);
+        if (urlState.colorBy) setColorBy(urlState.colorBy);
+        if (urlState.isolated) setIsolated(urlState.isolated);
+        if (urlState.animation) setAnimation((a) => ({ ...a, ...urlState.animation }));
+        if (urlState.filters) setFilters(urlState.filters);
+        if (urlState.timelineMode) setTimelineMode(urlState.timelineMode);
+        if (urlState.month) setPendingMonth(urlState.month);
+        setUrlRestored(true);
+        if (!API_KEY) return;
 
         map.current = new maplibregl.Map({
             container: mapContainer.current,
             style: `https://api.maptiler.com/maps/dataviz-dark/style.json?key=${API_KEY}`,
             center: initialState.center,
             zoom: initialState.zoom,
+            bearing: urlState.camera?.bearing ?? namedView.bearing ?? 0,
+            pitch: urlState.camera?.pitch ?? namedView.pitch ?? 0,
+            // keep the last frame readable so clip export can copy the canvas
+            canvasContextAttributes: { preserveDrawingBuffer: true },
         });
 
-        map.current.addControl(new maplibregl.NavigationControl(), 'top-right');
+        if (!urlState.kiosk) map.current.addControl(new maplibregl.NavigationControl(), 'top-right');
 
         // When the map's style has loaded, set our state to true
         map.current.on('load', () => {
@@ -87,6 +302,58 @@ export default function Map() {
         };
     }, [API_KEY]); // Only run once on mount
 
+    // Load the preset config (bundled file unless the link names another one)
+    useEffect(() => {
+        if (!urlRestored) return;
+        let cancelled = false;
+        (async () => {
+            try {
+                const res = await fetch(presetsUrl || `${basePath}/assets/camera-presets.json`);
+                if (!res.ok) throw new Error(`Presets failed to load: ${res.status}`);
+                const config = parsePresetConfig(await res.json());
+                if (cancelled) return;
+                setConfigPresets(config.presets);
+                setTourConfig(config.tour);
+            } catch (e) {
+                console.error('[Presets]', e);
+                if (!cancelled) setPresetError(e instanceof Error ? e.message : 'Invalid presets file');
+            } finally {
+                if (!cancelled) setPresetsSettled(true);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [urlRestored, presetsUrl, basePath]);
+
+    // Load the route style config; the built-in defaults stay in place if it is missing or invalid
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const res = await fetch(`${basePath}/assets/route-styles.json`);
+                if (!res.ok) throw new Error(`Route styles failed to load: ${res.status}`);
+                const config = parseRouteStyleConfig(await res.json());
+                if (!cancelled) setRouteStyles(config);
+            } catch (e) {
+                console.error('[RouteStyles]', e);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [basePath]);
+
+    const tour = useCameraTour(isMapLoaded ? map.current : null, tourStops, { loop: kiosk, stopOnInteraction: !kiosk });
+
+    // `tour=1` / `kiosk=1` links start the tour by themselves once the map and presets are ready
+    useEffect(() => {
+        if (!autoTour || !isMapLoaded || !presetsSettled || !tourStops.length) return;
+        setAutoTour(false);
+        tour.start();
+    }, [autoTour, isMapLoaded, presetsSettled, tourStops, tour]);
+
+    // Highlight the preset the tour is showing
+    useEffect(() => {
+        if (tour.index != null && tourStops[tour.index]) setActivePresetId(tourStops[tour.index].preset.id);
+    }, [tour.index, tourStops]);
+
 
     // Log center/zoom after interactions and keep readout in sync
     useEffect(() => {
@@ -95,8 +362,8 @@ export default function Map() {
         const logView = () => {
             const c = map.current.getCenter();
             const z = map.current.getZoom();
-            // Update on-screen readout
-            setViewInfo({ lng: c.lng, lat: c.lat, zoom: z });
+            // Update on-screen readout (and the shareable URL)
+            setViewInfo({ lng: c.lng, lat: c.lat, zoom: z, bearing: map.current.getBearing(), pitch: map.current.getPitch() });
             // Console log
             console.log(
                 `[Map] center=(${c.lng.toFixed(5)}, ${c.lat.toFixed(5)}), zoom=${z.toFixed(2)}`
@@ -119,116 +386,573 @@ export default function Map() {
         };
     }, [isMapLoaded]);
 
-    // Function to handle the button click
-    const toggleView = () => {
-        if (!map.current) return;
+    // Mirror the view into the URL hash so the current link reopens exactly this view
+    useEffect(() => {
+        if (!urlRestored || !isMapLoaded) return;
+        writeUrlState({
+            camera: viewInfo,
+            view: activePresetId || undefined,
+            presets: presetsUrl || undefined,
+            tour: tour.running && !kiosk,
+            kiosk,
+            data: dataUrl || undefined,
+            smoothed: showSmoothed,
+            corridors: showCorridors,
+            colorBy: colorBy || undefined,
+            isolated: isolated || undefined,
+            animation,
+            filters,
+            month: pendingMonth || (timelineIndex != null ? months[timelineIndex] : undefined),
+            timelineMode,
+        });
+    }, [urlRestored, isMapLoaded, viewInfo, activePresetId, presetsUrl, tour.running, kiosk, dataUrl, showSmoothed, showCorridors, colorBy, isolated, animation, filters, pendingMonth, timelineIndex, months, timelineMode]);
 
-        // Determine the target view based on the current state
-        const targetView = isZoomedOut ? sfView : bayAreaView;
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setLinkCopied(true);
+            setTimeout(() => setLinkCopied(false), 1500);
+        } catch (e) {
+            console.error('Failed to copy link', e);
+            window.prompt('Copy this link:', window.location.href);
+        }
+    };
 
-        // Use flyTo for a smooth animation
+    const flyToPreset = (preset) => {
+        if (!map.current) return;
+        tour.stop();
         map.current.flyTo({
-            center: targetView.center,
-            zoom: targetView.zoom,
+            center: preset.center,
+            zoom: preset.zoom,
+            bearing: preset.bearing ?? 0,
+            pitch: preset.pitch ?? 0,
             essential: true, // this animation is considered essential with respect to prefers-reduced-motion
             duration: 2000, // animation duration in milliseconds
         });
-        
-        // Toggle the state for the next click
-        setIsZoomedOut(!isZoomedOut);
+        setActivePresetId(preset.id);
     };
 
-    // receive GeoJSON from RouteLayer; convert to trips
-    const handleGeojson = (fc) => {
+    const jumpToCluster = (cluster) => {
+        if (!map.current) return;
+        tour.stop();
+        map.current.fitBounds(cluster.bounds, { padding: 80, maxZoom: 15, duration: 2000, essential: true });
+        setActivePresetId(null);
+    };
+
+    // Quality panel pick: select the route and frame the whole of it
+    const showRoute = (feature) => {
+        setSelectedRoute(feature);
+        const bounds = featureBounds([feature]);
+        if (!bounds || !map.current) return;
+        tour.stop();
+        map.current.fitBounds(bounds, { padding: 80, maxZoom: 17, duration: 2000, essential: true });
+        setActivePresetId(null);
+    };
+
+    // Smoothing panel: edits apply to every route, or to the selected one as an override
+    const selectedSourceIndex = selectedRoute && sourceFC ? sourceFC.features.indexOf(selectedRoute) : -1;
+    const tuneRoute = smoothScope === 'route' && selectedSourceIndex >= 0;
+    const routeOverride = tuneRoute
+        ? { ...parseSmoothOpts(selectedRoute.properties?.smoothing), ...routeSmoothing[selectedSourceIndex] }
+        : null;
+    const scopedSmoothing = routeOverride ? { ...smoothing, ...routeOverride } : smoothing;
+    // stable across re-renders so the panel's debounce isn't restarted by unrelated updates
+    const changeSmoothing = useCallback(
+        (next) => {
+            if (tuneRoute) setRouteSmoothing((o) => ({ ...o, [selectedSourceIndex]: next }));
+            else setSmoothTuning(next);
+        },
+        [tuneRoute, selectedSourceIndex]
+    );
+    const resetSmoothing = () => {
+        if (!tuneRoute) return setSmoothTuning(null);
+        // back to the global preset: drop the session override and mask any override stored in the data
+        setRouteSmoothing((o) => ({ ...o, [selectedSourceIndex]: selectedRoute.properties?.smoothing ? smoothing : undefined }));
+    };
+    const smoothingModified = tuneRoute
+        ? JSON.stringify(scopedSmoothing) !== JSON.stringify(smoothing)
+        : JSON.stringify(smoothing) !== JSON.stringify(baseSmoothing);
+    const saveSmoothing = () => {
+        saveSmoothingPreset(smoothing);
+        setSavedSmoothing(smoothing);
+    };
+    const exportSmoothedDataset = () => {
+        if (!sourceFC) return;
+        const blob = new Blob([JSON.stringify(withSmoothing(sourceFC, smoothing, routeSmoothing))], { type: 'application/geo+json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'routes-with-smoothing.geojson';
+        a.click();
+        URL.revokeObjectURL(a.href);
+    };
+    const previewRoute = selectedRoute ?? sourceFC?.features?.find((f) => f.geometry);
+    const previewCoords = useMemo(() => {
+        const g = previewRoute?.geometry;
+        return g?.type === 'LineString' ? g.coordinates : g?.type === 'MultiLineString' ? g.coordinates[0] ?? null : null;
+    }, [previewRoute]);
+
+    // Search pick: fly to the destination, select the route and pin its details there
+    const pickSearchResult = ({ feature }) => {
+        const g = feature.geometry;
+        const coords = g?.type === 'LineString' ? g.coordinates : g?.type === 'MultiLineString' ? g.coordinates.flat() : [];
+        const end = coords[coords.length - 1];
+        setSelectedRoute(feature);
+        if (!end || !map.current) return;
+        tour.stop();
+        map.current.flyTo({ center: end, zoom: Math.max(map.current.getZoom(), 15), duration: 2000, essential: true });
+        setActivePresetId(null);
+        const p = feature.properties || {};
+        setPinnedDetails({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: end },
+            properties: { ...p, address: p.to ?? p.original_to ?? '' },
+        });
+    };
+
+    const updateSavedPresets = (next) => {
+        setSavedPresets(next);
+        saveSavedPresets(next);
+    };
+
+    const saveCurrentView = (name) => {
+        if (!map.current) return;
+        const c = map.current.getCenter();
+        const preset = {
+            id: slugify(name),
+            name,
+            center: [Number(c.lng.toFixed(5)), Number(c.lat.toFixed(5))],
+            zoom: Number(map.current.getZoom().toFixed(2)),
+            bearing: Number(map.current.getBearing().toFixed(1)),
+            pitch: Number(map.current.getPitch().toFixed(1)),
+            saved: true,
+        };
+        updateSavedPresets([...savedPresets.filter((p) => p.id !== preset.id), preset]);
+        setActivePresetId(preset.id);
+    };
+
+    // Imported presets are kept as saved views; an imported tour replaces the current one
+    const importPresets = async (file) => {
+        try {
+            const config = parsePresetConfig(JSON.parse(await file.text()));
+            const ids = new Set(config.presets.map((p) => p.id));
+            updateSavedPresets([...savedPresets.filter((p) => !ids.has(p.id)), ...config.presets.map((p) => ({ ...p, saved: true }))]);
+            if (config.tour.length) setTourConfig(config.tour);
+            setPresetError(null);
+        } catch (e) {
+            setPresetError(e instanceof Error ? e.message : 'Invalid presets file');
+        }
+    };
+
+    const exportPresets = () => {
+        const blob = new Blob([JSON.stringify(presetConfigToJSON(presets, tourConfig), null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'camera-presets.json';
+        a.click();
+        URL.revokeObjectURL(a.href);
+    };
+
+    const exportClip = async (settings) => {
+        if (!map.current || !tripsRef.current) return;
+        tour.stop();
+        const controller = new AbortController();
+        exportAbortRef.current = controller;
+        setExportError(null);
+        setExportProgress({ done: 0, total: 1 });
         try {
-            const t = toTripsData(fc); // -> [{ path, timestamps, color }]
-            setTrips(t);
-            console.log(`[Trips] prepared ${t.length} routes`);
+            const blob = await exportTrips(map.current, tripsRef.current, settings, {
+                signal: controller.signal,
+                onProgress: (done, total) => setExportProgress({ done, total }),
+            });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = exportFileName(settings);
+            a.click();
+            URL.revokeObjectURL(a.href);
         } catch (e) {
-            console.error('Failed to prepare trips', e);
+            if (!(e instanceof ExportCancelledError)) setExportError(e instanceof Error ? e.message : 'Export failed');
+        } finally {
+            exportAbortRef.current = null;
+            setExportProgress(null);
         }
     };
 
+    const exportPoster = async (format, settings) => {
+        if (!map.current) return;
+        tour.stop();
+        setPosterBusy(true);
+        setPosterError(null);
+        try {
+            const options = {
+                layerId,
+                sourceId,
+                statsFC: filteredFC,
+                routeLegend: legendEntries,
+                // in color-by mode the destination glows take their category's color
+                destinationColors: routeColors ? legendEntries.map((e) => e.colors[0]) : undefined,
+            };
+            const blob = format === 'svg'
+                ? await exportPosterSVG(map.current, settings, options)
+                : await exportPosterPNG(map.current, settings, options);
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = `routes-poster-${settings.widthIn}x${settings.heightIn}in-${settings.dpi}dpi.${format}`;
+            a.click();
+            URL.revokeObjectURL(a.href);
+        } catch (e) {
+            console.error('[Poster]', e);
+            setPosterError(e instanceof Error ? e.message : 'Poster export failed');
+        } finally {
+            setPosterBusy(false);
+        }
+    };
+
+    const exportStats = () => {
+        const blob = new Blob([routeStatsToCSV(stats)], { type: 'text/csv;charset=utf-8' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'route-stats.csv';
+        a.click();
+        URL.revokeObjectURL(a.href);
+    };
+
+    // Endpoint details for the hover tooltip and the pinned search result
+    const renderRouteDetails = (f) => {
+        // Custom content (uses whatever you copied onto endpoint properties)
+        const p = f.properties || {};
+        const [lng, lat] = f.geometry?.coordinates || [];
+        const show = (v) => (v && String(v).trim().length ? v : "—");
+        // estimated with the factors from the Stats panel
+        const co2 = Number(p.distance_m) > 0 ? emissionsFor(p.distance_m, p.profile, emissionFactors) : null;
+        return (
+            <div style={{ font: "500 12px/1.4 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif" }}>
+                <div><strong>Month:</strong> {show(p.month)}</div>
+                <div><strong>Team:</strong> {show(p.team)}</div>
+                <div><strong>Class:</strong> {show(p.class)}</div>
+                <div><strong>Location:</strong> {show(p.location_name)}</div>
+                <div><strong>Address:</strong> {show(p.address)}</div>
+                <div><strong>Activity:</strong> {show(p.activity)}</div>
+                <div><strong>Profile:</strong> {show(p.profile)}</div>
+                {co2 && (
+                    <div>
+                        <strong>CO₂:</strong> {formatCO2(co2.co2_kg)}
+                        {co2.co2_if_driven_kg !== co2.co2_kg && <> ({formatCO2(co2.co2_if_driven_kg)} if driven)</>}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    // receive GeoJSON from RouteLayer; trips and facets are derived from it
+    const handleGeojson = (fc) => {
+        setRoutesFC(fc);
+        console.log(`[Trips] received ${fc?.features?.length ?? 0} routes`);
+    };
+
     return (
         <div style={{ position: 'relative', width: '100%', height: '100vh' }}>
-            {/* A Switch button to toggle between SF zoom in and out.*/}
-            <button
-                onClick={toggleView}
-                style={{
-                position: 'absolute',
-                top: '20px',
-                left: '20px',
-                zIndex: 1, // Ensure button is on top of the map
-                padding: '10px 15px',
-                backgroundColor: '#333',
-                color: 'white',
-                border: '1px solid #555',
-                borderRadius: '4px',
-                cursor: 'pointer',
-                fontSize: '16px',
-                }}
-            >
-                {isZoomedOut ? 'Zoom to San Francisco' : 'Zoom to Bay Area'}
-            </button>
-
-            {/* Smoothed/original toggle */}
-            <button
-                onClick={toggleSmoothed}
-                aria-pressed={showSmoothed}
-                style={{
-                    position: 'absolute',
-                    top: '60px',            // stacked below the first button
-                    left: '20px',
-                    zIndex: 1,
-                    padding: '10px 15px',
-                    backgroundColor: showSmoothed ? '#3b82f6' : '#333',
-                    color: 'white',
-                    border: '1px solid #555',
-                    borderRadius: '4px',
-                    cursor: 'pointer',
-                    fontSize: '16px',
-                }}
+            {/* Named views + guided tour */}
+            {!kiosk && (
+                <CameraPresetsPanel
+                    presets={presets}
+                    activeId={activePresetId}
+                    onSelect={flyToPreset}
+                    onSaveCurrent={saveCurrentView}
+                    onDelete={(id) => updateSavedPresets(savedPresets.filter((p) => p.id !== id))}
+                    onImport={importPresets}
+                    onExport={exportPresets}
+                    tourRunning={tour.running}
+                    tourStops={tourStops.length}
+                    onTourStart={tour.start}
+                    onTourStop={tour.stop}
+                    error={presetError}
+                    style={{ position: 'absolute', top: '20px', left: '20px', zIndex: 2 }}
+                />
+            )}
+
+            {/* Tour caption */}
+            {tour.caption && (
+                <div
+                    style={{
+                        position: 'absolute',
+                        top: kiosk ? '40px' : '20px',
+                        left: '50%',
+                        transform: 'translateX(-50%)',
+                        zIndex: 1,
+                        background: 'rgba(20,20,20,0.85)',
+                        border: '1px solid #444',
+                        borderRadius: 8,
+                        color: 'white',
+                        padding: kiosk ? '14px 28px' : '8px 16px',
+                        fontSize: kiosk ? 32 : 18,
+                        fontWeight: 600,
+                        pointerEvents: 'none',
+                        textAlign: 'center',
+                        maxWidth: '80vw',
+                    }}
                 >
-                {showSmoothed ? 'Show Original' : 'Show Smooth'}
-            </button>
-
-            {/* on-map readout */}
-            <div
-                style={{
-                position: 'absolute',
-                left: '20px',
-                bottom: '20px',
-                zIndex: 1,
-                background: 'rgba(0,0,0,0.6)',
-                color: '#fff',
-                padding: '8px 10px',
-                borderRadius: '6px',
-                fontFamily: 'monospace',
-                fontSize: '13px',
-                pointerEvents: 'none', 
-                lineHeight: 1.3,
-                whiteSpace: 'nowrap',
-                }}
-            >
-                lng: {viewInfo.lng.toFixed(5)} | lat: {viewInfo.lat.toFixed(5)} | zoom:{' '}
-                {viewInfo.zoom.toFixed(2)}
-            </div>
+                    {tour.caption}
+                </div>
+            )}
+
+            {/* Controls are hidden on kiosk screens */}
+            {!kiosk && (
+                <>
+                    {/* Route search; gives way to tour captions */}
+                    {routesFC && !tour.caption && (
+                        <RouteSearch
+                            features={filteredFC?.features ?? []}
+                            onPick={pickSearchResult}
+                            style={{ position: 'absolute', top: '10px', left: '50%', transform: 'translateX(-50%)', zIndex: 2 }}
+                        />
+                    )}
+
+                {/* Smoothed/original toggle */}
+                    <button
+                        onClick={toggleSmoothed}
+                        aria-pressed={showSmoothed}
+                        style={{
+                            position: 'absolute',
+                            top: '60px',            // stacked below the first button
+                            left: '20px',
+                            zIndex: 1,
+                            padding: '10px 15px',
+                            backgroundColor: showSmoothed ? '#3b82f6' : '#333',
+                            color: 'white',
+                            border: '1px solid #555',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontSize: '16px',
+                        }}
+                        >
+                        {showSmoothed ? 'Show Original' : 'Show Smooth'}
+                    </button>
+
+                    {/* Trips animation + shareable link */}
+                    <div
+                        style={{
+                            position: 'absolute',
+                            top: '10px',
+                            right: '50px',
+                            zIndex: 1,
+                            display: 'flex',
+                            gap: 6,
+                            alignItems: 'center',
+                            background: 'rgba(20,20,20,0.85)',
+                            border: '1px solid #444',
+                            borderRadius: 8,
+                            padding: '6px 8px',
+                            color: '#fff',
+                            fontSize: 13,
+                        }}
+                    >
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={animation.enabled}
+                                onChange={(e) => setAnimation((a) => ({ ...a, enabled: e.target.checked }))}
+                            />{' '}
+                            trips
+                        </label>
+                        <select
+                            value={animation.speed}
+                            onChange={(e) => setAnimation((a) => ({ ...a, speed: Number(e.target.value) }))}
+                            disabled={!animation.enabled}
+                            title="Animation speed"
+                            style={{ background: '#222', color: '#fff', border: '1px solid #555', borderRadius: 4 }}
+                        >
+                            {[...new Set([10, 25, 50, 100, animation.speed])].sort((a, b) => a - b).map((v) => (
+                                <option key={v} value={v}>{v}×</option>
+                            ))}
+                        </select>
+                        <label title="Width and color by how many routes use each street">
+                            <input type="checkbox" checked={showCorridors} onChange={(e) => setShowCorridors(e.target.checked)} /> corridors
+                        </label>
+                        <select
+                            value={colorBy || ''}
+                            onChange={(e) => changeColorBy(e.target.value)}
+                            title="Color routes and trips by"
+                            style={{ background: '#222', color: '#fff', border: '1px solid #555', borderRadius: 4 }}
+                        >
+                            <option value="">color by…</option>
+                            {COLOR_BY_KEYS.map((k) => (
+                                <option key={k} value={k}>{k === 'profile' ? 'mode' : k}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={copyLink}
+                            style={{ padding: '4px 8px', background: '#333', color: '#fff', border: '1px solid #555', borderRadius: 4, cursor: 'pointer' }}
+                        >
+                            {linkCopied ? 'Copied!' : 'Copy link'}
+                        </button>
+                    </div>
+
+                    {/* Jump-to list of endpoint clusters + stats dashboard */}
+                    {routesFC && (
+                        <div style={{ position: 'absolute', top: '56px', right: '50px', zIndex: 1, display: 'flex', flexDirection: 'column', gap: 8 }}>
+                            <RegionClustersPanel
+                                clusters={clusters}
+                                method={clusterMethod}
+                                onMethodChange={setClusterMethod}
+                                thresholdKm={clusterKm}
+                                onThresholdChange={setClusterKm}
+                                onJump={jumpToCluster}
+                            />
+                            <StatsPanel
+                                stats={stats}
+                                onExportCSV={exportStats}
+                                emissionFactors={emissionFactors}
+                                onEmissionFactorsChange={updateEmissionFactors}
+                            />
+                        </div>
+                    )}
+
+                    {/* Exports: looping clip of the trips animation, print poster of the static map */}
+                    <div style={{ position: 'absolute', bottom: '40px', right: '10px', zIndex: 1, display: 'flex', flexDirection: 'column', gap: 8 }}>
+                        {animation.enabled && trips.length > 0 && (
+                            <ExportPanel
+                                onExport={exportClip}
+                                onCancel={() => exportAbortRef.current?.abort()}
+                                progress={exportProgress}
+                                error={exportError}
+                                webmSupported={!!webmMimeType()}
+                            />
+                        )}
+                        {routesFC && <PosterPanel onExport={exportPoster} busy={posterBusy} error={posterError} />}
+                    </div>
+
+                    {/* Details of the clicked route, over the right-hand panels */}
+                    {selectedRoute && (
+                        <RouteInspector
+                            feature={selectedRoute}
+                            onClose={() => setSelectedRoute(null)}
+                            style={{ position: 'absolute', top: '56px', right: '50px', maxHeight: 'calc(100% - 110px)', zIndex: 2 }}
+                        />
+                    )}
+
+                    {/* Facet filters (month, team, class, activity, profile) and smoothing tuning */}
+                    {routesFC && (
+                        <div style={{ position: 'absolute', top: '110px', left: '20px', zIndex: 1, display: 'flex', flexDirection: 'column', gap: 8, maxHeight: 'calc(100% - 190px)', overflowY: 'auto' }}>
+                            <FilterPanel
+                                facets={facets}
+                                filters={filters}
+                                onChange={setFilters}
+                                matched={filteredFC?.features?.length ?? 0}
+                                total={routesFC.features?.length ?? 0}
+                            />
+                            <SmoothingPanel
+                                value={scopedSmoothing}
+                                onChange={changeSmoothing}
+                                scope={tuneRoute ? 'route' : 'all'}
+                                onScopeChange={setSmoothScope}
+                                routeLabel={selectedRoute ? String(selectedRoute.properties?.location_name || selectedRoute.properties?.to || 'Selected route') : null}
+                                modified={smoothingModified}
+                                onReset={resetSmoothing}
+                                onSave={saveSmoothing}
+                                onExportDataset={exportSmoothedDataset}
+                                compareOnMap={compareOnMap}
+                                onCompareOnMapChange={setCompareOnMap}
+                                previewCoords={previewCoords}
+                            />
+                            <SmoothingQualityPanel
+                                features={filteredFC?.features ?? []}
+                                maxDeviationMeters={smoothing.maxDeviationMeters}
+                                onSelect={showRoute}
+                                onOpenChange={setMeasureSmoothing}
+                            />
+                        </div>
+                    )}
+
+                    {/* Month-by-month timeline */}
+                    {months.length > 1 && (
+                        <Timeline
+                            months={months}
+                            index={playhead}
+                            onIndexChange={setTimelineIndex}
+                            mode={timelineMode}
+                            onModeChange={setTimelineMode}
+                            style={{ position: 'absolute', bottom: '20px', left: '50%', transform: 'translateX(-50%)', zIndex: 1 }}
+                        />
+                    )}
+
+                    {/* on-map readout */}
+                    <div
+                        style={{
+                        position: 'absolute',
+                        left: '20px',
+                        bottom: '20px',
+                        zIndex: 1,
+                        background: 'rgba(0,0,0,0.6)',
+                        color: '#fff',
+                        padding: '8px 10px',
+                        borderRadius: '6px',
+                        fontFamily: 'monospace',
+                        fontSize: '13px',
+                        pointerEvents: 'none', 
+                        lineHeight: 1.3,
+                        whiteSpace: 'nowrap',
+                        }}
+                    >
+                        lng: {viewInfo.lng.toFixed(5)} | lat: {viewInfo.lat.toFixed(5)} | zoom:{' '}
+                        {viewInfo.zoom.toFixed(2)}
+                        {smoothingProgress != null && <div>smoothing routes… {Math.round(smoothingProgress * 100)}%</div>}
+                        {tripsProgress != null && <div>preparing trips… {Math.round(tripsProgress * 100)}%</div>}
+                    </div>
+                </>
+            )}
+
+            {/* Mode / category legend (kept on kiosk screens, where the readout below it is hidden) */}
+            {routesFC && legendEntries.length > 0 && (
+                <RouteLegend
+                    entries={legendEntries}
+                    title={colorBy ? (colorBy === 'profile' ? 'mode' : colorBy) : undefined}
+                    selected={isolatedCategory}
+                    onSelect={routeColors && !kiosk ? (key) => setIsolated((cur) => (cur === key ? null : key)) : undefined}
+                    style={{ position: 'absolute', left: '20px', bottom: kiosk ? '20px' : '60px', zIndex: 1 }}
+                />
+            )}
 
             <div ref={mapContainer} className="map" style={{ width: '100%', height: '100%' }} />
+            {!API_KEY && (
+                <div
+                    style={{
+                        position: 'absolute',
+                        top: '50%',
+                        left: '50%',
+                        transform: 'translate(-50%, -50%)',
+                        zIndex: 2,
+                        background: 'rgba(20,20,20,0.85)',
+                        border: '1px solid #444',
+                        borderRadius: 8,
+                        padding: '12px 16px',
+                        color: '#ff8a80',
+                        fontSize: 13,
+                    }}
+                >
+                    ⚠️ {MISSING_BASEMAP_KEY}
+                </div>
+            )}
             {isMapLoaded && (
                 <>
                     {/* camera stable by disabling fit; expose data upward */}
-                    <RouteLayer map={map.current} url={routesUrl} onData={handleGeojson} fitOnLoad={false} showSmoothed={showSmoothed} />
+                    <RouteLayer map={map.current} url={routesUrl} sourceId={sourceId} layerId={layerId} onData={handleGeojson} fitOnLoad={false} showSmoothed={showSmoothed} filters={activeFilters} styleConfig={routeStyles} categoryColors={routeColors}
+                        selectedFeature={selectedRoute} onSelectRoute={kiosk ? undefined : setSelectedRoute}
+                        smoothOptions={smoothOptions} smoothOverrides={routeSmoothing} onSourceData={setSourceFC} compareOverlay={compareOnMap}
+                        onSmoothingProgress={setSmoothingProgress} />
+
+                    <CorridorLayer map={map.current} data={corridors} />
 
-                    {map.current && trips.length > 0 && (
+                    {map.current && animation.enabled && trips.length > 0 && (
                         <TripsOverlay
+                            ref={tripsRef}
                             map={map.current}
                             data={trips}
-                            speed={25}    // tweak freely
-                            trail={900}
+                            speed={animation.speed}
+                            trail={animation.trail}
                             opacity={.2}
                             lineWidth={3}
-                            metersPerSecond={45}  // ~18 km/h cycling pace
+                            metersPerSecond={animation.metersPerSecond}  // 45 ≈ default pace
+                            useDataColors={!!routeColors}
                         />
                     )}
 
@@ -241,23 +965,9 @@ export default function Map() {
                             map={map.current}
                             layers={[`${layerId}-endpoint-hit`]}
                             offset={{ x: 14, y: 14 }}
-                            render={(f) => {
-                                // Custom content (uses whatever you copied onto endpoint properties)
-                                const p = f.properties || {};
-                                const [lng, lat] = f.geometry?.coordinates || [];
-                                const show = (v) => (v && String(v).trim().length ? v : "—");
-                                return (
-                                    <div style={{ font: "500 12px/1.4 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif" }}>
-                                        <div><strong>Month:</strong> {show(p.month)}</div>
-                                        <div><strong>Team:</strong> {show(p.team)}</div>
-                                        <div><strong>Class:</strong> {show(p.class)}</div>
-                                        <div><strong>Location:</strong> {show(p.location_name)}</div>
-                                        <div><strong>Address:</strong> {show(p.address)}</div>
-                                        <div><strong>Activity:</strong> {show(p.activity)}</div>
-                                        <div><strong>Profile:</strong> {show(p.profile)}</div>
-                                    </div>
-                                );
-                            }}
+                            render={renderRouteDetails}
+                            pinned={pinnedDetails}
+                            onUnpin={() => setPinnedDetails(null)}
                         />
                     )};
                 </>                 
@@ -10,17 +10,22 @@ import { createPortal } from "react-dom";
  *  - offset?: {x:number,y:number} tooltip offset from cursor (default {x:12,y:12})
  *  - render?: (feature: any) => React.ReactNode  -> custom content; gets the topmost hovered feature
  *  - className?: string     -> optional class for the tooltip box
+ *  - pinned?: Feature<Point> -> same content kept open at that point while the map moves
+ *  - onUnpin?: () => void    -> called from the pinned box's ✕ and on any map click
  */
 export default function MapHoverOverlay({
     map,
     layers,
     offset = { x: 12, y: 12 },
     render,
-    className = ""
+    className = "",
+    pinned = null,
+    onUnpin,
 }) {
     const [container, setContainer] = useState(null);
     const [pos, setPos] = useState({ x: 0, y: 0 });
     const [feat, setFeat] = useState(null);
+    const [pinPos, setPinPos] = useState(null);
     const cleanupFnsRef = useRef([]);
 
     // simple default content
@@ -91,38 +96,72 @@ export default function MapHoverOverlay({
         };
     }, [map, layers]);
 
-    // Don’t render if not hovering or container unknown
-    if (!container || !feat) return null;
+    // pinned details follow their point as the map pans / zooms
+    useEffect(() => {
+        const coords = pinned?.geometry?.coordinates;
+        if (!map || !Array.isArray(coords)) {
+            setPinPos(null);
+            return;
+        }
+        const update = () => {
+            const p = map.project(coords);
+            setPinPos({ x: p.x, y: p.y });
+        };
+        const onClick = () => onUnpin?.();
+        update();
+        map.on("move", update);
+        map.on("click", onClick);
+        return () => {
+            map.off("move", update);
+            map.off("click", onClick);
+        };
+    }, [map, pinned, onUnpin]);
+
+    // Don’t render if not hovering / pinned or container unknown
+    if (!container || (!feat && !(pinned && pinPos))) return null;
 
     // Keep tooltip inside map bounds a bit
     const rect = container.getBoundingClientRect();
-    const left = Math.min(Math.max(pos.x + offset.x, 0), rect.width - 10);
-    const top  = Math.min(Math.max(pos.y + offset.y, 0), rect.height - 10);
+    const place = (p) => ({
+        left: Math.min(Math.max(p.x + offset.x, 0), rect.width - 10),
+        top: Math.min(Math.max(p.y + offset.y, 0), rect.height - 10),
+    });
+    const boxStyle = {
+        position: "absolute",
+        transform: "translate(0, 0)",
+        zIndex: 3,
+        background: "white",
+        color: "#111",
+        borderRadius: 8,
+        padding: "8px 10px",
+        boxShadow: "0 6px 24px rgba(0,0,0,0.18)",
+        border: "1px solid rgba(0,0,0,0.08)",
+        maxWidth: 280,
+        // adapt to hi-dpi text
+        WebkitFontSmoothing: "antialiased",
+        MozOsxFontSmoothing: "grayscale"
+    };
 
     return createPortal(
-        <div
-            className={className}
-            style={{
-                position: "absolute",
-                left,
-                top,
-                transform: "translate(0, 0)",
-                pointerEvents: "none",
-                zIndex: 3,
-                background: "white",
-                color: "#111",
-                borderRadius: 8,
-                padding: "8px 10px",
-                boxShadow: "0 6px 24px rgba(0,0,0,0.18)",
-                border: "1px solid rgba(0,0,0,0.08)",
-                maxWidth: 280,
-                // adapt to hi-dpi text
-                WebkitFontSmoothing: "antialiased",
-                MozOsxFontSmoothing: "grayscale"
-            }}
-        >
-            {render ? render(feat) : defaultRender(feat)}
-        </div>,
+        <>
+            {pinned && pinPos && (
+                <div className={className} style={{ ...boxStyle, ...place(pinPos), paddingRight: 26 }}>
+                    <button
+                        onClick={() => onUnpin?.()}
+                        aria-label="Close details"
+                        style={{ position: "absolute", top: 4, right: 6, background: "none", border: "none", color: "#666", cursor: "pointer", fontSize: 14, lineHeight: 1 }}
+                    >
+                        ✕
+                    </button>
+                    {render ? render(pinned) : defaultRender(pinned)}
+                </div>
+            )}
+            {feat && (
+                <div className={className} style={{ ...boxStyle, ...place(pos), pointerEvents: "none" }}>
+                    {render ? render(feat) : defaultRender(feat)}
+                </div>
+            )}
+        </>,
         container
     );
 }
@@ -0,0 +1,61 @@
+"use client";
+
+import { originLabel, type IndexedPair, type MergePlan, type PairResult, type RouteFeature } from "@/utils/routeGeneration";
+
+type Props = {
+  plan: MergePlan;
+  /** results of the current run (only the added pairs are routed) */
+  results: PairResult[] | null;
+  dropRemoved: boolean;
+  onDropRemovedChange: (v: boolean) => void;
+  /** number of features in the merged download */
+  mergedCount: number;
+};
+
+const listStyle: React.CSSProperties = { margin: "6px 0 0 18px", maxHeight: 200, overflowY: "auto", fontSize: 13, opacity: 0.85 };
+
+const viaLabel = (via?: string[]) => (via?.length ? ` (via ${via.length} stop${via.length === 1 ? "" : "s"})` : "");
+const pairLabel = ({ pair }: IndexedPair) =>
+  `${pair.trip ? `${pair.trip}: ` : ""}${originLabel(pair)} → ${pair.original_to}${viaLabel(pair.via)}${pair.profile ? ` (${pair.profile})` : ""}`;
+const featureLabel = (f: RouteFeature) =>
+  `${f.properties?.original_from ?? f.properties?.from} → ${f.properties?.original_to ?? f.properties?.to}${viaLabel(f.properties?.via)} (${f.properties?.profile})`;
+
+/** Added / unchanged / removed summary for an incremental run against an existing routes.geojson. */
+export default function MergeReport({ plan, results, dropRemoved, onDropRemovedChange, mergedCount }: Props) {
+  const routed = results?.filter((r) => r.status === "ok").length ?? 0;
+  const pending = results?.filter((r) => r.status === "pending").length ?? plan.added.length;
+  const failed = plan.added.length - routed - pending;
+
+  const section = (title: string, count: number, color: string, items: string[]) => (
+    <details>
+      <summary style={{ cursor: count ? "pointer" : "default" }}>
+        <span style={{ color }}>{title}</span>: <b>{count}</b>
+      </summary>
+      {count > 0 && (
+        <ol style={listStyle}>
+          {items.map((label, i) => <li key={i}>{label}</li>)}
+        </ol>
+      )}
+    </details>
+  );
+
+  return (
+    <div style={{ marginTop: 16, padding: 12, border: "1px solid #333", borderRadius: 8, background: "#111", fontSize: 14, display: "grid", gap: 6 }}>
+      <div style={{ fontWeight: 600 }}>Incremental update</div>
+      {section(
+        `Added (${routed} routed${failed > 0 ? `, ${failed} failed` : ""}${pending > 0 ? `, ${pending} to route` : ""})`,
+        plan.added.length,
+        "#0f4",
+        plan.added.map(pairLabel)
+      )}
+      {section("Unchanged (kept as-is)", plan.unchanged.length, "#aaa", plan.unchanged.map(pairLabel))}
+      {section("Removed (in the existing file, not in the CSV)", plan.removed.length, "#ff8a80", plan.removed.map(featureLabel))}
+      {plan.removed.length > 0 && (
+        <label style={{ fontSize: 13 }}>
+          <input type="checkbox" checked={dropRemoved} onChange={(e) => onDropRemovedChange(e.target.checked)} /> drop removed routes from the merged file
+        </label>
+      )}
+      <div style={{ opacity: 0.85 }}>Merged download: <b>{mergedCount}</b> routes</div>
+    </div>
+  );
+}
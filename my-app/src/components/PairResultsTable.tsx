@@ -0,0 +1,90 @@
+"use client";
+
+import { isFailure, originLabel, PAIR_STATUS_LABELS, type PairResult, type PairStatus } from "@/utils/routeGeneration";
+import { useMemo, useState } from "react";
+
+type Props = {
+  results: PairResult[];
+  onRetryFailed: () => void;
+  onDownloadFailures: () => void;
+  retrying?: boolean;
+};
+
+const STATUS_COLORS: Record<PairStatus, string> = {
+  pending: "#aaa",
+  ok: "#0f4",
+  geocode_failed: "#ff8a80",
+  routing_failed: "#ffb74d",
+  no_geometry: "#ffd166",
+};
+
+const cell: React.CSSProperties = { padding: "4px 8px", borderBottom: "1px solid #333", verticalAlign: "top" };
+const btn: React.CSSProperties = { padding: "6px 10px", borderRadius: 8, border: "1px solid #555", background: "#222", color: "#fff" };
+
+/** Per-pair outcome of a generation run, with retry and failure export. */
+export default function PairResultsTable({ results, onRetryFailed, onDownloadFailures, retrying = false }: Props) {
+  const [failuresOnly, setFailuresOnly] = useState(true);
+
+  const counts = useMemo(() => {
+    const c: Partial<Record<PairStatus, number>> = {};
+    for (const r of results) c[r.status] = (c[r.status] || 0) + 1;
+    return c;
+  }, [results]);
+  const failedCount = results.filter(isFailure).length;
+  const rows = failuresOnly ? results.filter(isFailure) : results;
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        {(Object.keys(PAIR_STATUS_LABELS) as PairStatus[]).filter((s) => counts[s]).map((s) => (
+          <span key={s} style={{ color: STATUS_COLORS[s] }}>
+            {PAIR_STATUS_LABELS[s]}: <b>{counts[s]}</b>
+          </span>
+        ))}
+        <span style={{ flex: 1 }} />
+        <label style={{ fontSize: 13 }}>
+          <input type="checkbox" checked={failuresOnly} onChange={(e) => setFailuresOnly(e.target.checked)} /> failures only
+        </label>
+        <button onClick={onRetryFailed} disabled={!failedCount || retrying} style={btn}>
+          {retrying ? "Retrying…" : `Retry failed (${failedCount})`}
+        </button>
+        <button onClick={onDownloadFailures} disabled={!failedCount} style={btn}>
+          Download failures CSV
+        </button>
+      </div>
+
+      {rows.length > 0 && (
+        <div style={{ maxHeight: 360, overflowY: "auto", marginTop: 8 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ textAlign: "left", opacity: 0.8 }}>
+                <th style={cell}>#</th>
+                <th style={cell}>From → To</th>
+                <th style={cell}>Status</th>
+                <th style={cell}>Tries</th>
+                <th style={cell}>Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.index}>
+                  <td style={cell}>{r.index + 1}</td>
+                  <td style={cell}>
+                    <div>{r.pair.trip ? <b>{r.pair.trip}: </b> : null}{originLabel(r.pair)}</div>
+                    {r.pair.via?.map((stop, i) => (
+                      <div key={i} style={{ opacity: 0.6 }}>· {stop}</div>
+                    ))}
+                    <div style={{ opacity: 0.75 }}>→ {r.pair.original_to}</div>
+                  </td>
+                  <td style={{ ...cell, color: STATUS_COLORS[r.status], whiteSpace: "nowrap" }}>{PAIR_STATUS_LABELS[r.status]}</td>
+                  <td style={cell}>{r.attempts}</td>
+                  <td style={{ ...cell, opacity: 0.8 }}>{r.error || ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
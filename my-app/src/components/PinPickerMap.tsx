@@ -0,0 +1,65 @@
+"use client";
+
+import { MISSING_BASEMAP_KEY } from "@/utils/providers";
+import maplibregl from "maplibre-gl";
+import { useEffect, useRef } from "react";
+
+type Props = {
+  /** empty when there is no basemap key */
+  styleUrl: string;
+  /** current pin, if any */
+  value?: { lon: number; lat: number } | null;
+  onPick: (lon: number, lat: number) => void;
+  height?: number;
+};
+
+const DEFAULT_CENTER: [number, number] = [-122.43609, 37.77169]; // San Francisco
+
+/** Small click-to-pin map used to fix addresses by hand. */
+export default function PinPickerMap({ styleUrl, value, onPick, height = 320 }: Props) {
+  const containerRef = useRef<HTMLDivElement | null>(null);
+  const mapRef = useRef<maplibregl.Map | null>(null);
+  const markerRef = useRef<maplibregl.Marker | null>(null);
+  const onPickRef = useRef(onPick);
+  onPickRef.current = onPick;
+
+  // Create the map once
+  useEffect(() => {
+    if (!containerRef.current || mapRef.current || !styleUrl) return;
+    const map = new maplibregl.Map({
+      container: containerRef.current,
+      style: styleUrl,
+      center: value ? [value.lon, value.lat] : DEFAULT_CENTER,
+      zoom: value ? 16 : 11,
+    });
+    map.addControl(new maplibregl.NavigationControl(), "top-right");
+    map.getCanvas().style.cursor = "crosshair";
+    map.on("click", (e) => onPickRef.current(e.lngLat.lng, e.lngLat.lat));
+    mapRef.current = map;
+    return () => {
+      markerRef.current?.remove();
+      markerRef.current = null;
+      map.remove();
+      mapRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [styleUrl]);
+
+  // Keep the marker in sync with the current pin
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (!value) {
+      markerRef.current?.remove();
+      markerRef.current = null;
+      return;
+    }
+    if (!markerRef.current) markerRef.current = new maplibregl.Marker({ color: "#ffd166" });
+    markerRef.current.setLngLat([value.lon, value.lat]).addTo(map);
+  }, [value]);
+
+  if (!styleUrl) {
+    return <div style={{ padding: 12, borderRadius: 8, border: "1px solid #333", color: "#ff8a80", fontSize: 13 }}>⚠️ {MISSING_BASEMAP_KEY}</div>;
+  }
+  return <div ref={containerRef} style={{ width: "100%", height, borderRadius: 8, overflow: "hidden", border: "1px solid #333" }} />;
+}
@@ -0,0 +1,105 @@
+"use client";
+
+import { POSTER_DPI, POSTER_SIZES, posterPixelSize, type PosterFormat, type PosterSettings } from "@/utils/posterExport";
+import { useState } from "react";
+
+type Props = {
+  onExport: (format: PosterFormat, settings: PosterSettings) => void;
+  busy: boolean;
+  error?: string | null;
+  style?: React.CSSProperties;
+};
+
+const inputStyle: React.CSSProperties = { background: "#222", color: "white", border: "1px solid #555", borderRadius: 4 };
+const buttonStyle: React.CSSProperties = { background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "4px 10px", cursor: "pointer" };
+const row: React.CSSProperties = { display: "flex", gap: 8, alignItems: "center", justifyContent: "space-between" };
+
+/** Size, DPI and decorations for the print poster export. */
+export default function PosterPanel({ onExport, busy, error, style }: Props) {
+  const [open, setOpen] = useState(false);
+  const [sizeIndex, setSizeIndex] = useState(0);
+  const [landscape, setLandscape] = useState(false);
+  const [dpi, setDpi] = useState(150);
+  const [title, setTitle] = useState("");
+  const [legend, setLegend] = useState(true);
+  const [stats, setStats] = useState(true);
+
+  const size = POSTER_SIZES[sizeIndex];
+  const [widthIn, heightIn] = landscape ? [size.heightIn, size.widthIn] : [size.widthIn, size.heightIn];
+  const settings: PosterSettings = { widthIn, heightIn, dpi, title, legend, stats };
+  const px = posterPixelSize(settings);
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 260,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        style={{ width: "100%", textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+      >
+        {open ? "▾" : "▸"} Export poster
+        {busy && <span style={{ fontWeight: 400, opacity: 0.75 }}> · rendering…</span>}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8, display: "grid", gap: 6 }}>
+          <label style={row}>
+            Size
+            <select value={sizeIndex} onChange={(e) => setSizeIndex(Number(e.target.value))} style={inputStyle}>
+              {POSTER_SIZES.map((s, i) => (
+                <option key={s.label} value={i}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={row}>
+            Landscape
+            <input type="checkbox" checked={landscape} onChange={(e) => setLandscape(e.target.checked)} />
+          </label>
+          <label style={row}>
+            DPI
+            <select value={dpi} onChange={(e) => setDpi(Number(e.target.value))} style={inputStyle}>
+              {POSTER_DPI.map((v) => (
+                <option key={v} value={v}>
+                  {v}
+                </option>
+              ))}
+            </select>
+          </label>
+          <input placeholder="Title (optional)" value={title} onChange={(e) => setTitle(e.target.value)} style={{ ...inputStyle, padding: "3px 6px" }} />
+          <div style={{ display: "flex", gap: 12 }}>
+            <label>
+              <input type="checkbox" checked={legend} onChange={(e) => setLegend(e.target.checked)} /> Legend
+            </label>
+            <label>
+              <input type="checkbox" checked={stats} onChange={(e) => setStats(e.target.checked)} /> Stats
+            </label>
+          </div>
+          <div style={{ opacity: 0.7, fontSize: 12 }}>
+            {px.width.toLocaleString()} × {px.height.toLocaleString()} px, covering the current view.
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <button onClick={() => onExport("png", settings)} disabled={busy} style={{ ...buttonStyle, flex: 1 }}>
+              PNG
+            </button>
+            <button onClick={() => onExport("svg", settings)} disabled={busy} style={{ ...buttonStyle, flex: 1 }}>
+              SVG
+            </button>
+          </div>
+          {error && <div style={{ color: "#ff8080" }}>{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+"use client";
+
+import { GEOCODERS, PROVIDER_LABELS, ROUTERS, type ProviderSettings } from "@/utils/providers";
+
+type Props = {
+  settings: ProviderSettings;
+  onChange: (next: ProviderSettings) => void;
+  /** offline provider data currently loaded */
+  localPlaces: number;
+  localRoads: number;
+  onLoadPlaces: (file: File) => void;
+  onLoadRoads: (file: File) => void;
+};
+
+const field: React.CSSProperties = { padding: 6, borderRadius: 6, border: "1px solid #555", background: "#111", color: "#fff" };
+const label: React.CSSProperties = { display: "grid", gap: 4, fontSize: 13 };
+
+/** Geocoder / router selection, API keys and offline data for the route generator. */
+export default function ProviderSettingsPanel({ settings, onChange, localPlaces, localRoads, onLoadPlaces, onLoadRoads }: Props) {
+  const set = <K extends keyof ProviderSettings>(key: K, value: ProviderSettings[K]) => onChange({ ...settings, [key]: value });
+  const uses = (id: string) => settings.geocoder === id || settings.router === id;
+
+  return (
+    <div style={{ display: "grid", gap: 10, gridTemplateColumns: "1fr 1fr" }}>
+      <label style={label}>
+        Geocoder
+        <select value={settings.geocoder} onChange={(e) => set("geocoder", e.target.value as ProviderSettings["geocoder"])} style={field}>
+          {GEOCODERS.map((id) => <option key={id} value={id}>{PROVIDER_LABELS[id]}</option>)}
+        </select>
+      </label>
+      <label style={label}>
+        Router
+        <select value={settings.router} onChange={(e) => set("router", e.target.value as ProviderSettings["router"])} style={field}>
+          {ROUTERS.map((id) => <option key={id} value={id}>{PROVIDER_LABELS[id]}</option>)}
+        </select>
+      </label>
+
+      {uses("google") && (
+        <label style={{ ...label, gridColumn: "1 / -1" }}>
+          Google Maps API key
+          <input type="password" value={settings.googleKey || ""} onChange={(e) => set("googleKey", e.target.value.trim())} style={field} />
+        </label>
+      )}
+      {uses("maptiler") && (
+        <label style={{ ...label, gridColumn: "1 / -1" }}>
+          MapTiler API key
+          <input type="password" value={settings.maptilerKey || ""} onChange={(e) => set("maptilerKey", e.target.value.trim())} style={field} />
+        </label>
+      )}
+      {uses("osrm") && (
+        <label style={{ ...label, gridColumn: "1 / -1" }}>
+          OSRM server URL
+          <input value={settings.osrmUrl || ""} onChange={(e) => set("osrmUrl", e.target.value.trim())} style={field} />
+        </label>
+      )}
+
+      {uses("local") && (
+        <>
+          <label style={label}>
+            Places JSON ({localPlaces} loaded)
+            <input type="file" accept=".json,application/json" onChange={(e) => e.target.files?.[0] && onLoadPlaces(e.target.files[0])} />
+          </label>
+          <label style={label}>
+            Road network GeoJSON ({localRoads ? `${localRoads} lines` : "straight lines"})
+            <input type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={(e) => e.target.files?.[0] && onLoadRoads(e.target.files[0])} />
+          </label>
+          <div style={{ gridColumn: "1 / -1", fontSize: 12, opacity: 0.7 }}>
+            Places JSON maps addresses to coordinates: <code>{`{ "735 Battery St, San Francisco, CA": [-122.401, 37.798] }`}</code>.
+            Addresses already in the geocode cache resolve without it.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
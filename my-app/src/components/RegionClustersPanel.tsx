@@ -0,0 +1,96 @@
+"use client";
+
+import type { Bounds } from "@/utils/geo";
+import type { ClusterMethod, RegionCluster } from "@/utils/regionClusters";
+import { useState } from "react";
+
+type Props = {
+  clusters: RegionCluster[];
+  method: ClusterMethod;
+  onMethodChange: (m: ClusterMethod) => void;
+  thresholdKm: number;
+  onThresholdChange: (km: number) => void;
+  onJump: (cluster: RegionCluster) => void;
+  style?: React.CSSProperties;
+};
+
+const fmtBounds = ([[w, s], [e, n]]: Bounds) => `${s.toFixed(3)}, ${w.toFixed(3)} → ${n.toFixed(3)}, ${e.toFixed(3)}`;
+
+/** "Jump to cluster" list of regions computed from the loaded route endpoints. */
+export default function RegionClustersPanel({ clusters, method, onMethodChange, thresholdKm, onThresholdChange, onJump, style }: Props) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 280,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        style={{ width: "100%", textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+      >
+        {open ? "▾" : "▸"} Regions
+        <span style={{ fontWeight: 400, opacity: 0.75 }}> · {clusters.length} cluster{clusters.length === 1 ? "" : "s"}</span>
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <select
+              value={method}
+              onChange={(e) => onMethodChange(e.target.value as ClusterMethod)}
+              style={{ background: "#222", color: "white", border: "1px solid #555", borderRadius: 4 }}
+            >
+              <option value="distance">by distance</option>
+              <option value="city">by city</option>
+            </select>
+            {method === "distance" && (
+              <label style={{ display: "flex", gap: 6, alignItems: "center", flex: 1 }}>
+                <input
+                  type="range"
+                  min={0.5}
+                  max={30}
+                  step={0.5}
+                  value={thresholdKm}
+                  onChange={(e) => onThresholdChange(Number(e.target.value))}
+                  style={{ flex: 1 }}
+                />
+                <span style={{ whiteSpace: "nowrap" }}>{thresholdKm} km</span>
+              </label>
+            )}
+          </div>
+
+          <div style={{ marginTop: 8, display: "grid", gap: 4, maxHeight: "45vh", overflowY: "auto" }}>
+            {clusters.map((c) => (
+              <button
+                key={c.id}
+                onClick={() => onJump(c)}
+                title={fmtBounds(c.bounds)}
+                style={{ textAlign: "left", background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "4px 8px", cursor: "pointer" }}
+              >
+                <div style={{ display: "flex", gap: 6 }}>
+                  <span style={{ flex: 1, fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{c.label}</span>
+                  <span>{c.count} route{c.count === 1 ? "" : "s"}</span>
+                </div>
+                <div style={{ opacity: 0.7, fontSize: 12 }}>
+                  {c.dominantTeam ? <>Mostly {c.dominantTeam} ({Math.round(c.dominantShare * 100)}%)</> : "No team"}
+                </div>
+                <div style={{ opacity: 0.5, fontSize: 11, fontFamily: "monospace" }}>{fmtBounds(c.bounds)}</div>
+              </button>
+            ))}
+            {!clusters.length && <div style={{ opacity: 0.7 }}>No routes to cluster.</div>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,97 +2,38 @@
 
 import maplibregl from 'maplibre-gl';
 import React, { useEffect, useMemo, useState } from 'react';
+import { readMappedCSV } from '../utils/csvIngest';
+import { createRoutingService, ENV_PROVIDER_SETTINGS } from '../utils/providers';
 
 // ---------- CSV PARSER FOR NEW COLUMNS ----------
 /**
- * Expects a header row like:
- * month;team;class;from;to;location_name;activity
+ * Expects a header row with at least from/to (delimiter and header names are sniffed,
+ * e.g. month;team;class;from;to;location_name;activity or Origin,Destination,"Team name").
  * Returns array of { month, team, class, from, to, location_name, activity }
  */
 function parseRoutesCSV(csvText) {
   if (!csvText) return [];
-  // Normalize line endings, split into lines, trim empties
-  const lines = csvText
-    .replace(/\r\n/g, '\n')
-    .replace(/\r/g, '\n')
-    .split('\n')
-    .map(l => l.trim())
-    .filter(Boolean);
-
-  if (lines.length === 0) return [];
-
-  // Detect delimiter — default to semicolon, but allow comma if someone exports differently
-  const headerLine = lines[0];
-  const delimiter = headerLine.includes(';') ? ';' : ',';
-
-  const headers = headerLine.split(delimiter).map(h => h.trim().toLowerCase());
-  const idx = (name) => headers.indexOf(name);
-
-  // Minimal required columns
-  const fromIdx = idx('from');
-  const toIdx = idx('to');
-
-  if (fromIdx === -1 || toIdx === -1) {
-    throw new Error("CSV must include 'from' and 'to' columns in the header.");
+  const { rows, mapping } = readMappedCSV(csvText);
+  if (!mapping.from || !mapping.to) {
+    throw new Error("CSV must include 'from' and 'to' columns (or Origin/Destination) in the header.");
   }
 
-  const monthIdx = idx('month');
-  const teamIdx = idx('team');
-  const classIdx = idx('class');
-  const locIdx = idx('location_name');
-  const actIdx = idx('activity');
-
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const raw = lines[i];
-    // Simple split (no quoted-field support). If you need quotes, swap in a CSV lib.
-    const parts = raw.split(delimiter).map(s => s.trim());
-    const from = parts[fromIdx] || '';
-    const to = parts[toIdx] || '';
-    if (!from || !to) continue; // skip incomplete rows
-
-    rows.push({
-      month: monthIdx > -1 ? parts[monthIdx] || '' : '',
-      team: teamIdx > -1 ? parts[teamIdx] || '' : '',
-      class: classIdx > -1 ? parts[classIdx] || '' : '',
-      from,
-      to,
-      location_name: locIdx > -1 ? parts[locIdx] || '' : '',
-      activity: actIdx > -1 ? parts[actIdx] || '' : ''
-    });
-  }
-  return rows;
+  return rows
+    .filter((r) => r.from && r.to) // skip incomplete rows
+    .map((r) => ({
+      month: r.month || '',
+      team: r.team || '',
+      class: r.class || '',
+      from: r.from,
+      to: r.to,
+      location_name: r.location_name || '',
+      activity: r.activity || ''
+    }));
 }
 
 // ---------- EXISTING HELPERS ----------
-async function geocode(query, apiKey) {
-  const url = `https://api.maptiler.com/geocoding/${encodeURIComponent(query)}.json?key=${apiKey}&limit=1&language=en&country=US`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Geocoding failed: ${res.status}`);
-  const data = await res.json();
-  const feat = data?.features?.[0];
-  if (!feat?.center) throw new Error(`No result for: ${query}`);
-  return { lon: feat.center[0], lat: feat.center[1], name: feat.place_name || query };
-}
-
-async function routeOSRM(a, b, profile = 'driving') {
-  const base = 'https://router.project-osrm.org/route/v1';
-  const url = `${base}/${profile}/${a.lon},${a.lat};${b.lon},${b.lat}?overview=full&geometries=geojson&steps=false`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Routing failed: ${res.status}`);
-  const data = await res.json();
-  const r = data?.routes?.[0];
-  if (!r?.geometry) throw new Error('No route geometry returned');
-  return {
-    type: 'Feature',
-    properties: {
-      distance_m: r.distance,
-      duration_s: r.duration,
-      profile
-    },
-    geometry: r.geometry
-  };
-}
+// Geocoding/routing go through the shared provider interface (MapTiler + OSRM by default)
+const DEFAULT_PROVIDERS = { ...ENV_PROVIDER_SETTINGS, geocoder: 'maptiler', router: 'osrm' };
 
 function downloadJSON(obj, filename = 'route.geojson') {
   const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/geo+json' });
@@ -114,7 +55,8 @@ export default function RouteGenerator({
   profile = 'driving',
   autoFit = true,
   sourceId = 'commute-route',
-  layerId = 'commute-route-line'
+  layerId = 'commute-route-line',
+  providerSettings = DEFAULT_PROVIDERS
 }) {
   // Manual inputs (still supported)
   const [from, setFrom] = useState(addresses?.[0] || '');
@@ -148,7 +90,13 @@ export default function RouteGenerator({
     }
   }, [selectedRow, rows]);
 
-  const canBuild = useMemo(() => !!from && !!to && !!apiKey, [from, to, apiKey]);
+  // `apiKey` (MapTiler) still overrides the configured key for backwards compatibility
+  const service = useMemo(
+    () => createRoutingService({ ...providerSettings, ...(apiKey ? { maptilerKey: apiKey } : {}) }),
+    [providerSettings, apiKey]
+  );
+
+  const canBuild = useMemo(() => !!from && !!to, [from, to]);
 
   const addOrUpdateLayer = (feature) => {
     if (!map) return;
@@ -182,8 +130,8 @@ export default function RouteGenerator({
     try {
       setErr(null);
       setLoading(true);
-      const [p1, p2] = await Promise.all([geocode(from, apiKey), geocode(to, apiKey)]);
-      const feat = await routeOSRM(p1, p2, profile);
+      const [p1, p2] = await Promise.all([service.geocode(from), service.geocode(to)]);
+      const feat = await service.route(p1, p2, profile);
 
       // Attach some metadata from the selected CSV row if present
       const meta = selectedRow >= 0 && rows[selectedRow] ? rows[selectedRow] : {};
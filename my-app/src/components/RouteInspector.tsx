@@ -0,0 +1,175 @@
+"use client";
+
+import { pathLengthMeters } from "@/utils/geo";
+import type { Feature, Position } from "geojson";
+import { useEffect } from "react";
+
+type Props = {
+  /** the selected route, with its original (unsmoothed) geometry and properties */
+  feature: Feature;
+  onClose: () => void;
+  style?: React.CSSProperties;
+};
+
+const show = (v: unknown) => (v != null && String(v).trim() ? String(v) : "—");
+
+const km = (m: number) => `${(m / 1000).toFixed(2)} km`;
+
+function duration(s: number) {
+  const min = Math.round(s / 60);
+  return min >= 60 ? `${Math.floor(min / 60)} h ${min % 60} min` : `${min} min`;
+}
+
+/** Length of the drawn line, on the ground plane (elevation is not part of the data). */
+function lineLength(f: Feature): number | null {
+  const g = f.geometry;
+  if (g?.type === "LineString") return pathLengthMeters(g.coordinates);
+  if (g?.type === "MultiLineString") return g.coordinates.reduce((sum, part) => sum + pathLengthMeters(part), 0);
+  return null;
+}
+
+function lastCoordinate(f: Feature): Position | null {
+  const g = f.geometry;
+  const coords = g?.type === "LineString" ? g.coordinates : g?.type === "MultiLineString" ? g.coordinates.flat() : [];
+  return coords.length ? coords[coords.length - 1] : null;
+}
+
+/** Search links for the destination address, falling back to the route's end point. */
+function externalMapLinks(address: string, end: Position | null) {
+  if (address) {
+    const q = encodeURIComponent(address);
+    return [
+      { label: "Google Maps", href: `https://www.google.com/maps/search/?api=1&query=${q}` },
+      { label: "OpenStreetMap", href: `https://www.openstreetmap.org/search?query=${q}` },
+    ];
+  }
+  if (!end) return [];
+  const [lng, lat] = end;
+  return [
+    { label: "Google Maps", href: `https://www.google.com/maps/search/?api=1&query=${lat},${lng}` },
+    { label: "OpenStreetMap", href: `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=17/${lat}/${lng}` },
+  ];
+}
+
+const sectionTitle: React.CSSProperties = { fontWeight: 600, marginBottom: 4 };
+const cellKey: React.CSSProperties = { opacity: 0.7, paddingRight: 8, verticalAlign: "top", whiteSpace: "nowrap" };
+
+function Rows({ rows }: { rows: [string, React.ReactNode][] }) {
+  return (
+    <table style={{ borderCollapse: "collapse", width: "100%" }}>
+      <tbody>
+        {rows.map(([k, v]) => (
+          <tr key={k}>
+            <td style={cellKey}>{k}</td>
+            <td style={{ wordBreak: "break-word" }}>{v}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/** Everything known about the clicked route. Escape or ✕ clears the selection. */
+export default function RouteInspector({ feature, onClose, style }: Props) {
+  useEffect(() => {
+    const onKey = (e: KeyboardEvent) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const p = feature.properties ?? {};
+  const reported = Number(p.distance_m);
+  const drawn = lineLength(feature);
+  const diff = drawn != null && reported > 0 ? (drawn - reported) / reported : null;
+  const address = String(p.original_to ?? p.to ?? "").trim();
+  const links = externalMapLinks(address, lastCoordinate(feature));
+  const title = show(p.location_name ?? p.original_to ?? p.to);
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.92)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 300,
+        fontSize: 13,
+        display: "grid",
+        gap: 10,
+        alignContent: "start",
+        overflowY: "auto",
+        ...style,
+      }}
+    >
+      <div style={{ display: "flex", gap: 8, alignItems: "start" }}>
+        <div style={{ flex: 1 }}>
+          <div style={{ fontWeight: 600, fontSize: 15 }}>{title}</div>
+          <div style={{ opacity: 0.7 }}>{[p.team, p.month, p.class].filter(Boolean).join(" · ") || "—"}</div>
+        </div>
+        <button
+          onClick={onClose}
+          aria-label="Close route details"
+          style={{ background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "0 6px", cursor: "pointer" }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div>
+        <div style={sectionTitle}>Addresses</div>
+        <Rows
+          rows={[
+            ["From (input)", show(p.original_from)],
+            ["From (geocoded)", show(p.from)],
+            ["To (input)", show(p.original_to)],
+            ["To (geocoded)", show(p.to)],
+          ]}
+        />
+      </div>
+
+      <div>
+        <div style={sectionTitle}>Trip</div>
+        <Rows
+          rows={[
+            ["Reported distance", reported > 0 ? km(reported) : "—"],
+            [
+              "Drawn path length",
+              drawn != null ? (
+                <>
+                  {km(drawn)}
+                  {diff != null && <span style={{ opacity: 0.7 }}> ({diff >= 0 ? "+" : ""}{(diff * 100).toFixed(1)}%)</span>}
+                </>
+              ) : (
+                "—"
+              ),
+            ],
+            ["Duration", Number(p.duration_s) > 0 ? duration(Number(p.duration_s)) : "—"],
+            ["Mode", show(p.profile)],
+            ["Activity", show(p.activity)],
+          ]}
+        />
+        <div style={{ opacity: 0.6, fontSize: 11, marginTop: 4 }}>
+          Path length is measured along the line on the map (2D, no elevation); the reported distance comes from the routing provider.
+        </div>
+      </div>
+
+      {links.length > 0 && (
+        <div style={{ display: "flex", gap: 10 }}>
+          {links.map((l) => (
+            <a key={l.label} href={l.href} target="_blank" rel="noopener noreferrer" style={{ color: "#60a5fa" }}>
+              Open in {l.label} ↗
+            </a>
+          ))}
+        </div>
+      )}
+
+      <details open>
+        <summary style={{ cursor: "pointer", opacity: 0.85 }}>All properties ({Object.keys(p).length})</summary>
+        <div style={{ marginTop: 6, fontFamily: "monospace", fontSize: 12 }}>
+          <Rows rows={Object.entries(p).map(([k, v]) => [k, typeof v === "object" && v !== null ? JSON.stringify(v) : show(v)])} />
+        </div>
+      </details>
+    </div>
+  );
+}
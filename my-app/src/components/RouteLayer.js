@@ -1,7 +1,12 @@
 "use client"
 
 import { useSmoothRoute } from "@/hooks/useSmoothRoute"
-import maplibregl from "maplibre-gl"
+import { readMappedCSV } from "@/utils/csvIngest"
+import { categoryColor } from "@/utils/colorBy"
+import { featureBounds } from "@/utils/geo"
+import { filterFeatureCollection } from "@/utils/routeFilters"
+import { DEFAULT_ROUTE_STYLES, END_COLOR, resolveRouteStyle } from "@/utils/routeStyles"
+import { DEFAULT_SMOOTHING } from "@/utils/smoothingPresets"
 import { useEffect, useMemo, useRef, useState } from "react"
 
 // Colors
@@ -17,12 +22,9 @@ const NEON_GREEN = "#39FF14"
 const MINT_GREEN = "#00FF93"
 const DARK_GREEN = "#138B4F"
 
-// Parameters
-const CRAYON_WIDTH = 8
-const CRAYON_OPACITY = .3
+// Parameters (route line colors/widths come from the route style config, see utils/routeStyles)
 const START_COLOR = "#ffffff";
 const MID_COLOR = SDIC_BLUE;
-const END_COLOR = "#8b60f7";
 const head_t = 100;
 const tail_t = 100;
 const inner_head_t = 1500;
@@ -36,18 +38,6 @@ const showGradientVertices = false;
 // --- CSV helpers ---
 const normalize = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
 
-function parseSemicolonCSV(text) {
-    const lines = text.split(/\r?\n/).filter(Boolean);
-    if (!lines.length) return [];
-    const headers = lines.shift().split(";").map((h) => h.trim());
-    return lines.map((line) => {
-        const cols = line.split(";").map((c) => c.trim());
-        const row = {};
-        headers.forEach((h, i) => (row[h] = cols[i] ?? ""));
-        return row;
-    });
-}
-
 // Distance helpers
 
 /** Haversine: distance in meters between two [lon, lat] points on Earth using Haversine formula. */
@@ -320,12 +310,24 @@ export default function RouteLayer({
     fitOnLoad = false,
     routeImportance = "medium",
     showSmoothed = false,
+    filters = null,
+    styleConfig = DEFAULT_ROUTE_STYLES,
+    categoryColors = null, // color-by mode: { key, colors } from utils/colorBy, overrides the mode colors
+    selectedFeature = null, // original feature of the selected route (highlighted, the others dimmed)
+    onSelectRoute, // (originalFeature | null) => void, called on line / endpoint clicks
+    smoothOptions = DEFAULT_SMOOTHING, // SmoothOpts for every route (see utils/smoothingPresets)
+    smoothOverrides = null, // { [sourceIndex]: SmoothOpts } for single routes
+    onSourceData, // receives the unsmoothed collection as loaded (e.g. for export with a preset)
+    compareOverlay = false, // draw the other geometry (original vs smoothed) thinly on top
+    onSmoothingProgress, // (0..1 | null) => void while the route worker smooths
 }) {
 
     // React state holding the loaded route GeoJSON (Feature/FeatureCollection).
     // const [geojson, setGeojson] = useState(null)
     const lastSentRef = useRef(null)
     const featureLayerIdsRef = useRef([]);
+    // layer id -> paint it was created with, so selection can dim and restore without rebuilding layers
+    const basePaintRef = useRef(new Map());
 
     // CSV State
     const [csvRows, setCsvRows] = useState([]);
@@ -345,25 +347,24 @@ export default function RouteLayer({
         if (!file) return;
         try {
             const text = await file.text();
-            setCsvRows(parseSemicolonCSV(text));
+            // delimiter and header names are sniffed, so comma / quoted exports work too
+            setCsvRows(readMappedCSV(text).rows);
         } catch (err) {
             console.error("Invalid CSV file", err);
             alert("Invalid CSV file");
         }
     };
 
-    const { data: smoothed, original: original} = useSmoothRoute({
+    const { data: smoothed, original: original, progress: smoothingProgress } = useSmoothRoute({
         url,
-        options: {
-            simplifyToleranceMeters: 4, // adjust 1–5m
-            deflectionThresholdDeg: 20, // what counts as “sharp”
-            filletFraction: .4, // how rounded the corner feels (0.15–0.3 feels natural)
-            densifySegments: 0,
-            spline: false,
-            resampleSpacingMeters: 9 // spacing of points in final output
-        },
+        options: smoothOptions,
+        overrides: smoothOverrides,
     })
 
+    useEffect(() => {
+        onSmoothingProgress?.(smoothingProgress);
+    }, [smoothingProgress, onSmoothingProgress]);
+
 
     // Load routes json from URL input
     // useEffect(() => {
@@ -386,7 +387,22 @@ export default function RouteLayer({
     const smoothedFC = useMemo(() => (smoothed ? asFC(smoothed) : null), [smoothed])
     const originalFC = useMemo(() => (original ? asFC(original) : null), [original])
 
-    const fc = showSmoothed ? smoothedFC : originalFC
+    useEffect(() => {
+        if (originalFC) onSourceData?.(originalFC);
+    }, [originalFC, onSourceData]);
+
+    // Apply facet filters to both collections so endpoint props stay index-aligned with the lines.
+    // onData still receives the unfiltered collection (the parent builds facets from it).
+    const visibleSmoothedFC = useMemo(() => (smoothedFC ? filterFeatureCollection(smoothedFC, filters) : null), [smoothedFC, filters])
+    const visibleOriginalFC = useMemo(() => (originalFC ? filterFeatureCollection(originalFC, filters) : null), [originalFC, filters])
+
+    const fc = showSmoothed ? visibleSmoothedFC : visibleOriginalFC
+
+    // Position of the selected route among the visible ones (-1 when none or filtered out)
+    const selectedIndex = useMemo(
+        () => (selectedFeature && visibleOriginalFC ? visibleOriginalFC.features.indexOf(selectedFeature) : -1),
+        [selectedFeature, visibleOriginalFC]
+    )
 
     // 0) Get lines decorated with t1,t2,t3 stops for gradient rendering
     // Build a cloned FC that carries per-feature stops
@@ -423,22 +439,27 @@ export default function RouteLayer({
         }
     }, [smoothedFC, onData]);
 
-    const { origin, endpoints } = useMemo(() => {
-        if (!fcIndexed) return { origin: null, endpoints: [] };
+    const { origins, endpoints } = useMemo(() => {
+        if (!fcIndexed) return { origins: [], endpoints: [] };
         let originPt = null;
+        const hubStarts = new Map(); // hub name -> start of its first route
         const ends = [];
 
-        for (const feat of fcIndexed.features || []) {
+        (fcIndexed.features || []).forEach((feat, i) => {
             const g = feat.geometry;
-            if (!g) continue;
+            if (!g) return;
             const start = coordAtT(g, 0); // uses your helper
             const end   = coordAtT(g, 1);
 
+            // hub-and-spoke routes: every hub glows, not just the first feature's start
+            const hub = visibleOriginalFC?.features?.[i]?.properties?.hub ?? feat.properties?.hub;
+            if (hub && start && !hubStarts.has(hub)) hubStarts.set(hub, start);
             if (!originPt && start) originPt = start;
             if (end) ends.push(end);
-        }
-        return { origin: originPt, endpoints: ends };
-    }, [fcIndexed]);
+        });
+        const starts = hubStarts.size ? [...hubStarts.values()] : originPt ? [originPt] : [];
+        return { origins: starts, endpoints: ends };
+    }, [fcIndexed, visibleOriginalFC]);
     
     
     // 1) Source (route geojson)
@@ -456,8 +477,17 @@ export default function RouteLayer({
         // clear previously created layers
         featureLayerIdsRef.current.forEach(id => map.getLayer(id) && map.removeLayer(id));
         featureLayerIdsRef.current = [];
+        const basePaint = basePaintRef.current;
 
         (fcIndexed.features || []).forEach((feat, i) => {
+            // mode / importance live on the original properties (smoothing may drop them)
+            const props = visibleOriginalFC?.features?.[i]?.properties ?? feat.properties;
+            const style = resolveRouteStyle(styleConfig, props, routeImportance);
+            const categoryCol = categoryColors ? categoryColor(categoryColors, props) : null;
+            const [startColor, midColor, endColor] = categoryCol
+                ? [style.colors[0], categoryCol, categoryCol]
+                : style.colors;
+
             // Compute per-feature stops
             const { t1, t2, t3, t4, t5 } = computeStopsForGeometry(feat.geometry, {
                 headMeters: head_t,
@@ -472,13 +502,13 @@ export default function RouteLayer({
             // Build a gradient that uses only LITERAL stop positions
             const lineGradient = [
                 "interpolate", ["linear"], ["line-progress"],
-                0.0,   START_COLOR,
-                t1,  START_COLOR,
-                t2,  MID_COLOR,
-                t3,  MID_COLOR,
-                t4,  MID_COLOR,
-                t5,  END_COLOR,
-                1,   END_COLOR,
+                0.0,   startColor,
+                t1,  startColor,
+                t2,  midColor,
+                t3,  midColor,
+                t4,  midColor,
+                t5,  endColor,
+                1,   endColor,
             ] ;
 
             // Add the layer, filtered to just this feature.id
@@ -488,9 +518,12 @@ export default function RouteLayer({
                 source: sourceId,
                 layout: { "line-cap": "round", "line-join": "round" },
                 paint: {
-                    "line-gradient": lineGradient,
-                    "line-width": CRAYON_WIDTH / 2,
-                    "line-opacity": CRAYON_OPACITY ,
+                    // MapLibre ignores line-dasharray on gradient lines, so dashed modes get a flat color
+                    ...(style.dash
+                        ? { "line-color": midColor, "line-dasharray": style.dash }
+                        : { "line-gradient": lineGradient }),
+                    "line-width": style.width,
+                    "line-opacity": style.opacity * opacity,
                     "line-blur": 0.5,
                 },
                 // draw only the parts that belong to this original feature (route)
@@ -498,28 +531,33 @@ export default function RouteLayer({
             });
 
             featureLayerIdsRef.current.push(id);           
+            basePaint.set(id, { "line-width": style.width, "line-opacity": style.opacity * opacity });
         });
 
 
         // cleanup for these two layers on id changes/unmount
         return () => {
-            featureLayerIdsRef.current.forEach(id => map.getLayer(id) && map.removeLayer(id));
+            featureLayerIdsRef.current.forEach(id => {
+                if (map.getLayer(id)) map.removeLayer(id);
+                basePaint.delete(id);
+            });
             featureLayerIdsRef.current = [];
         };
-    }, [map, fc, fcIndexed, sourceId, layerId, opacity, routeImportance]);
+    }, [map, fc, fcIndexed, visibleOriginalFC, sourceId, layerId, opacity, routeImportance, styleConfig, categoryColors]);
 
 
     // 3a) Origin & endpoint points
     useEffect(() => {
         if (!map || !fcIndexed) return;
 
+        const basePaint = basePaintRef.current;
         const pointSrc = `${sourceId}-origin-point`;
         const endSrc   = `${sourceId}-endpoint-point`;
 
-        if (origin) {
+        if (origins.length) {
             const pointFC = {
                 type: "FeatureCollection",
-                features: [{ type: "Feature", geometry: { type: "Point", coordinates: origin }, properties: {} }],
+                features: origins.map((coordinates) => ({ type: "Feature", geometry: { type: "Point", coordinates }, properties: {} })),
             };
             upsertGeoJSONSource(map, pointSrc, pointFC);
             const baseZoomRadius = (k) => [
@@ -545,7 +583,7 @@ export default function RouteLayer({
                 features: endpoints.map((coord, i) => {
                     // try to get props from whichever FC has metadata;
                     // prefer ORIGINAL feature props because smoothed often loses them
-                    const origProps = originalFC?.features?.[i]?.properties || {};
+                    const origProps = visibleOriginalFC?.features?.[i]?.properties || {};
                     const featProps = fcIndexed?.features?.[i]?.properties || {};
                     const srcProps  = Object.keys(origProps).length ? origProps : featProps;
 
@@ -574,6 +612,9 @@ export default function RouteLayer({
                     address:      row?.to           ?? toStr,                // "address" = CSV `to` or original `to`
                     activity:     row?.activity     ?? srcProps.activity     ?? "",
                     profile:      row?.profile      ?? srcProps.profile      ?? "",
+                    distance_m:   srcProps.distance_m ?? featProps.distance_m ?? null,
+                    // glow color: the route's category in color-by mode (same props as its line)
+                    color:        categoryColors ? categoryColor(categoryColors, srcProps) : END_COLOR,
                     };
 
                     return {
@@ -592,12 +633,15 @@ export default function RouteLayer({
             ];
             const ks = [1.3, .42, .35, .27];
             ks.forEach((k, i) => {
-                ensurePointLayer(map, `${layerId}-endpoint-glow${i+1}`, endSrc, {
-                    "circle-color": END_COLOR,
+                const glowId = `${layerId}-endpoint-glow${i+1}`;
+                const glowOpacity = i === ks.length - 1 ? 0.5 : 0.1;
+                ensurePointLayer(map, glowId, endSrc, {
+                    "circle-color": ["get", "color"],
                     "circle-radius": baseZoomRadius(k),   // <-- stays top-level interpolate
-                    "circle-opacity": i === ks.length - 1 ? 0.5 : 0.1,
+                    "circle-opacity": glowOpacity,
                     "circle-blur": i === ks.length - 1 ? 0.5 : 0.3,
                 });
+                basePaint.set(glowId, { "circle-opacity": glowOpacity });
             });
 
             // Invisible hit points to hover over for popups
@@ -633,11 +677,14 @@ export default function RouteLayer({
                 `${layerId}-endpoint-glow6`,
                 `${layerId}-endpoint-hit`,
             ];
-            ids.forEach(id => { if (map.getLayer(id)) map.removeLayer(id) });
+            ids.forEach(id => {
+                if (map.getLayer(id)) map.removeLayer(id);
+                basePaint.delete(id);
+            });
             if (map.getSource(pointSrc)) map.removeSource(pointSrc);
             if (map.getSource(endSrc))   map.removeSource(endSrc);
         };
-    }, [map, fcIndexed, origin, endpoints, sourceId, layerId, csvIndex]);
+    }, [map, fcIndexed, origins, endpoints, sourceId, layerId, csvIndex, categoryColors]);
 
 
     // 3b) Show vertices as points (FOR DEBUGGING)
@@ -754,19 +801,93 @@ export default function RouteLayer({
         };
     }, [map, fcIndexed, sourceId, layerId]);
     
+    // 3d) Compare: the geometry not being shown (original or smoothed) as a thin dashed line on top
+    const compareFC = compareOverlay ? (showSmoothed ? visibleOriginalFC : visibleSmoothedFC) : null;
+    useEffect(() => {
+        if (!map || !compareFC) return;
+        const srcId = `${sourceId}-compare`;
+        const id = `${layerId}-compare`;
+        upsertGeoJSONSource(map, srcId, compareFC);
+        if (!map.getLayer(id)) {
+            map.addLayer({
+                id,
+                type: "line",
+                source: srcId,
+                layout: { "line-cap": "butt", "line-join": "round" },
+                paint: { "line-color": BRIGHT_RED, "line-width": 1.5, "line-opacity": 0.9, "line-dasharray": [2, 2] },
+            });
+        }
+        return () => {
+            if (map.getLayer(id)) map.removeLayer(id);
+            if (map.getSource(srcId)) map.removeSource(srcId);
+        };
+        // re-added after the route layers are rebuilt so it stays on top
+    }, [map, compareFC, sourceId, layerId, fcIndexed, styleConfig, categoryColors, opacity, routeImportance]);
+
+    // 3e) Selection: the selected route and its endpoint glow stand out, everything else is dimmed.
+    // Declared after 2) and 3a) so freshly rebuilt layers get the current selection too.
+    useEffect(() => {
+        if (!map) return;
+        const sel = selectedIndex;
+        basePaintRef.current.forEach((base, id) => {
+            if (!map.getLayer(id)) return;
+            if ("line-width" in base) {
+                const isSel = id === `${layerId}-${sel}`;
+                const lineOpacity = base["line-opacity"];
+                map.setPaintProperty(id, "line-width", isSel ? base["line-width"] * 1.6 : base["line-width"]);
+                map.setPaintProperty(id, "line-opacity", sel < 0 ? lineOpacity : isSel ? Math.min(1, lineOpacity * 3) : lineOpacity * 0.25);
+            } else {
+                const o = base["circle-opacity"];
+                map.setPaintProperty(id, "circle-opacity", sel < 0 ? o : ["case", ["==", ["get", "endpointIndex"], sel], o, o * 0.2]);
+            }
+        });
+    }, [map, selectedIndex, layerId, fcIndexed, endpoints, opacity, routeImportance, styleConfig, categoryColors]);
+
+    // The selection is kept as the original feature: a smoothed one (search runs on the collection
+    // sent through onData) is swapped for its original, one that is filtered out is deselected
+    useEffect(() => {
+        if (!selectedFeature || !visibleOriginalFC || selectedIndex >= 0) return;
+        const i = visibleSmoothedFC?.features?.indexOf(selectedFeature) ?? -1;
+        onSelectRoute?.(i >= 0 ? visibleOriginalFC.features[i] ?? null : null);
+    }, [selectedFeature, visibleOriginalFC, visibleSmoothedFC, selectedIndex, onSelectRoute]);
+
+    // 3f) Click a line or endpoint to select its route; a click anywhere else clears the selection
+    useEffect(() => {
+        if (!map || !onSelectRoute) return;
+
+        const routeIndexAt = (point) => {
+            const layers = [...featureLayerIdsRef.current, `${layerId}-endpoint-hit`].filter((id) => map.getLayer(id));
+            if (!layers.length) return -1;
+            const r = 5; // a few px of slack, route lines are thin
+            const [hit] = map.queryRenderedFeatures([[point.x - r, point.y - r], [point.x + r, point.y + r]], { layers });
+            const i = hit?.properties?.endpointIndex ?? hit?.properties?.__idx;
+            return Number.isInteger(i) ? i : -1;
+        };
+
+        const onClick = (e) => {
+            const i = routeIndexAt(e.point);
+            onSelectRoute(i >= 0 ? visibleOriginalFC?.features?.[i] ?? null : null);
+        };
+        const onMove = (e) => {
+            map.getCanvas().style.cursor = routeIndexAt(e.point) >= 0 ? "pointer" : "";
+        };
+
+        map.on("click", onClick);
+        map.on("mousemove", onMove);
+        return () => {
+            map.off("click", onClick);
+            map.off("mousemove", onMove);
+            map.getCanvas().style.cursor = "";
+        };
+    }, [map, layerId, visibleOriginalFC, onSelectRoute]);
+
     // 4) One-time fit-to-bounds
     const didFitRef = useRef(false);
     useEffect(() => {
         if (!map || !fc || !fitOnLoad || didFitRef.current) return;
         try {
-            const bounds = new maplibregl.LngLatBounds();
-            for (const f of fc.features || []) {
-                const g = f.geometry;
-                if (!g) continue;
-                if (g.type === "LineString") g.coordinates.forEach(c => bounds.extend(c));
-                else if (g.type === "MultiLineString") g.coordinates.flat().forEach(c => bounds.extend(c));
-            }
-            if (!bounds.isEmpty()) {
+            const bounds = featureBounds(fc.features || []);
+            if (bounds) {
                 didFitRef.current = true;
                 map.fitBounds(bounds, { padding: 60, duration: 900 });
             }
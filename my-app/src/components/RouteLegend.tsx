@@ -0,0 +1,101 @@
+"use client";
+
+import type { LegendEntry } from "@/utils/routeStyles";
+
+type Props = {
+  entries: LegendEntry[];
+  title?: string;
+  /** key of the isolated entry; the others are dimmed */
+  selected?: string | null;
+  /** makes the rows clickable (isolate / show all again) */
+  onSelect?: (key: string) => void;
+  style?: React.CSSProperties;
+};
+
+const SWATCH_WIDTH = 36;
+const SWATCH_STROKE = 4;
+
+/** A short sample of the route line: the mode's gradient, or its dashed middle color like on the map. */
+function Swatch({ entry, gradientId }: { entry: LegendEntry; gradientId: string }) {
+  const [a, b = a, c = b] = entry.colors;
+  return (
+    <svg width={SWATCH_WIDTH} height={SWATCH_STROKE * 2} aria-hidden>
+      {!entry.dash && (
+        <defs>
+          <linearGradient id={gradientId}>
+            <stop offset="0" stopColor={a} />
+            <stop offset="0.5" stopColor={b} />
+            <stop offset="1" stopColor={c} />
+          </linearGradient>
+        </defs>
+      )}
+      <line
+        x1={SWATCH_STROKE / 2}
+        x2={SWATCH_WIDTH - SWATCH_STROKE / 2}
+        y1={SWATCH_STROKE}
+        y2={SWATCH_STROKE}
+        stroke={entry.dash ? b : `url(#${gradientId})`}
+        strokeWidth={SWATCH_STROKE}
+        strokeDasharray={entry.dash ? entry.dash.map((d) => d * SWATCH_STROKE).join(" ") : undefined}
+      />
+    </svg>
+  );
+}
+
+/** Which line style belongs to which travel mode, or which color to which category in color-by mode. */
+export default function RouteLegend({ entries, title, selected = null, onSelect, style }: Props) {
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: "6px 10px",
+        border: "1px solid #444",
+        borderRadius: 8,
+        fontSize: 13,
+        display: "grid",
+        gap: 4,
+        maxHeight: "40vh",
+        overflowY: "auto",
+        ...style,
+      }}
+    >
+      {title && (
+        <div style={{ fontWeight: 600 }}>
+          {title}
+          {onSelect && <span style={{ fontWeight: 400, opacity: 0.6, fontSize: 11 }}> · click to isolate</span>}
+        </div>
+      )}
+      {entries.map((e, i) => {
+        // category keys are free text, so gradient ids go by position
+        const row = (
+          <>
+            <Swatch entry={e} gradientId={`route-legend-${i}`} />
+            <span>{e.label}</span>
+          </>
+        );
+        const rowStyle: React.CSSProperties = {
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          opacity: selected != null && selected !== e.key ? 0.4 : 1,
+        };
+        return onSelect ? (
+          <button
+            key={e.key}
+            onClick={() => onSelect(e.key)}
+            aria-pressed={selected === e.key}
+            title={selected === e.key ? "Show all" : `Show only ${e.label}`}
+            style={{ ...rowStyle, background: "none", border: "none", color: "white", padding: 0, cursor: "pointer", font: "inherit", textAlign: "left" }}
+          >
+            {row}
+          </button>
+        ) : (
+          <div key={e.key} style={rowStyle}>
+            {row}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+"use client";
+
+import { searchRoutes, type SearchResult } from "@/utils/routeSearch";
+import type { Feature } from "geojson";
+import { useMemo, useState } from "react";
+
+type Props = {
+  /** routes to search (the ones currently on the map) */
+  features: Feature[];
+  onPick: (result: SearchResult) => void;
+  style?: React.CSSProperties;
+};
+
+const FIELD_LABELS: Record<SearchResult["field"], string> = {
+  location_name: "venue",
+  activity: "activity",
+  original_to: "address",
+  to: "address",
+  team: "team",
+};
+
+/** Find a route by venue, activity, address or team; Enter / click picks a result. */
+export default function RouteSearch({ features, onPick, style }: Props) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  const results = useMemo(() => searchRoutes(features, query, 12), [features, query]);
+
+  const pick = (r: SearchResult) => {
+    onPick(r);
+    setOpen(false);
+  };
+
+  const onKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => (results.length ? (i + step + results.length) % results.length : 0));
+    } else if (e.key === "Enter" && results[active]) {
+      pick(results[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ width: 320, fontSize: 13, ...style }}>
+      <input
+        type="search"
+        value={query}
+        placeholder="Search venue, activity, address, team…"
+        aria-label="Search routes"
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        style={{
+          width: "100%",
+          boxSizing: "border-box",
+          background: "rgba(20,20,20,0.85)",
+          color: "white",
+          border: "1px solid #444",
+          borderRadius: 8,
+          padding: "8px 10px",
+          fontSize: 14,
+        }}
+      />
+      {open && query.trim() && (
+        <div
+          role="listbox"
+          style={{
+            marginTop: 4,
+            background: "rgba(20,20,20,0.92)",
+            color: "white",
+            border: "1px solid #444",
+            borderRadius: 8,
+            maxHeight: "50vh",
+            overflowY: "auto",
+          }}
+        >
+          {results.map((r, i) => {
+            const p = r.feature.properties ?? {};
+            const title = String(p.location_name || p.original_to || p.to || "Route");
+            const meta = [p.activity, p.team, p.month].filter(Boolean).join(" · ");
+            return (
+              <div
+                key={r.index}
+                role="option"
+                aria-selected={i === active}
+                // mousedown so the pick lands before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(r);
+                }}
+                onMouseEnter={() => setActive(i)}
+                style={{ padding: "6px 10px", cursor: "pointer", background: i === active ? "#3b82f6" : "transparent" }}
+              >
+                <div style={{ fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{title}</div>
+                {meta && <div style={{ opacity: 0.75, fontSize: 12 }}>{meta}</div>}
+                {r.text !== title && (
+                  <div style={{ opacity: 0.6, fontSize: 11, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {FIELD_LABELS[r.field]}: {r.text}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {!results.length && <div style={{ padding: "6px 10px", opacity: 0.7 }}>No routes match “{query.trim()}”.</div>}
+        </div>
+      )}
+    </div>
+  );
+}
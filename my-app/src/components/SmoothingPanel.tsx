@@ -0,0 +1,235 @@
+"use client";
+
+import { pathLengthMeters } from "@/utils/geo";
+import { smoothLineStringGuarded } from "@/utils/smoothRoute";
+import { SMOOTH_CONTROLS, type SmoothPreset } from "@/utils/smoothingPresets";
+import type { Position } from "geojson";
+import { useEffect, useMemo, useState } from "react";
+
+type Scope = "all" | "route";
+type CompareMode = "split" | "overlay";
+
+type Props = {
+  /** options for the current scope (all routes, or the selected route with its override) */
+  value: SmoothPreset;
+  /** debounced while a slider is dragged */
+  onChange: (next: SmoothPreset) => void;
+  scope: Scope;
+  onScopeChange: (scope: Scope) => void;
+  /** name of the selected route; route scope is unavailable without one */
+  routeLabel: string | null;
+  /** the value differs from the saved / dataset preset (or the route has its own override) */
+  modified: boolean;
+  /** back to the saved / dataset preset, or drop the route's override */
+  onReset: () => void;
+  onSave: () => void;
+  onExportDataset: () => void;
+  compareOnMap: boolean;
+  onCompareOnMapChange: (on: boolean) => void;
+  /** original geometry of the previewed route (the selected one, else the first) */
+  previewCoords: Position[] | null;
+  style?: React.CSSProperties;
+};
+
+const DEBOUNCE_MS = 200;
+
+const buttonStyle: React.CSSProperties = { background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "2px 8px", cursor: "pointer" };
+
+const tabStyle = (active: boolean): React.CSSProperties => ({ ...buttonStyle, flex: 1, background: active ? "#3b82f6" : "#333" });
+
+const ORIGINAL_COLOR = "#ff6b6b";
+const SMOOTHED_COLOR = "#60a5fa";
+
+/** Both lines in a shared local frame (x scaled by cos(lat)), fitted into w × h. */
+function projectPair(a: Position[], b: Position[], w: number, h: number, pad = 6) {
+  const all = [...a, ...b];
+  const lat0 = all.reduce((s, p) => s + p[1], 0) / Math.max(1, all.length);
+  const k = Math.cos((lat0 * Math.PI) / 180);
+  const xy = (p: Position) => [p[0] * k, -p[1]];
+  const pts = all.map(xy);
+  const minX = Math.min(...pts.map((p) => p[0])), maxX = Math.max(...pts.map((p) => p[0]));
+  const minY = Math.min(...pts.map((p) => p[1])), maxY = Math.max(...pts.map((p) => p[1]));
+  const s = Math.min((w - 2 * pad) / (maxX - minX || 1), (h - 2 * pad) / (maxY - minY || 1));
+  const ox = (w - (maxX - minX) * s) / 2, oy = (h - (maxY - minY) * s) / 2;
+  const toSvg = (line: Position[]) => line.map(xy).map(([x, y]) => [ox + (x - minX) * s, oy + (y - minY) * s]);
+  return [toSvg(a), toSvg(b)];
+}
+
+const polyline = (pts: number[][]) => pts.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+
+function ComparePreview({ original, smoothed, mode }: { original: Position[]; smoothed: Position[]; mode: CompareMode }) {
+  const w = mode === "split" ? 116 : 238;
+  const h = 120;
+  const [o, sm] = projectPair(original, smoothed, w, h);
+  const originalLine = (
+    <>
+      <polyline points={polyline(o)} fill="none" stroke={ORIGINAL_COLOR} strokeWidth={1} />
+      {o.length <= 300 && o.map(([x, y], i) => <circle key={i} cx={x} cy={y} r={1.5} fill={ORIGINAL_COLOR} />)}
+    </>
+  );
+  const smoothedLine = <polyline points={polyline(sm)} fill="none" stroke={SMOOTHED_COLOR} strokeWidth={2} strokeOpacity={0.85} />;
+  const frame: React.CSSProperties = { background: "#111", borderRadius: 4 };
+  return mode === "split" ? (
+    <div style={{ display: "flex", gap: 6 }}>
+      <svg width={w} height={h} style={frame} aria-label="Original geometry">{originalLine}</svg>
+      <svg width={w} height={h} style={frame} aria-label="Smoothed geometry">{smoothedLine}</svg>
+    </div>
+  ) : (
+    <svg width={w} height={h} style={frame} aria-label="Original and smoothed geometry">
+      {smoothedLine}
+      {originalLine}
+    </svg>
+  );
+}
+
+/** Sliders for every smoothing option, applied live to the map, with an original-vs-smoothed comparison. */
+export default function SmoothingPanel({
+  value,
+  onChange,
+  scope,
+  onScopeChange,
+  routeLabel,
+  modified,
+  onReset,
+  onSave,
+  onExportDataset,
+  compareOnMap,
+  onCompareOnMapChange,
+  previewCoords,
+  style,
+}: Props) {
+  const [open, setOpen] = useState(false);
+  const [compareMode, setCompareMode] = useState<CompareMode>("split");
+
+  // sliders move the draft right away; the map (which re-smooths every route) follows once they settle
+  const [draft, setDraft] = useState(value);
+  const valueKey = JSON.stringify(value);
+  useEffect(() => setDraft(JSON.parse(valueKey)), [valueKey]);
+  useEffect(() => {
+    if (JSON.stringify(draft) === valueKey) return;
+    const t = setTimeout(() => onChange(draft), DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [draft, valueKey, onChange]);
+
+  const preview = useMemo(() => {
+    if (!open || !previewCoords || previewCoords.length < 2) return null;
+    try {
+      const { coordinates: smoothed, metrics, fallback } = smoothLineStringGuarded(previewCoords, {}, { ...draft, measure: true });
+      return { original: previewCoords, smoothed, metrics, fallback };
+    } catch {
+      return null;
+    }
+  }, [open, previewCoords, draft]);
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 260,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        style={{ width: "100%", textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+      >
+        {open ? "▾" : "▸"} Smoothing
+        {modified && <span style={{ fontWeight: 400, opacity: 0.75 }}> · tuned</span>}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8, display: "grid", gap: 8 }}>
+          <div style={{ display: "flex", gap: 4 }}>
+            <button onClick={() => onScopeChange("all")} style={tabStyle(scope === "all")}>
+              All routes
+            </button>
+            <button
+              onClick={() => onScopeChange("route")}
+              disabled={!routeLabel}
+              title={routeLabel ? undefined : "Click a route on the map first"}
+              style={{ ...tabStyle(scope === "route" && !!routeLabel), opacity: routeLabel ? 1 : 0.5 }}
+            >
+              Selected route
+            </button>
+          </div>
+          {scope === "route" && routeLabel && (
+            <div style={{ opacity: 0.75, fontSize: 12, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{routeLabel}</div>
+          )}
+
+          {SMOOTH_CONTROLS.map((c) => (
+            <label key={c.key} title={c.hint} style={{ display: "grid", gap: 2 }}>
+              <span style={{ display: "flex", justifyContent: "space-between" }}>
+                <span>{c.label}</span>
+                <span style={{ opacity: 0.8 }}>
+                  {draft[c.key]}
+                  {c.unit ?? ""}
+                </span>
+              </span>
+              <input
+                type="range"
+                min={c.min}
+                max={c.max}
+                step={c.step}
+                value={draft[c.key]}
+                onChange={(e) => setDraft({ ...draft, [c.key]: Number(e.target.value) })}
+              />
+            </label>
+          ))}
+          <label title="Bézier spline through the simplified points">
+            <input type="checkbox" checked={draft.spline} onChange={(e) => setDraft({ ...draft, spline: e.target.checked })} /> Spline
+          </label>
+
+          <div style={{ borderTop: "1px solid #444", paddingTop: 8, display: "grid", gap: 6 }}>
+            <div style={{ display: "flex", gap: 4 }}>
+              <button onClick={() => setCompareMode("split")} style={tabStyle(compareMode === "split")}>
+                Split
+              </button>
+              <button onClick={() => setCompareMode("overlay")} style={tabStyle(compareMode === "overlay")}>
+                Overlay
+              </button>
+            </div>
+            {preview ? (
+              <>
+                <ComparePreview original={preview.original} smoothed={preview.smoothed} mode={compareMode} />
+                <div style={{ opacity: 0.75, fontSize: 11 }}>
+                  <span style={{ color: ORIGINAL_COLOR }}>original</span> {preview.original.length} pts, {Math.round(pathLengthMeters(preview.original))} m ·{" "}
+                  <span style={{ color: SMOOTHED_COLOR }}>smoothed</span> {preview.smoothed.length} pts, {Math.round(pathLengthMeters(preview.smoothed))} m
+                  {preview.metrics && (
+                    <>
+                      <br />
+                      moved up to {preview.metrics.hausdorffMeters.toFixed(1)} m, {preview.metrics.meanDeviationMeters.toFixed(1)} m on average
+                    </>
+                  )}
+                  {preview.fallback && <span style={{ color: "#fbbf24" }}> · fell back to {preview.fallback}</span>}
+                </div>
+              </>
+            ) : (
+              <div style={{ opacity: 0.7 }}>No route to preview.</div>
+            )}
+            <label>
+              <input type="checkbox" checked={compareOnMap} onChange={(e) => onCompareOnMapChange(e.target.checked)} /> Show the other geometry on the map
+            </label>
+          </div>
+
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+            <button onClick={onReset} disabled={!modified} style={{ ...buttonStyle, opacity: modified ? 1 : 0.5 }}>
+              {scope === "route" && routeLabel ? "Clear override" : "Reset"}
+            </button>
+            <button onClick={onSave} title="Use these settings by default in this browser" style={buttonStyle}>
+              Save as default
+            </button>
+            <button onClick={onExportDataset} title="Routes GeoJSON with this preset and the per-route overrides" style={buttonStyle}>
+              Export dataset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
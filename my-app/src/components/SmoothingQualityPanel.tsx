@@ -0,0 +1,133 @@
+"use client";
+
+import type { Feature } from "geojson";
+import { useMemo, useState } from "react";
+
+type Metric = "smooth_hausdorff_m" | "smooth_mean_dev_m" | "smooth_length_change_pct";
+
+type Props = {
+  /** smoothed routes, carrying the smooth_* metric properties */
+  features: Feature[];
+  /** the active max-deviation limit (0 = off) */
+  maxDeviationMeters: number;
+  onSelect: (feature: Feature) => void;
+  /** routes are only measured while someone looks (or a limit is set), so the owner hears when the list opens */
+  onOpenChange?: (open: boolean) => void;
+  style?: React.CSSProperties;
+};
+
+const METRICS: { key: Metric; label: string; unit: string }[] = [
+  { key: "smooth_hausdorff_m", label: "Max", unit: "m" },
+  { key: "smooth_mean_dev_m", label: "Mean", unit: "m" },
+  { key: "smooth_length_change_pct", label: "Length Δ", unit: "%" },
+];
+
+const LIST_SIZE = 10;
+
+const tabStyle = (active: boolean): React.CSSProperties => ({
+  flex: 1,
+  background: active ? "#3b82f6" : "#333",
+  color: "white",
+  border: "1px solid #555",
+  borderRadius: 4,
+  padding: "2px 8px",
+  cursor: "pointer",
+});
+
+const num = (f: Feature, key: string) => {
+  const v = Number(f.properties?.[key]);
+  return Number.isFinite(v) ? v : 0;
+};
+
+/** Debug list of the routes smoothing moved the most from their original geometry; click one to select it. */
+export default function SmoothingQualityPanel({ features, maxDeviationMeters, onSelect, onOpenChange, style }: Props) {
+  const [open, setOpen] = useState(false);
+  const [metric, setMetric] = useState<Metric>("smooth_hausdorff_m");
+
+  const measured = useMemo(() => features.filter((f) => f.properties?.smooth_hausdorff_m != null), [features]);
+  const worst = useMemo(
+    () =>
+      open
+        ? [...measured].sort((a, b) => Math.abs(num(b, metric)) - Math.abs(num(a, metric))).slice(0, LIST_SIZE)
+        : [],
+    [open, measured, metric]
+  );
+  const fellBack = measured.filter((f) => f.properties?.smooth_fallback).length;
+  const unit = METRICS.find((m) => m.key === metric)?.unit ?? "";
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 260,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <button
+        onClick={() => {
+          setOpen(!open);
+          onOpenChange?.(!open);
+        }}
+        aria-expanded={open}
+        style={{ width: "100%", textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+      >
+        {open ? "▾" : "▸"} Smoothing quality
+        {fellBack > 0 && <span style={{ fontWeight: 400, color: "#fbbf24" }}> · {fellBack} fell back</span>}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8, display: "grid", gap: 8 }}>
+          <div style={{ opacity: 0.75, fontSize: 12 }}>
+            Distance from the original geometry, over {measured.length} routes
+            {maxDeviationMeters > 0 ? ` (limit ${maxDeviationMeters} m)` : " (no limit set)"}.
+          </div>
+          <div style={{ display: "flex", gap: 4 }}>
+            {METRICS.map((m) => (
+              <button key={m.key} onClick={() => setMetric(m.key)} style={tabStyle(metric === m.key)}>
+                {m.label}
+              </button>
+            ))}
+          </div>
+          {worst.length ? (
+            <ol style={{ margin: 0, paddingLeft: 20, display: "grid", gap: 4 }}>
+              {worst.map((f, i) => {
+                const p = f.properties ?? {};
+                const v = num(f, metric);
+                return (
+                  <li key={i}>
+                    <button
+                      onClick={() => onSelect(f)}
+                      title={`${p.smooth_vertices_before} → ${p.smooth_vertices_after} vertices`}
+                      style={{ width: "100%", background: "none", border: "none", color: "white", padding: 0, cursor: "pointer", textAlign: "left" }}
+                    >
+                      <span style={{ display: "flex", gap: 6 }}>
+                        <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                          {String(p.location_name || p.to || "Route")}
+                        </span>
+                        <span style={{ opacity: 0.85 }}>
+                          {metric === "smooth_length_change_pct" && v > 0 ? "+" : ""}
+                          {v.toFixed(1)} {unit}
+                        </span>
+                      </span>
+                      <span style={{ display: "block", opacity: 0.6, fontSize: 11 }}>
+                        max {num(f, "smooth_hausdorff_m").toFixed(1)} m · mean {num(f, "smooth_mean_dev_m").toFixed(1)} m · {p.smooth_vertices_before} → {p.smooth_vertices_after} pts
+                        {p.smooth_fallback && <span style={{ color: "#fbbf24" }}> · {String(p.smooth_fallback)}</span>}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ol>
+          ) : (
+            <div style={{ opacity: 0.7 }}>{features.length ? "Measuring…" : "No smoothed routes."}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
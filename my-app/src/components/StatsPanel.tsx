@@ -0,0 +1,165 @@
+"use client";
+
+import { formatCO2, type EmissionFactors } from "@/utils/emissions";
+import { STATS_GROUPS, type RouteStats, type StatsGroupKey } from "@/utils/routeStats";
+import { useState } from "react";
+import EmissionFactorsEditor from "./EmissionFactorsEditor";
+
+type Metric = "km" | "hours" | "routes" | "co2Kg";
+
+type Props = {
+  stats: RouteStats;
+  onExportCSV: () => void;
+  emissionFactors: EmissionFactors;
+  onEmissionFactorsChange: (next: EmissionFactors) => void;
+  style?: React.CSSProperties;
+};
+
+const METRICS: { key: Metric; label: string }[] = [
+  { key: "km", label: "km" },
+  { key: "hours", label: "hours" },
+  { key: "routes", label: "routes" },
+  { key: "co2Kg", label: "CO₂" },
+];
+
+const fmt = (n: number, metric: Metric) =>
+  metric === "routes" ? String(n) : metric === "co2Kg" ? formatCO2(n) : n >= 100 ? Math.round(n).toLocaleString() : n.toFixed(1);
+
+const tabStyle = (active: boolean): React.CSSProperties => ({
+  flex: 1,
+  background: active ? "#3b82f6" : "#333",
+  color: "white",
+  border: "1px solid #555",
+  borderRadius: 4,
+  padding: "2px 6px",
+  cursor: "pointer",
+});
+
+/** Totals and team / month / mode breakdowns of the routes currently on the map. */
+export default function StatsPanel({ stats, onExportCSV, emissionFactors, onEmissionFactorsChange, style }: Props) {
+  const [open, setOpen] = useState(false);
+  const [group, setGroup] = useState<StatsGroupKey>("team");
+  const [metric, setMetric] = useState<Metric>("km");
+
+  const rows = stats.groups[group];
+  const max = Math.max(0, ...rows.map((r) => r[metric]));
+  const saved = stats.co2IfDrivenKg - stats.co2Kg;
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: 10,
+        border: "1px solid #444",
+        borderRadius: 8,
+        width: 280,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        style={{ width: "100%", textAlign: "left", background: "none", border: "none", color: "white", fontWeight: 600, cursor: "pointer", padding: 0 }}
+      >
+        {open ? "▾" : "▸"} Stats
+        <span style={{ fontWeight: 400, opacity: 0.75 }}>
+          {" "}
+          · {Math.round(stats.km).toLocaleString()} km, {stats.routes} route{stats.routes === 1 ? "" : "s"}
+        </span>
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8, display: "grid", gap: 8 }}>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 6, textAlign: "center" }}>
+            {[
+              ["routes", String(stats.routes)],
+              ["km", Math.round(stats.km).toLocaleString()],
+              ["hours", stats.hours.toFixed(1)],
+            ].map(([label, value]) => (
+              <div key={label} style={{ background: "#222", borderRadius: 4, padding: "4px 0" }}>
+                <div style={{ fontSize: 16, fontWeight: 600 }}>{value}</div>
+                <div style={{ opacity: 0.7, fontSize: 11 }}>{label}</div>
+              </div>
+            ))}
+          </div>
+          <div style={{ background: "#222", borderRadius: 4, padding: "4px 8px" }}>
+            <div>
+              <b>{formatCO2(stats.co2Kg)}</b> CO₂ estimated
+            </div>
+            <div style={{ opacity: 0.7, fontSize: 12 }}>
+              {formatCO2(stats.co2IfDrivenKg)} if everyone drove
+              {saved > 0 && stats.co2IfDrivenKg > 0 && <> · {Math.round((saved / stats.co2IfDrivenKg) * 100)}% avoided</>}
+            </div>
+          </div>
+          {stats.missingDuration > 0 && (
+            <div style={{ opacity: 0.7, fontSize: 11 }}>
+              {stats.missingDuration} route{stats.missingDuration === 1 ? " has" : "s have"} no duration_s and {stats.missingDuration === 1 ? "is" : "are"} left out of the hours.
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: 4 }}>
+            {STATS_GROUPS.map((g) => (
+              <button key={g.key} onClick={() => setGroup(g.key)} style={tabStyle(group === g.key)}>
+                {g.label}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 4 }}>
+            {METRICS.map((m) => (
+              <button key={m.key} onClick={() => setMetric(m.key)} style={tabStyle(metric === m.key)}>
+                {m.label}
+              </button>
+            ))}
+          </div>
+
+          <div style={{ display: "grid", gap: 3, maxHeight: "30vh", overflowY: "auto" }}>
+            {rows.map((r) => (
+              <div key={r.key} title={`${r.routes} routes · ${r.km.toFixed(1)} km · ${r.hours.toFixed(1)} h · ${formatCO2(r.co2Kg)} CO₂ · ${Math.round(r.share * 100)}% of routes`}>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.key}</span>
+                  {metric === "co2Kg" && <span style={{ opacity: 0.6 }}>of {formatCO2(r.co2IfDrivenKg)}</span>}
+                  <span>{fmt(r[metric], metric)}</span>
+                  {group === "profile" && <span style={{ opacity: 0.7, width: 34, textAlign: "right" }}>{Math.round(r.share * 100)}%</span>}
+                </div>
+                <div style={{ height: 4, background: "#222", borderRadius: 2 }}>
+                  <div style={{ height: "100%", width: `${max ? (r[metric] / max) * 100 : 0}%`, background: "#3b82f6", borderRadius: 2 }} />
+                </div>
+              </div>
+            ))}
+            {!rows.length && <div style={{ opacity: 0.7 }}>No routes match the filters.</div>}
+          </div>
+
+          {stats.longest.length > 0 && (
+            <div>
+              <div style={{ fontWeight: 600, marginBottom: 4 }}>Longest trips</div>
+              <ol style={{ margin: 0, paddingLeft: 18, display: "grid", gap: 2 }}>
+                {stats.longest.map((t, i) => (
+                  <li key={i} title={`${t.from} → ${t.to}`}>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{t.to || "—"}</span>
+                      <span>{t.km.toFixed(1)} km</span>
+                    </div>
+                    <div style={{ opacity: 0.6, fontSize: 11 }}>{[t.team, t.month, t.profile].filter(Boolean).join(" · ")}</div>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          <details>
+            <summary style={{ cursor: "pointer", opacity: 0.85 }}>Emission factors</summary>
+            <div style={{ marginTop: 6 }}>
+              <EmissionFactorsEditor factors={emissionFactors} onChange={onEmissionFactorsChange} />
+            </div>
+          </details>
+
+          <button onClick={onExportCSV} style={{ background: "#333", color: "white", border: "1px solid #555", borderRadius: 4, padding: "4px 10px", cursor: "pointer" }}>
+            Export CSV
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
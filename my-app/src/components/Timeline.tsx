@@ -0,0 +1,123 @@
+"use client";
+
+import type { TimelineMode } from "@/utils/routeFilters";
+import { useEffect, useState } from "react";
+
+type Props = {
+  /** ordered month labels present in the data */
+  months: string[];
+  /** playhead position (index into `months`) */
+  index: number;
+  onIndexChange: (i: number) => void;
+  mode: TimelineMode;
+  onModeChange: (m: TimelineMode) => void;
+  /** wall-clock milliseconds spent on each month while playing */
+  stepMs?: number;
+  style?: React.CSSProperties;
+};
+
+const buttonStyle: React.CSSProperties = {
+  padding: "4px 10px",
+  backgroundColor: "#333",
+  color: "white",
+  border: "1px solid #555",
+  borderRadius: 4,
+  cursor: "pointer",
+  fontSize: 14,
+};
+
+/**
+ * Month-by-month playhead for the program timeline.
+ * Owns only the play/pause state; the parent owns `index`/`mode` and turns them into a month window.
+ */
+export default function Timeline({
+  months,
+  index,
+  onIndexChange,
+  mode,
+  onModeChange,
+  stepMs = 1500,
+  style,
+}: Props) {
+  const [playing, setPlaying] = useState(false);
+  const last = months.length - 1;
+
+  // Advance one month per tick; stop on the last month
+  useEffect(() => {
+    if (!playing) return;
+    if (index >= last) {
+      setPlaying(false);
+      return;
+    }
+    const t = setTimeout(() => onIndexChange(index + 1), stepMs);
+    return () => clearTimeout(t);
+  }, [playing, index, last, stepMs, onIndexChange]);
+
+  const togglePlay = () => {
+    // Restart from the first month if we're parked at the end
+    if (!playing && index >= last) onIndexChange(0);
+    setPlaying((p) => !p);
+  };
+
+  const step = (delta: number) => {
+    setPlaying(false);
+    onIndexChange(Math.max(0, Math.min(last, index + delta)));
+  };
+
+  if (!months.length) return null;
+
+  return (
+    <div
+      style={{
+        background: "rgba(20,20,20,0.85)",
+        color: "white",
+        padding: "8px 12px",
+        border: "1px solid #444",
+        borderRadius: 8,
+        display: "flex",
+        alignItems: "center",
+        gap: 8,
+        fontSize: 13,
+        ...style,
+      }}
+    >
+      <button onClick={() => step(-1)} disabled={index <= 0} style={buttonStyle} aria-label="Previous month">
+        ⏮
+      </button>
+      <button onClick={togglePlay} style={{ ...buttonStyle, minWidth: 40 }} aria-label={playing ? "Pause" : "Play"}>
+        {playing ? "⏸" : "▶"}
+      </button>
+      <button onClick={() => step(1)} disabled={index >= last} style={buttonStyle} aria-label="Next month">
+        ⏭
+      </button>
+
+      <input
+        type="range"
+        min={0}
+        max={Math.max(0, last)}
+        step={1}
+        value={Math.min(index, last)}
+        onChange={(e) => {
+          setPlaying(false);
+          onIndexChange(Number(e.target.value));
+        }}
+        style={{ width: 220 }}
+        list="timeline-months"
+      />
+      <datalist id="timeline-months">
+        {months.map((m, i) => <option key={m} value={i} label={m} />)}
+      </datalist>
+
+      <span style={{ minWidth: 80, fontWeight: 600 }}>{months[Math.min(index, last)]}</span>
+
+      <select
+        value={mode}
+        onChange={(e) => onModeChange(e.target.value as TimelineMode)}
+        style={{ background: "#111", color: "white", border: "1px solid #555", borderRadius: 4, padding: "3px 4px" }}
+      >
+        <option value="cumulative">Up to month</option>
+        <option value="current">Only this month</option>
+      </select>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { TripsLayer } from "@deck.gl/geo-layers";
 import { MapboxOverlay } from "@deck.gl/mapbox";
 import type maplibregl from "maplibre-gl";
-import React, { useEffect, useMemo, useRef } from "react";
+import React, { useEffect, useImperativeHandle, useMemo, useRef } from "react";
 
 export type TripDatum = {
   /** Array of [lng, lat] coordinates */
@@ -29,8 +29,28 @@ export type Props = {
   loop?: boolean;
   /** If provided, recompute timestamps so speed is constant across all trips */
   metersPerSecond?: number | null;
+  /** draw each trip in its own `color` (color-by mode) instead of plain white */
+  useDataColors?: boolean;
+  /** handle for frame-by-frame export (see TripsOverlayHandle) */
+  ref?: React.Ref<TripsOverlayHandle>;
 };
 
+/** Lets an exporter take the clock over from requestAnimationFrame. */
+export type TripsOverlayHandle = {
+  /** length of one animation loop, in data seconds */
+  loopSeconds: () => number;
+  /** stop the wall clock; frames are then only drawn by renderAt */
+  pause: () => void;
+  /** hand the clock back to requestAnimationFrame */
+  resume: () => void;
+  /**
+   * Draw the frame at `timeS` (0..loopSeconds) and resolve once deck.gl has rendered it.
+   * Trips from the previous loop are drawn too, so tails wrap around and the clip loops seamlessly.
+   */
+  renderAt: (timeS: number, opts?: { pixelRatio?: number }) => Promise<void>;
+};
+
+const WHITE: [number, number, number] = [255, 255, 255];
 
 // --- helpers inside TripsOverlay.tsx ---
 function haversineMeters(a: [number, number], b: [number, number]) {
@@ -55,6 +75,11 @@ function retimeConstantSpeed(d: TripDatum, mps: number): TripDatum {
   return { ...d, timestamps: ts };
 }
 
+/** The data plus a copy one loop earlier, so a frame at maxTs + t shows tails that started before t. */
+function withPreviousLoop(arr: TripDatum[], maxTs: number): TripDatum[] {
+  return [...arr.map(d => ({ ...d, timestamps: d.timestamps.map(t => t - maxTs) })), ...arr];
+}
+
 function getMaxTimestamp(arr: TripDatum[]): number {
   let maxT = 0;
   for (const d of arr) {
@@ -84,12 +109,15 @@ export default function TripsOverlay({
     opacity = 0.6,
     loop = true,
     metersPerSecond = null,
+    useDataColors = false,
+    ref,
 }: Props) {
   const overlayRef = useRef<MapboxOverlay | null>(null);
   const rafRef = useRef<number | null>(null);
   const startWallMsRef = useRef<number | null>(null);
   const lastTickMsRef = useRef<number>(0);
   const currentTimeRef = useRef<number>(0);
+  const pausedRef = useRef(false);
 
 
     // --- create the data you actually feed to TripsLayer ---
@@ -100,7 +128,8 @@ export default function TripsOverlay({
 
     // Compute global max timestamp for looping and bounds
     const maxTs = useMemo(() => getMaxTimestamp(layerData), [layerData]);
-    
+    const loopData = useMemo(() => withPreviousLoop(layerData, maxTs), [layerData, maxTs]);
+
 
   // Create / attach overlay
   useEffect(() => {
@@ -118,16 +147,17 @@ export default function TripsOverlay({
   }, [map]);
 
   // Build a layer factory that we can call every frame with a new currentTime
-  const makeLayers = (nowS: number) => [
+  const makeLayers = (nowS: number, tripData: TripDatum[] = layerData) => [
     new TripsLayer<TripDatum>({
       id: "trips-overlay",
-      data: layerData,
+      data: tripData,
       opacity,
       currentTime: nowS,
       trailLength: trail,
       getPath: d => d.path,
       getTimestamps: d => d.timestamps,
-      getColor: () => [255, 255, 255],
+      getColor: d => (useDataColors ? d.color ?? WHITE : WHITE),
+      updateTriggers: { getColor: useDataColors },
       widthUnits: "pixels",
       getWidth: lineWidth,
       rounded: true,
@@ -147,6 +177,13 @@ export default function TripsOverlay({
     const frameInterval = 1000 / Math.max(1, fps);
 
     const tick = (tMs: number) => {
+      // An exporter owns the clock; keep polling so we pick up again on resume
+      if (pausedRef.current) {
+        startWallMsRef.current = null;
+        rafRef.current = requestAnimationFrame(tick);
+        return;
+      }
+
       // Cap FPS
       if (tMs - lastTickMsRef.current < frameInterval) {
         rafRef.current = requestAnimationFrame(tick);
@@ -193,7 +230,33 @@ export default function TripsOverlay({
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
       rafRef.current = null;
     };
-  }, [data, speed, trail, lineWidth, opacity, fps, loop, maxTs]);
+  }, [data, speed, trail, lineWidth, opacity, fps, loop, maxTs, useDataColors]);
+
+  useImperativeHandle(ref, () => ({
+    loopSeconds: () => maxTs,
+    pause: () => {
+      pausedRef.current = true;
+    },
+    resume: () => {
+      pausedRef.current = false;
+      overlayRef.current?.setProps({ useDevicePixels: true, onAfterRender: () => {} });
+    },
+    renderAt: (timeS, { pixelRatio } = {}) =>
+      new Promise<void>((resolve) => {
+        const overlay = overlayRef.current;
+        if (!overlay) return resolve();
+        // fall back to a timer in case deck skips the redraw (nothing changed on screen)
+        const timer = setTimeout(resolve, 500);
+        overlay.setProps({
+          layers: makeLayers(maxTs + timeS, loopData),
+          ...(pixelRatio ? { useDevicePixels: pixelRatio } : {}),
+          onAfterRender: () => {
+            clearTimeout(timer);
+            resolve();
+          },
+        });
+      }),
+  }));
 
   // If the map re-centers/zooms, overlay remains attached via MapboxOverlay
   // and needs no special syncing here.
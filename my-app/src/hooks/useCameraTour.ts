@@ -0,0 +1,69 @@
+"use client";
+
+import { DEFAULT_DWELL_MS, DEFAULT_FLY_MS, type ResolvedTourStop } from "@/utils/cameraPresets";
+import type maplibregl from "maplibre-gl";
+import { useCallback, useEffect, useMemo, useState } from "react";
+
+type Options = {
+  /** start over after the last stop (kiosk screens) */
+  loop?: boolean;
+  /** stop when someone drags, scrolls or taps the map */
+  stopOnInteraction?: boolean;
+};
+
+/**
+ * Guided tour: flies through `stops` one after another, holding each view for its dwell time.
+ * The caption of the current stop is returned for the caller to display.
+ */
+export function useCameraTour(map: maplibregl.Map | null, stops: ResolvedTourStop[], { loop = false, stopOnInteraction = true }: Options = {}) {
+  const [index, setIndex] = useState<number | null>(null);
+  const running = index != null;
+  const stop = stops[index ?? -1] ?? null;
+
+  const start = useCallback(() => setIndex(stops.length ? 0 : null), [stops.length]);
+  const end = useCallback(() => setIndex(null), []);
+
+  // Fly to the current stop, wait for the flight to settle, dwell, then advance
+  useEffect(() => {
+    if (!map || index == null) return;
+    const current = stops[index];
+    if (!current) {
+      setIndex(null);
+      return;
+    }
+
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    const advance = () => {
+      timer = setTimeout(() => {
+        const next = index + 1;
+        setIndex(next < stops.length ? next : loop ? 0 : null);
+      }, current.dwellMs ?? DEFAULT_DWELL_MS);
+    };
+    const { center, zoom, bearing = 0, pitch = 0 } = current.preset;
+    map.once("moveend", advance);
+    map.flyTo({ center, zoom, bearing, pitch, duration: current.flyMs ?? DEFAULT_FLY_MS, essential: true });
+
+    return () => {
+      map.off("moveend", advance);
+      if (timer) clearTimeout(timer);
+    };
+  }, [map, index, stops, loop]);
+
+  // A person taking over the map ends the tour (kiosks keep going)
+  useEffect(() => {
+    if (!map || !running || !stopOnInteraction) return;
+    const onUser = () => setIndex(null);
+    const canvas = map.getCanvasContainer();
+    canvas.addEventListener("mousedown", onUser);
+    canvas.addEventListener("touchstart", onUser, { passive: true });
+    canvas.addEventListener("wheel", onUser, { passive: true });
+    return () => {
+      canvas.removeEventListener("mousedown", onUser);
+      canvas.removeEventListener("touchstart", onUser);
+      canvas.removeEventListener("wheel", onUser);
+    };
+  }, [map, running, stopOnInteraction]);
+
+  const caption = stop?.caption ?? null;
+  return useMemo(() => ({ running, index, caption, start, stop: end }), [running, index, caption, start, end]);
+}
@@ -0,0 +1,98 @@
+"use client";
+
+import {
+    clearGeocodeEntries,
+    deleteGeocodeEntry,
+    exportGeocodeCache,
+    loadGeocodeEntries,
+    mergeGeocodeEntries,
+    normalizeAddress,
+    parseGeocodeCacheImport,
+    saveGeocodeEntries,
+    type GeocodeEntry,
+} from "@/utils/geocodeCache";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+/**
+ * IndexedDB-backed geocode cache.
+ * Lookups go through a ref so long-running async loops (route generation) always see fresh entries;
+ * `entries` is the render-friendly snapshot.
+ */
+export function useGeocodeCache() {
+    const storeRef = useRef(new Map<string, GeocodeEntry>());
+    const [entries, setEntries] = useState<GeocodeEntry[]>([]);
+    const [ready, setReady] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const sync = useCallback(() => setEntries([...storeRef.current.values()]), []);
+
+    // Load persisted entries once
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const list = await loadGeocodeEntries();
+                if (cancelled) return;
+                // Keep anything written before the load finished
+                for (const e of mergeGeocodeEntries(list, [...storeRef.current.values()])) storeRef.current.set(e.key, e);
+                sync();
+            } catch (e: unknown) {
+                if (!cancelled) setError(e instanceof Error ? e.message : "Failed to open geocode cache");
+            } finally {
+                if (!cancelled) setReady(true);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [sync]);
+
+    const get = useCallback((address: string) => storeRef.current.get(normalizeAddress(address)), []);
+
+    const put = useCallback(async (list: GeocodeEntry[]) => {
+        for (const e of list) storeRef.current.set(e.key, e);
+        sync();
+        try {
+            await saveGeocodeEntries(list);
+        } catch (e: unknown) {
+            // Memory copy still works for this session
+            setError(e instanceof Error ? e.message : "Failed to persist geocode cache");
+        }
+    }, [sync]);
+
+    const remove = useCallback(async (key: string) => {
+        storeRef.current.delete(key);
+        sync();
+        try {
+            await deleteGeocodeEntry(key);
+        } catch (e: unknown) {
+            setError(e instanceof Error ? e.message : "Failed to remove the entry from the geocode cache");
+        }
+    }, [sync]);
+
+    const clear = useCallback(async () => {
+        storeRef.current.clear();
+        sync();
+        try {
+            await clearGeocodeEntries();
+        } catch (e: unknown) {
+            // Only this session's copy was cleared; the stored entries come back on reload
+            setError(e instanceof Error ? e.message : "Failed to clear the stored geocode cache");
+        }
+    }, [sync]);
+
+    /** Merge an exported JSON blob into the cache; returns how many entries were read. */
+    const importJSON = useCallback(async (json: unknown) => {
+        const incoming = parseGeocodeCacheImport(json);
+        const merged = mergeGeocodeEntries([...storeRef.current.values()], incoming);
+        await put(merged);
+        return incoming.length;
+    }, [put]);
+
+    const exportJSON = useCallback(() => exportGeocodeCache([...storeRef.current.values()]), []);
+
+    return useMemo(
+        () => ({ entries, ready, error, get, put, remove, clear, importJSON, exportJSON }),
+        [entries, ready, error, get, put, remove, clear, importJSON, exportJSON]
+    );
+}
+
+export type GeocodeCacheApi = ReturnType<typeof useGeocodeCache>;
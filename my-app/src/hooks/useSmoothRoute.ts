@@ -1,21 +1,28 @@
 "use client";
 
-import { smoothGeoJSON, type SmoothOpts } from "@/utils/smoothRoute";
+import { loadPrecomputedRoutes, PRECOMPUTED_TRIP_POINTS, type PrecomputedRoutes } from "@/utils/precomputedRoutes";
+import { PipelineCancelledError, registerPrecomputedTrips, smoothRoutes } from "@/utils/routePipeline";
+import { sameSmoothing } from "@/utils/smoothingPresets";
+import type { SmoothOpts } from "@/utils/smoothRoute";
 import type { FeatureCollection, GeoJSON } from "geojson";
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useState } from "react";
 
 type UseSmoothRouteArgs = {
     url?: string;                // where to fetch routes.geojson
     data?: GeoJSON | null;       // or provide raw data directly
     options?: SmoothOpts;
+    /** per-route options by feature index, over `options` */
+    overrides?: Record<number, SmoothOpts> | null;
 };
 
-export function useSmoothRoute({ url = "/assets/routes/route.geojson", data, options }: UseSmoothRouteArgs) {
+export function useSmoothRoute({ url = "/assets/routes/route.geojson", data, options, overrides }: UseSmoothRouteArgs) {
     const [raw, setRaw] = useState<GeoJSON | null>(data ?? null);
     const [loading, setLoading] = useState<boolean>(!!url && !data);
     const [error, setError] = useState<string | null>(null);
+    // artifacts of `npm run build:routes` for the fetched file, if it has any
+    const [precomputed, setPrecomputed] = useState<(PrecomputedRoutes & { raw: GeoJSON }) | null>(null);
 
-    // Fetch when URL is provided
+    // Fetch when URL is provided, along with its precomputed artifacts
     useEffect(() => {
         let cancelled = false;
         if (!url || data) return;
@@ -24,8 +31,13 @@ export function useSmoothRoute({ url = "/assets/routes/route.geojson", data, opt
                 setLoading(true);
                 const res = await fetch(url);
                 if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                const json = (await res.json()) as GeoJSON;
-                if (!cancelled) setRaw(json);
+                const bytes = await res.arrayBuffer();
+                const json = JSON.parse(new TextDecoder().decode(bytes)) as GeoJSON;
+                const built = await loadPrecomputedRoutes(url, bytes);
+                if (!cancelled) {
+                    setPrecomputed(built && { ...built, raw: json });
+                    setRaw(json);
+                }
             } catch (e: unknown) {
                 if (!cancelled) {
                     const message = e instanceof Error ? e.message : "Failed to load GeoJSON";
@@ -38,18 +50,42 @@ export function useSmoothRoute({ url = "/assets/routes/route.geojson", data, opt
         return () => { cancelled = true; };
     }, [url, data]);
 
-    // Smooth only when the input changes
-    const smoothed: FeatureCollection | null = useMemo(() => {
-        if (!raw) return null;
-        try {
-            return smoothGeoJSON(raw, options);
-        } catch (e) {
-            console.warn("Smoothing failed:", e);
-            setError("Smoothing failed");
-            return null;
+    // Smooth in the route worker when the input changes; a change mid-run cancels the running job
+    const [result, setResult] = useState<{ raw: GeoJSON; fc: FeatureCollection } | null>(null);
+    const [progress, setProgress] = useState<number | null>(null); // 0..1 while smoothing
+    const optionsKey = JSON.stringify(options || {});
+    const overridesKey = JSON.stringify(overrides || {});
+    useEffect(() => {
+        if (!raw) return;
+        // nothing to do when the build step already smoothed this file with these options
+        if (precomputed?.raw === raw && overridesKey === "{}" && sameSmoothing(JSON.parse(optionsKey), precomputed.options)) {
+            registerPrecomputedTrips(precomputed.fc, precomputed.trips, PRECOMPUTED_TRIP_POINTS);
+            setResult({ raw, fc: precomputed.fc });
+            setProgress(null);
+            return;
         }
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [raw, JSON.stringify(options || {})]);
+        const controller = new AbortController();
+        setProgress(0);
+        smoothRoutes(raw, JSON.parse(optionsKey), JSON.parse(overridesKey), {
+            signal: controller.signal,
+            onProgress: (done, total) => setProgress(total ? done / total : 1),
+        })
+            .then((fc) => {
+                setResult({ raw, fc });
+                setProgress(null);
+            })
+            .catch((e: unknown) => {
+                if (e instanceof PipelineCancelledError) return;
+                console.warn("Smoothing failed:", e);
+                setError("Smoothing failed");
+                setProgress(null);
+            });
+        return () => controller.abort();
+    }, [raw, precomputed, optionsKey, overridesKey]);
+
+    // Until the first smoothed result for this data arrives, the original geometry stands in;
+    // after that the previous result stays up while new options are applied.
+    const smoothed = result && result.raw === raw ? result.fc : raw;
 
-    return { data: smoothed, original: raw, loading, error, setRaw };
+    return { data: smoothed, original: raw, loading, error, setRaw, progress };
 }
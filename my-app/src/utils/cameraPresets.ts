@@ -0,0 +1,129 @@
+// Named camera views and the guided tour through them.
+// Presets come from public/assets/camera-presets.json plus views saved in the browser.
+
+export type CameraPreset = {
+  /** stable slug, used by tour stops and the `v` URL param */
+  id: string;
+  name: string;
+  center: [number, number];
+  zoom: number;
+  bearing?: number;
+  pitch?: number;
+  /** saved from the UI (localStorage) rather than shipped in the config */
+  saved?: boolean;
+};
+
+export type TourStop = {
+  /** preset id */
+  preset: string;
+  /** time to hold the view after arriving */
+  dwellMs?: number;
+  /** flight duration */
+  flyMs?: number;
+  caption?: string;
+};
+
+export type PresetConfig = { presets: CameraPreset[]; tour: TourStop[] };
+
+export const DEFAULT_DWELL_MS = 8000;
+export const DEFAULT_FLY_MS = 4000;
+
+/** Used until (or if) the config file fails to load. */
+export const BUILTIN_PRESETS: CameraPreset[] = [
+  { id: "sf", name: "San Francisco", center: [-122.43609, 37.77169], zoom: 12.9 },
+  // A central point to see SF, Berkeley, and Palo Alto
+  { id: "bay", name: "Bay Area", center: [-122.27463, 37.61096], zoom: 10.25 },
+];
+
+export const slugify = (name: string) =>
+  name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "view";
+
+const finite = (v: unknown): v is number => typeof v === "number" && Number.isFinite(v);
+
+function parsePreset(v: unknown, i: number): CameraPreset {
+  const p = (v ?? {}) as Record<string, unknown>;
+  const name = typeof p.name === "string" && p.name.trim() ? p.name.trim() : null;
+  const center = p.center as unknown[];
+  if (!name) throw new Error(`Preset ${i + 1} needs a name`);
+  if (!Array.isArray(center) || center.length !== 2 || !center.every(finite)) throw new Error(`Preset "${name}" needs center: [lng, lat]`);
+  if (!finite(p.zoom)) throw new Error(`Preset "${name}" needs a numeric zoom`);
+  return {
+    id: typeof p.id === "string" && p.id.trim() ? p.id.trim() : slugify(name),
+    name,
+    center: center as [number, number],
+    zoom: p.zoom,
+    ...(finite(p.bearing) ? { bearing: p.bearing } : {}),
+    ...(finite(p.pitch) ? { pitch: p.pitch } : {}),
+  };
+}
+
+/** Validate a presets JSON ({ presets, tour? }, or a bare presets array). Throws with a readable message. */
+export function parsePresetConfig(json: unknown): PresetConfig {
+  const obj = Array.isArray(json) ? { presets: json } : ((json ?? {}) as Record<string, unknown>);
+  if (!Array.isArray(obj.presets)) throw new Error("Preset config must have a `presets` array");
+  const presets = obj.presets.map(parsePreset);
+  const ids = new Set(presets.map((p) => p.id));
+
+  const tour = (Array.isArray(obj.tour) ? obj.tour : []).map((v: unknown, i: number): TourStop => {
+    const s = (v ?? {}) as Record<string, unknown>;
+    const preset = typeof s.preset === "string" ? s.preset : "";
+    if (!ids.has(preset)) throw new Error(`Tour stop ${i + 1} refers to unknown preset "${preset}"`);
+    return {
+      preset,
+      ...(finite(s.dwellMs) ? { dwellMs: s.dwellMs } : {}),
+      ...(finite(s.flyMs) ? { flyMs: s.flyMs } : {}),
+      ...(typeof s.caption === "string" && s.caption ? { caption: s.caption } : {}),
+    };
+  });
+  return { presets, tour };
+}
+
+/** Config presets overlaid with saved ones (a saved view replaces a config view with the same id). */
+export function mergePresets(base: CameraPreset[], saved: CameraPreset[]): CameraPreset[] {
+  const savedIds = new Set(saved.map((p) => p.id));
+  return [...base.filter((p) => !savedIds.has(p.id)), ...saved];
+}
+
+/** Tour stops with their presets resolved; falls back to visiting every preset once. */
+export function resolveTour(presets: CameraPreset[], tour: TourStop[]) {
+  const byId = new Map(presets.map((p) => [p.id, p]));
+  const stops: TourStop[] = tour.length ? tour : presets.map((p) => ({ preset: p.id, caption: p.name }));
+  return stops.flatMap((s) => {
+    const preset = byId.get(s.preset);
+    return preset ? [{ ...s, preset }] : [];
+  });
+}
+
+export type ResolvedTourStop = ReturnType<typeof resolveTour>[number];
+
+/** Strip UI-only fields so the result can be dropped into camera-presets.json. */
+export function presetConfigToJSON(presets: CameraPreset[], tour: TourStop[]): PresetConfig {
+  return {
+    presets: presets.map(({ id, name, center, zoom, bearing, pitch }) => ({
+      id,
+      name,
+      center,
+      zoom,
+      ...(bearing != null ? { bearing } : {}),
+      ...(pitch != null ? { pitch } : {}),
+    })),
+    tour,
+  };
+}
+
+const STORAGE_KEY = "sdic-map:camera-presets";
+
+export function loadSavedPresets(): CameraPreset[] {
+  if (typeof window === "undefined") return [];
+  try {
+    return parsePresetConfig(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]")).presets.map((p) => ({ ...p, saved: true }));
+  } catch {
+    return [];
+  }
+}
+
+export function saveSavedPresets(presets: CameraPreset[]) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presetConfigToJSON(presets, []).presets));
+  } catch {}
+}
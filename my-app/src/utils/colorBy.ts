@@ -0,0 +1,54 @@
+import type { GeoJsonProperties } from "geojson";
+import { facetValue, type FacetKey } from "./routeFilters";
+import type { LegendEntry } from "./routeStyles";
+
+// "Color by" mode: one categorical color per value of a route attribute, shared by the MapLibre
+// route lines, the endpoint glows and the deck.gl trips so all three read the same.
+
+export const COLOR_BY_KEYS = ["team", "month", "class", "profile", "activity"] as const satisfies readonly FacetKey[];
+export type ColorByKey = (typeof COLOR_BY_KEYS)[number];
+
+export const isColorByKey = (v: unknown): v is ColorByKey => (COLOR_BY_KEYS as readonly unknown[]).includes(v);
+
+/** Bright enough to read on the dark basemap; repeats after 12 categories. */
+export const CATEGORY_PALETTE = [
+  "#3D64F6", "#00FF93", "#FF6B6B", "#FFC53D", "#B026FF", "#2ED3E6",
+  "#FF8A3D", "#F25CC4", "#9BE15D", "#8B9DFF", "#F2E863", "#5EF2B5",
+];
+
+/** Color of routes without a value for the attribute. */
+export const UNCATEGORIZED_COLOR = "#9ca3af";
+
+export type CategoryColors = {
+  key: ColorByKey;
+  /** attribute value → hex color */
+  colors: Record<string, string>;
+};
+
+/**
+ * Palette assignment for `values` (the attribute's facet values over the whole dataset, so a
+ * category keeps its color while filters change).
+ */
+export function categoryColors(key: ColorByKey, values: string[]): CategoryColors {
+  return { key, colors: Object.fromEntries(values.map((v, i) => [v, CATEGORY_PALETTE[i % CATEGORY_PALETTE.length]])) };
+}
+
+export function categoryColor(cc: CategoryColors, props: GeoJsonProperties | undefined): string {
+  return cc.colors[facetValue(props, cc.key)] ?? UNCATEGORIZED_COLOR;
+}
+
+/** "#3D64F6" → [61, 100, 246] (deck.gl colors) */
+export function hexToRgb(hex: string): [number, number, number] {
+  const h = hex.replace(/^#/, "");
+  const full = h.length === 3 ? [...h].map((c) => c + c).join("") : h;
+  const n = parseInt(full, 16);
+  return Number.isFinite(n) ? [(n >> 16) & 255, (n >> 8) & 255, n & 255] : [255, 255, 255];
+}
+
+/** Legend rows for the categories in `present` (usually the values left after filtering), in palette order. */
+export function categoryLegendEntries(cc: CategoryColors, present: string[]): LegendEntry[] {
+  const keep = new Set(present);
+  return Object.entries(cc.colors)
+    .filter(([value]) => keep.has(value))
+    .map(([value, color]) => ({ key: value, label: value, colors: [color], dash: null }));
+}
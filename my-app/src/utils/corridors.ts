@@ -0,0 +1,154 @@
+import type { Feature, FeatureCollection, LineString, Position } from "geojson";
+
+// Segment-level route frequency. Whole-geometry matching (RouteLayerWithFrequency's start/end key)
+// treats two trips that share most of their path as unrelated; here every route is walked through a
+// shared metric grid, the cells it passes become graph nodes and consecutive cells become segments,
+// so overlapping stretches of different routes land on the same segments and are counted together.
+
+export type CorridorOptions = {
+  /** grid cell size; routes closer than this on the same street merge into one corridor */
+  cellMeters?: number;
+};
+
+export type CorridorProperties = {
+  /** number of distinct routes traversing the segment */
+  count: number;
+  /** count relative to the busiest segment, 0..1 */
+  share: number;
+};
+
+export type CorridorCollection = FeatureCollection<LineString, CorridorProperties> & { maxCount: number };
+
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LON = 111320;
+
+function lineParts(f: Feature): Position[][] {
+  const g = f.geometry;
+  if (g?.type === "LineString") return [g.coordinates];
+  if (g?.type === "MultiLineString") return g.coordinates;
+  return [];
+}
+
+/**
+ * Build the corridor graph: one LineString per run of segments with the same traversal count.
+ * Each route counts at most once per segment, however often it doubles back.
+ */
+export function buildCorridors(fc: FeatureCollection | null | undefined, { cellMeters = 25 }: CorridorOptions = {}): CorridorCollection {
+  const features = fc?.features ?? [];
+  const parts = features.map(lineParts);
+
+  // equirectangular projection around the data's mean latitude is plenty at city scale
+  let latSum = 0, latN = 0;
+  for (const route of parts) {
+    for (const line of route) {
+      for (const c of line) {
+        latSum += c[1];
+        latN++;
+      }
+    }
+  }
+  if (!latN) return { type: "FeatureCollection", features: [], maxCount: 0 };
+  const kx = M_PER_DEG_LON * Math.cos(((latSum / latN) * Math.PI) / 180);
+  const ky = M_PER_DEG_LAT;
+
+  // node = grid cell; its position is the mean of the route points that fell into it
+  const nodes = new Map<string, { x: number; y: number; n: number }>();
+  const edges = new Map<string, { a: string; b: string; count: number }>();
+  const step = cellMeters / 2;
+
+  parts.forEach((route) => {
+    const seen = new Set<string>();
+    for (const line of route) {
+      let prev: string | null = null;
+      const visit = (x: number, y: number) => {
+        const key = `${Math.floor(x / cellMeters)},${Math.floor(y / cellMeters)}`;
+        const node = nodes.get(key);
+        if (node) {
+          node.x += x;
+          node.y += y;
+          node.n++;
+        } else nodes.set(key, { x, y, n: 1 });
+        if (prev && prev !== key) {
+          const [a, b] = prev < key ? [prev, key] : [key, prev];
+          const ek = `${a}|${b}`;
+          if (!seen.has(ek)) {
+            seen.add(ek);
+            const edge = edges.get(ek);
+            if (edge) edge.count++;
+            else edges.set(ek, { a, b, count: 1 });
+          }
+        }
+        prev = key;
+      };
+
+      // walk each segment in half-cell steps so consecutive cells are always neighbours
+      for (let i = 0; i < line.length; i++) {
+        const x = line[i][0] * kx, y = line[i][1] * ky;
+        if (i === 0) {
+          visit(x, y);
+          continue;
+        }
+        const px = line[i - 1][0] * kx, py = line[i - 1][1] * ky;
+        const steps = Math.ceil(Math.hypot(x - px, y - py) / step);
+        for (let s = 1; s <= steps; s++) visit(px + ((x - px) * s) / steps, py + ((y - py) * s) / steps);
+      }
+    }
+  });
+
+  const position = (key: string): Position => {
+    const node = nodes.get(key)!;
+    return [node.x / node.n / kx, node.y / node.n / ky];
+  };
+
+  // chain segments through nodes of degree 2 when the count doesn't change, to keep the layer small
+  const adjacency = new Map<string, string[]>();
+  for (const [ek, { a, b }] of edges) {
+    adjacency.set(a, [...(adjacency.get(a) || []), ek]);
+    adjacency.set(b, [...(adjacency.get(b) || []), ek]);
+  }
+  const used = new Set<string>();
+  let maxCount = 0;
+  for (const { count } of edges.values()) maxCount = Math.max(maxCount, count);
+
+  const extend = (from: string, via: string, count: number, out: string[]) => {
+    let node = from;
+    let edge = via;
+    for (;;) {
+      const { a, b } = edges.get(edge)!;
+      node = node === a ? b : a;
+      out.push(node);
+      const next = adjacency.get(node)!;
+      if (next.length !== 2) return;
+      const other = next[0] === edge ? next[1] : next[0];
+      if (used.has(other) || edges.get(other)!.count !== count) return;
+      used.add(other);
+      edge = other;
+    }
+  };
+
+  const out: Feature<LineString, CorridorProperties>[] = [];
+  for (const [ek, { a, b, count }] of edges) {
+    if (used.has(ek)) continue;
+    used.add(ek);
+    const forward: string[] = [];
+    const backward: string[] = [];
+    extend(a, ek, count, forward); // a → b → …
+    const [, ...rest] = forward;
+    // grow the other way from a, then stitch: …backward, a, b, rest…
+    const otherEdges = (adjacency.get(a) || []).filter((e) => e !== ek);
+    if (otherEdges.length === 1 && !used.has(otherEdges[0]) && edges.get(otherEdges[0])!.count === count) {
+      used.add(otherEdges[0]);
+      extend(a, otherEdges[0], count, backward);
+    }
+    const chain = [...backward.reverse(), a, b, ...rest];
+    out.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: chain.map(position) },
+      properties: { count, share: maxCount ? count / maxCount : 0 },
+    });
+  }
+
+  // busiest corridors last so they draw on top
+  out.sort((x, y) => x.properties.count - y.properties.count);
+  return { type: "FeatureCollection", features: out, maxCount };
+}
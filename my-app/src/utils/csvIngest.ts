@@ -0,0 +1,205 @@
+import Papa from "papaparse";
+
+// Shared CSV ingestion: delimiter sniffing, quoted fields, BOMs, header → field mapping
+// and row validation. Used by the routeGenerator page, RouteLayer and RouteCvsGenerator.
+
+export type ParsedCSV = {
+  headers: string[];
+  rows: Record<string, string>[];
+  /** delimiter Papa detected (or was told to use) */
+  delimiter: string;
+  /** parser-level problems (unbalanced quotes, ragged rows …), 1-based data row numbers */
+  errors: { row: number; message: string }[];
+};
+
+/** Canonical fields the generator understands, with header aliases seen in the wild. */
+export const CSV_FIELDS = {
+  month: { label: "Month", aliases: ["month", "date", "period"] },
+  team: { label: "Team", aliases: ["team", "team name", "team_name", "pod", "group"] },
+  class: { label: "Class", aliases: ["class", "category", "track", "course"] },
+  from: { label: "From", aliases: ["from", "origin", "start", "source", "from address", "from_address", "origin address", "start address"] },
+  to: { label: "To", aliases: ["to", "destination", "dest", "end", "to address", "to_address", "destination address", "end address"] },
+  location_name: { label: "Location name", aliases: ["location_name", "location name", "location", "venue", "place", "site"] },
+  activity: { label: "Activity", aliases: ["activity", "event", "event name", "event_name", "description", "title"] },
+  profile: { label: "Profile", aliases: ["profile", "mode", "travel mode", "travel_mode", "transport", "transportation"] },
+  address: { label: "Address", aliases: ["address", "addresses", "stop address", "waypoint", "street address"] },
+  trip: { label: "Trip id", aliases: ["trip", "trip id", "trip_id", "itinerary", "itinerary id", "route id", "route_id", "tour"] },
+  stop: { label: "Stop order", aliases: ["stop", "stop order", "stop_order", "order", "sequence", "seq", "stop #"] },
+  hub: { label: "Hub", aliases: ["hub", "hub name", "base", "home base", "office"] },
+} as const;
+
+export type CSVField = keyof typeof CSV_FIELDS;
+export const CSV_FIELD_KEYS = Object.keys(CSV_FIELDS) as CSVField[];
+
+/**
+ * How rows turn into routes:
+ * - pairs: one route per row, from → to
+ * - sequential: one route between each consecutive pair of `address` rows
+ * - itinerary: rows sharing a `trip` id become one multi-stop route, in `stop` (or file) order
+ * - hubs: rows without a `from` start at their assigned (`hub` column) or nearest origin hub
+ */
+export type CsvMode = "pairs" | "sequential" | "itinerary" | "hubs";
+
+export const CSV_MODE_LABELS: Record<CsvMode, string> = {
+  pairs: "Pairwise rows (from → to)",
+  sequential: "Sequential list (consecutive addresses)",
+  itinerary: "Multi-stop itineraries (grouped by trip id)",
+  hubs: "Hub and spoke (destinations from origin hubs)",
+};
+
+export const REQUIRED_FIELDS: Record<CsvMode, CSVField[]> = {
+  pairs: ["from", "to"],
+  sequential: ["address"],
+  itinerary: ["trip", "address"],
+  hubs: ["to"],
+};
+
+/**
+ * Most specific mode the mapped columns support. A from/to file only counts as hub and spoke when
+ * at least half its destinations have no `from`; a few blank ones stay "pairs" rows with errors.
+ */
+export function detectCsvMode(mapping: ColumnMapping, rows: MappedRow[] = []): CsvMode {
+  if (mapping.trip && mapping.address) return "itinerary";
+  const destinations = rows.filter((r) => r.to);
+  const spokes = destinations.filter((r) => !r.from).length;
+  if (mapping.to && (!mapping.from || mapping.hub || (spokes > 0 && spokes * 2 >= destinations.length))) return "hubs";
+  if (mapping.from && mapping.to) return "pairs";
+  if (mapping.address) return "sequential";
+  return "pairs";
+}
+
+/** canonical field -> source header ("" = not mapped) */
+export type ColumnMapping = Record<CSVField, string>;
+export type MappedRow = Partial<Record<CSVField, string>>;
+
+const PROFILE_ALIASES: Record<string, "driving" | "cycling" | "walking"> = {
+  driving: "driving", drive: "driving", car: "driving", auto: "driving",
+  cycling: "cycling", cycle: "cycling", bike: "cycling", bicycle: "cycling", biking: "cycling",
+  walking: "walking", walk: "walking", foot: "walking", "on foot": "walking",
+};
+
+/** Canonical routing profile for a free-text mode ("Bike", "walk" …), or undefined. */
+export function normalizeProfile(v: string | undefined) {
+  return PROFILE_ALIASES[String(v ?? "").trim().toLowerCase()];
+}
+
+const normHeader = (h: string) => h.replace(/^\uFEFF/, "").trim().toLowerCase().replace(/[\s_-]+/g, " ");
+
+/** Parse CSV text with a header row. Delimiter is auto-detected unless given. */
+export function parseCSVText(text: string, { delimiter = "" }: { delimiter?: string } = {}): ParsedCSV {
+  const res = Papa.parse<Record<string, string>>(text.replace(/^\uFEFF/, ""), {
+    header: true,
+    delimiter,
+    delimitersToGuess: [";", ",", "\t", "|"],
+    skipEmptyLines: "greedy",
+    transformHeader: (h) => h.replace(/^\uFEFF/, "").trim(),
+    transform: (v) => (typeof v === "string" ? v.trim() : v),
+  });
+  const headers = (res.meta.fields || []).filter((h) => h !== "");
+  // a single column (e.g. a sequential `address` list) has no delimiter to find
+  const errors = headers.length > 1 ? res.errors : res.errors.filter((e) => e.code !== "UndetectableDelimiter");
+  return {
+    headers,
+    rows: res.data,
+    delimiter: res.meta.delimiter,
+    // Papa reports 0-based data row indexes
+    errors: errors.map((e) => ({ row: (e.row ?? 0) + 1, message: e.message })),
+  };
+}
+
+/** Best-effort header mapping by alias; each header is used at most once. */
+export function guessColumnMapping(headers: string[]): ColumnMapping {
+  const used = new Set<string>();
+  const mapping = {} as ColumnMapping;
+  for (const field of CSV_FIELD_KEYS) {
+    const aliases: readonly string[] = CSV_FIELDS[field].aliases.map(normHeader);
+    const hit = headers.find((h) => !used.has(h) && aliases.includes(normHeader(h)));
+    mapping[field] = hit ?? "";
+    if (hit) used.add(hit);
+  }
+  return mapping;
+}
+
+/** Rename columns to canonical fields; unmapped fields are left out. */
+export function applyColumnMapping(rows: Record<string, string>[], mapping: ColumnMapping): MappedRow[] {
+  return rows.map((row) => {
+    const out: MappedRow = {};
+    for (const field of CSV_FIELD_KEYS) {
+      const header = mapping[field];
+      if (!header) continue;
+      const v = row[header];
+      if (v != null && String(v).trim() !== "") out[field] = String(v).trim();
+    }
+    return out;
+  });
+}
+
+/** Parse + auto-map in one go, for callers without a mapping UI. */
+export function readMappedCSV(text: string): { rows: MappedRow[]; mapping: ColumnMapping; parsed: ParsedCSV } {
+  const parsed = parseCSVText(text);
+  const mapping = guessColumnMapping(parsed.headers);
+  return { rows: applyColumnMapping(parsed.rows, mapping), mapping, parsed };
+}
+
+export type RowIssue = {
+  /** 1-based data row number (header excluded) */
+  row: number;
+  field?: CSVField;
+  severity: "error" | "warning";
+  message: string;
+};
+
+/**
+ * Check mapped rows before generation. Errors make a row unusable, warnings are informational.
+ * Which fields are required (and which checks apply) depends on `mode`.
+ */
+export function validateRows(rows: MappedRow[], { mode = "pairs" as CsvMode, hubs = [] as string[] } = {}): RowIssue[] {
+  const hubNames = new Set(hubs.map((h) => h.trim().toLowerCase()));
+  const issues: RowIssue[] = [];
+  const seen = new Map<string, number>();
+  const trips = new Map<string, number[]>();
+
+  rows.forEach((r, i) => {
+    const row = i + 1;
+    for (const field of REQUIRED_FIELDS[mode]) {
+      if (!r[field]) issues.push({ row, field, severity: "error", message: `Missing ${CSV_FIELDS[field].label.toLowerCase()}` });
+    }
+    if (mode === "hubs" && !r.from && r.hub && !hubNames.has(r.hub.trim().toLowerCase())) {
+      issues.push({ row, field: "hub", severity: "error", message: `Unknown hub "${r.hub}"` });
+    }
+    if ((mode === "pairs" || mode === "hubs") && r.from && r.to && r.from.toLowerCase() === r.to.toLowerCase()) {
+      issues.push({ row, severity: "warning", message: "From and to are the same address" });
+    }
+    if (r.profile && !normalizeProfile(r.profile)) {
+      issues.push({ row, field: "profile", severity: "warning", message: `Unknown profile "${r.profile}" (default is used)` });
+    }
+    if (mode === "itinerary" && r.stop && !Number.isFinite(Number(r.stop))) {
+      issues.push({ row, field: "stop", severity: "warning", message: `Stop order "${r.stop}" is not a number (file order is used)` });
+    }
+    if (mode === "itinerary" && r.trip && r.address) trips.set(r.trip, [...(trips.get(r.trip) || []), row]);
+
+    // Repeated addresses are normal in sequential lists and itineraries
+    if (mode === "pairs" || mode === "hubs") {
+      const key = CSV_FIELD_KEYS.map((f) => r[f] ?? "").join("\u0000").toLowerCase();
+      const dup = seen.get(key);
+      if (dup != null) issues.push({ row, severity: "warning", message: `Duplicate of row ${dup}` });
+      else seen.set(key, row);
+    }
+  });
+
+  for (const [trip, tripRows] of trips) {
+    if (tripRows.length < 2) {
+      issues.push({ row: tripRows[0], field: "trip", severity: "error", message: `Trip "${trip}" has only one stop` });
+    }
+  }
+  if (mode === "sequential" && rows.filter((r) => r.address).length === 1) {
+    issues.push({ row: rows.findIndex((r) => r.address) + 1, field: "address", severity: "error", message: "A sequential list needs at least two addresses" });
+  }
+
+  return issues.sort((a, b) => a.row - b.row);
+}
+
+/** Row numbers (1-based) that have at least one error. */
+export function rowsWithErrors(issues: RowIssue[]): Set<number> {
+  return new Set(issues.filter((i) => i.severity === "error").map((i) => i.row));
+}
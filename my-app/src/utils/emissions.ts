@@ -0,0 +1,63 @@
+import { normalizeProfile } from "./csvIngest";
+import { PROFILES, type Profile } from "./providers/types";
+
+// Estimated CO2 of program travel from each route's distance and mode, plus the
+// "what if everyone drove" counterfactual. Factors are grams of CO2 per km and can be
+// changed from the map's Stats panel (kept in localStorage, shared with the route generator).
+
+export type EmissionFactors = Record<Profile, number>;
+
+/** Tailpipe emissions: an average petrol car (~170 g/km); walking and cycling count as zero. */
+export const DEFAULT_EMISSION_FACTORS: EmissionFactors = { driving: 170, cycling: 0, walking: 0 };
+
+export type EmissionProperties = {
+  /** estimated kg of CO2 for the route's own mode */
+  co2_kg: number;
+  /** kg of CO2 had the same distance been driven */
+  co2_if_driven_kg: number;
+};
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+/** Factor for a route's profile; routes without a known profile were routed as driving. */
+export function emissionFactor(profile: unknown, factors: EmissionFactors): number {
+  const p = normalizeProfile(String(profile ?? ""));
+  return p ? factors[p] : factors.driving;
+}
+
+export function emissionsFor(distance_m: unknown, profile: unknown, factors: EmissionFactors = DEFAULT_EMISSION_FACTORS): EmissionProperties {
+  const km = Math.max(0, Number(distance_m) || 0) / 1000;
+  return {
+    co2_kg: round2((km * emissionFactor(profile, factors)) / 1000),
+    co2_if_driven_kg: round2((km * factors.driving) / 1000),
+  };
+}
+
+/** "1.2 kg" / "3.4 t" */
+export function formatCO2(kg: number): string {
+  if (kg >= 1000) return `${(kg / 1000).toFixed(kg >= 10000 ? 0 : 1)} t`;
+  return `${kg >= 100 ? Math.round(kg) : kg.toFixed(1)} kg`;
+}
+
+const STORAGE_KEY = "sdic-map:emission-factors";
+
+export function loadEmissionFactors(): EmissionFactors {
+  if (typeof window === "undefined") return DEFAULT_EMISSION_FACTORS;
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "{}");
+    const factors = { ...DEFAULT_EMISSION_FACTORS };
+    for (const p of PROFILES) {
+      const v = saved?.[p];
+      if (typeof v === "number" && Number.isFinite(v) && v >= 0) factors[p] = v;
+    }
+    return factors;
+  } catch {
+    return DEFAULT_EMISSION_FACTORS;
+  }
+}
+
+export function saveEmissionFactors(factors: EmissionFactors) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(factors));
+  } catch {}
+}
@@ -0,0 +1,41 @@
+import type { Feature, Position } from "geojson";
+
+/** Great-circle distance in meters between two [lon, lat] points (haversine). */
+export function haversineMeters(a: Position, b: Position): number {
+  const R = 6371000;
+  const toRad = (x: number) => (x * Math.PI) / 180;
+  const [lon1, lat1] = a, [lon2, lat2] = b;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const la1 = toRad(lat1), la2 = toRad(lat2);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(la1) * Math.cos(la2) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+/** Total length in meters of a coordinate array. */
+export function pathLengthMeters(coords: Position[]): number {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) total += haversineMeters(coords[i - 1], coords[i]);
+  return total;
+}
+
+export type Bounds = [[number, number], [number, number]];
+
+/** [[west, south], [east, north]] of the (Multi)LineString / Point features, or null when there are none. */
+export function featureBounds(features: Feature[]): Bounds | null {
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  const extend = ([lng, lat]: Position) => {
+    if (lng < w) w = lng;
+    if (lng > e) e = lng;
+    if (lat < s) s = lat;
+    if (lat > n) n = lat;
+  };
+  for (const f of features) {
+    const g = f?.geometry;
+    if (!g) continue;
+    if (g.type === "LineString") g.coordinates.forEach(extend);
+    else if (g.type === "MultiLineString") g.coordinates.flat().forEach(extend);
+    else if (g.type === "Point") extend(g.coordinates);
+  }
+  return w === Infinity ? null : [[w, s], [e, n]];
+}
@@ -0,0 +1,126 @@
+// Persistent geocode cache (IndexedDB) shared by every routeGenerator run.
+// Entries are keyed by the normalized address; manual fixes (corrected address or
+// a pinned coordinate) live on the same entry so later runs reuse them.
+
+export type GeocodeStatus = "ok" | "low" | "failed";
+export type GeocodeSource = "geocoder" | "corrected" | "pin";
+
+export type GeocodeEntry = {
+  /** normalized address (see `normalizeAddress`) */
+  key: string;
+  /** address as first seen in a CSV */
+  query: string;
+  status: GeocodeStatus;
+  source?: GeocodeSource;
+  lon?: number;
+  lat?: number;
+  /** formatted address returned by the geocoder (or the pin label) */
+  name?: string;
+  /** replacement address typed in the review table */
+  correctedQuery?: string;
+  error?: string;
+  updatedAt: number;
+};
+
+export type GeocodeCacheExport = {
+  version: 1;
+  exportedAt: string;
+  entries: GeocodeEntry[];
+};
+
+const DB_NAME = "sdic-map";
+const DB_VERSION = 1;
+const STORE = "geocode";
+
+export const normalizeAddress = (s: string | undefined) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/** Entries that need a human: failed lookups and low-confidence matches. */
+export const needsReview = (e: GeocodeEntry) => e.status === "failed" || e.status === "low";
+
+/** Does the entry carry usable coordinates? */
+export const hasCoords = (e: GeocodeEntry | undefined): e is GeocodeEntry & { lon: number; lat: number } =>
+  !!e && Number.isFinite(e.lon) && Number.isFinite(e.lat);
+
+function openDB(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore<T>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T> | void): Promise<T | undefined> {
+  const db = await openDB();
+  try {
+    return await new Promise<T | undefined>((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export async function loadGeocodeEntries(): Promise<GeocodeEntry[]> {
+  return (await withStore<GeocodeEntry[]>("readonly", (s) => s.getAll() as IDBRequest<GeocodeEntry[]>)) ?? [];
+}
+
+export async function saveGeocodeEntries(entries: GeocodeEntry[]): Promise<void> {
+  if (!entries.length) return;
+  await withStore("readwrite", (s) => {
+    for (const e of entries) s.put(e);
+  });
+}
+
+export async function deleteGeocodeEntry(key: string): Promise<void> {
+  await withStore("readwrite", (s) => s.delete(key));
+}
+
+export async function clearGeocodeEntries(): Promise<void> {
+  await withStore("readwrite", (s) => s.clear());
+}
+
+export function exportGeocodeCache(entries: GeocodeEntry[]): GeocodeCacheExport {
+  return { version: 1, exportedAt: new Date().toISOString(), entries };
+}
+
+/** Validate an imported JSON blob; accepts the export envelope or a bare entry array. */
+export function parseGeocodeCacheImport(json: unknown): GeocodeEntry[] {
+  const list = Array.isArray(json) ? json : (json as Partial<GeocodeCacheExport>)?.entries;
+  if (!Array.isArray(list)) throw new Error("Not a geocode cache export (missing 'entries').");
+  return list
+    .filter((e): e is GeocodeEntry => !!e && typeof e === "object" && typeof (e as GeocodeEntry).query === "string")
+    .map((e) => ({
+      ...e,
+      key: e.key || normalizeAddress(e.query),
+      status: e.status === "ok" || e.status === "low" ? e.status : "failed",
+      updatedAt: Number(e.updatedAt) || Date.now(),
+    }));
+}
+
+/**
+ * Merge two entry lists by key. Manual fixes win over geocoder results,
+ * otherwise the most recently updated entry wins.
+ */
+export function mergeGeocodeEntries(base: GeocodeEntry[], incoming: GeocodeEntry[]): GeocodeEntry[] {
+  const isManual = (e: GeocodeEntry) => e.source === "pin" || e.source === "corrected";
+  const byKey = new Map(base.map((e) => [e.key, e]));
+  for (const e of incoming) {
+    const prev = byKey.get(e.key);
+    if (!prev) { byKey.set(e.key, e); continue; }
+    if (isManual(prev) !== isManual(e)) { byKey.set(e.key, isManual(e) ? e : prev); continue; }
+    byKey.set(e.key, e.updatedAt >= prev.updatedAt ? e : prev);
+  }
+  return [...byKey.values()];
+}
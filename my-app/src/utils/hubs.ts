@@ -0,0 +1,54 @@
+import { haversineMeters } from "./geo";
+import type { Coord } from "./providers";
+
+/**
+ * An origin hub for hub-and-spoke generation ("the office"). Either an address that
+ * goes through the geocoder, or coordinates picked on the map.
+ */
+export type Hub = {
+  name: string;
+  address?: string;
+  lon?: number;
+  lat?: number;
+};
+
+export const hubHasCoords = (h: Hub): h is Hub & { lon: number; lat: number } =>
+  typeof h.lon === "number" && typeof h.lat === "number";
+
+/** Case-insensitive lookup by name, as written in a CSV `hub` column. */
+export function findHub(hubs: Hub[], name: string | undefined): Hub | undefined {
+  const n = String(name || "").trim().toLowerCase();
+  return n ? hubs.find((h) => h.name.trim().toLowerCase() === n) : undefined;
+}
+
+/** Index of the hub closest (great-circle) to `to`, or -1 when there are none. */
+export function nearestHubIndex(hubCoords: Coord[], to: Coord): number {
+  let best = -1;
+  let bestD = Infinity;
+  hubCoords.forEach((c, i) => {
+    const d = haversineMeters([c.lon, c.lat], [to.lon, to.lat]);
+    if (d < bestD) {
+      bestD = d;
+      best = i;
+    }
+  });
+  return best;
+}
+
+const STORAGE_KEY = "sdic-map:hubs";
+
+export function loadHubs(): Hub[] {
+  if (typeof window === "undefined") return [];
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((h): h is Hub => typeof h?.name === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveHubs(hubs: Hub[]) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(hubs));
+  } catch {}
+}
@@ -0,0 +1,91 @@
+import type { Feature, FeatureCollection, GeoJsonProperties, Geometry, Position } from "geojson";
+
+// Line features flattened into typed arrays so they can be transferred to and from a worker
+// instead of structured-cloned coordinate by coordinate. Only lng/lat are kept (no elevation).
+// Properties and any non-line geometries travel as plain (cloned) objects.
+
+export type PackedFeatures = {
+  /** lng, lat of every line vertex, part after part */
+  coords: Float64Array;
+  /** vertex index each line part starts at, plus the total */
+  parts: Uint32Array;
+  /** part index each feature starts at, plus the total */
+  features: Uint32Array;
+  /** per feature: 0 = LineString, 1 = MultiLineString, 2 = other (kept in `other`) */
+  kinds: Uint8Array;
+  properties: GeoJsonProperties[];
+  /** geometries that aren't lines, by feature index */
+  other: Record<number, Geometry | null>;
+  /** top-level members of the collection besides `type` and `features` (e.g. `smoothing`) */
+  members: Record<string, unknown>;
+};
+
+const LINE = 0;
+const MULTI = 1;
+const OTHER = 2;
+
+export function packFeatures(fc: FeatureCollection): PackedFeatures {
+  const linesOf = (f: Feature): Position[][] =>
+    f.geometry?.type === "LineString" ? [f.geometry.coordinates] : f.geometry?.type === "MultiLineString" ? f.geometry.coordinates : [];
+
+  let vertexCount = 0;
+  let partCount = 0;
+  for (const f of fc.features) {
+    for (const line of linesOf(f)) vertexCount += line.length;
+    partCount += linesOf(f).length;
+  }
+
+  const coords = new Float64Array(vertexCount * 2);
+  const parts = new Uint32Array(partCount + 1);
+  const features = new Uint32Array(fc.features.length + 1);
+  const kinds = new Uint8Array(fc.features.length);
+  const other: PackedFeatures["other"] = {};
+  let v = 0;
+  let part = 0;
+  fc.features.forEach((f, i) => {
+    features[i] = part;
+    const type = f.geometry?.type;
+    kinds[i] = type === "LineString" ? LINE : type === "MultiLineString" ? MULTI : OTHER;
+    if (kinds[i] === OTHER) other[i] = f.geometry ?? null;
+    for (const line of linesOf(f)) {
+      parts[part++] = v;
+      for (const p of line) {
+        coords[v * 2] = p[0];
+        coords[v * 2 + 1] = p[1];
+        v++;
+      }
+    }
+  });
+  parts[partCount] = v;
+  features[fc.features.length] = part;
+
+  const members = Object.fromEntries(Object.entries(fc).filter(([k]) => k !== "type" && k !== "features"));
+  return { coords, parts, features, kinds, properties: fc.features.map((f) => f.properties ?? null), other, members };
+}
+
+/** Vertices of line part `part`. */
+export function packedPart(p: PackedFeatures, part: number): Position[] {
+  const out: Position[] = [];
+  for (let v = p.parts[part]; v < p.parts[part + 1]; v++) out.push([p.coords[v * 2], p.coords[v * 2 + 1]]);
+  return out;
+}
+
+/** Feature `i` as GeoJSON again. */
+export function packedFeature(p: PackedFeatures, i: number): Feature {
+  const lines: Position[][] = [];
+  for (let part = p.features[i]; part < p.features[i + 1]; part++) lines.push(packedPart(p, part));
+  const geometry: Geometry | null =
+    p.kinds[i] === LINE
+      ? { type: "LineString", coordinates: lines[0] ?? [] }
+      : p.kinds[i] === MULTI
+        ? { type: "MultiLineString", coordinates: lines }
+        : p.other[i] ?? null;
+  return { type: "Feature", properties: p.properties[i], geometry: geometry as Geometry };
+}
+
+export function unpackFeatures(p: PackedFeatures): FeatureCollection {
+  return { ...p.members, type: "FeatureCollection", features: p.properties.map((_, i) => packedFeature(p, i)) };
+}
+
+/** Buffers to list as transferables when posting `p`. */
+export const packedTransfer = (p: PackedFeatures): Transferable[] => [p.coords.buffer, p.parts.buffer, p.features.buffer, p.kinds.buffer];
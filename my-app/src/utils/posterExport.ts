@@ -0,0 +1,464 @@
+import type { Feature, FeatureCollection, Position } from "geojson";
+import maplibregl from "maplibre-gl";
+import { pathLengthMeters } from "./geo";
+import { compareFacetValues } from "./routeFilters";
+import { END_COLOR, type LegendEntry } from "./routeStyles";
+
+// Print-resolution poster of the static route map. The current style (basemap + RouteLayer's
+// per-feature gradient lines and glows) is re-rendered in an offscreen map sized in inches at the
+// chosen DPI. PNG output is that raster plus title/legend/stats; SVG output keeps the basemap as an
+// embedded image and redraws the routes and glows as vectors projected from the GeoJSON.
+
+export type PosterFormat = "png" | "svg";
+
+export type PosterSettings = {
+  widthIn: number;
+  heightIn: number;
+  dpi: number;
+  title: string;
+  legend: boolean;
+  stats: boolean;
+};
+
+export const POSTER_SIZES = [
+  { label: "18 × 24 in", widthIn: 18, heightIn: 24 },
+  { label: "24 × 36 in", widthIn: 24, heightIn: 36 },
+  { label: "A2 (16.5 × 23.4 in)", widthIn: 16.54, heightIn: 23.39 },
+  { label: "A1 (23.4 × 33.1 in)", widthIn: 23.39, heightIn: 33.11 },
+  { label: "Letter (8.5 × 11 in)", widthIn: 8.5, heightIn: 11 },
+];
+
+export const POSTER_DPI = [72, 150, 300];
+
+/** CSS pixels per inch; line widths and glow radii are in CSS px, so DPI only changes the pixel ratio. */
+const CSS_DPI = 96;
+
+export const posterPixelSize = ({ widthIn, heightIn, dpi }: PosterSettings) => ({
+  width: Math.round(widthIn * dpi),
+  height: Math.round(heightIn * dpi),
+});
+
+export type PosterStat = { label: string; value: string };
+
+/** Route count, total distance, teams and month range of the routes on the poster. */
+export function posterStats(fc: FeatureCollection | null | undefined): PosterStat[] {
+  const features = fc?.features ?? [];
+  let meters = 0;
+  for (const f of features) {
+    const g = f.geometry;
+    if (g?.type === "LineString") meters += pathLengthMeters(g.coordinates);
+    else if (g?.type === "MultiLineString") g.coordinates.forEach((c) => (meters += pathLengthMeters(c)));
+  }
+  const teams = new Set(features.map((f) => String(f.properties?.team ?? "").trim()).filter(Boolean));
+  const months = [...new Set(features.map((f) => String(f.properties?.month ?? "").trim()).filter(Boolean))].sort(compareFacetValues("month"));
+
+  const stats: PosterStat[] = [
+    { label: "Routes", value: features.length.toLocaleString() },
+    { label: "Distance", value: `${Math.round(meters / 1000).toLocaleString()} km` },
+  ];
+  if (teams.size) stats.push({ label: "Teams", value: String(teams.size) });
+  if (months.length) stats.push({ label: "Months", value: months.length > 1 ? `${months[0]} – ${months[months.length - 1]}` : months[0] });
+  return stats;
+}
+
+// ---- reading RouteLayer's styling back out of the map style ----
+
+type LayerSpec = maplibregl.LayerSpecification;
+type Stop = { offset: number; color: string };
+type Glow = { opacity: number; blur: number; radius: number; points: { coordinates: Position; color: string }[] };
+
+const routeLayerIds = (layers: LayerSpec[], layerId: string) => {
+  const lineRe = new RegExp(`^${layerId}-\\d+$`);
+  return {
+    lines: layers.filter((l): l is maplibregl.LineLayerSpecification => lineRe.test(l.id) && l.type === "line"),
+    glows: layers.filter((l): l is maplibregl.CircleLayerSpecification => l.id.startsWith(`${layerId}-`) && /-glow\d+$/.test(l.id) && l.type === "circle"),
+    all: layers.filter((l) => l.id === layerId || l.id.startsWith(`${layerId}-`)),
+  };
+};
+
+/** ["interpolate", ["linear"], ["line-progress"], t, color, …] → gradient stops. */
+function gradientStops(expr: unknown): Stop[] {
+  if (!Array.isArray(expr) || expr[0] !== "interpolate") return typeof expr === "string" ? [{ offset: 0, color: expr }] : [];
+  const stops: Stop[] = [];
+  for (let i = 3; i + 1 < expr.length; i += 2) stops.push({ offset: Number(expr[i]), color: String(expr[i + 1]) });
+  return stops;
+}
+
+/** Numbers and zoom-interpolated numbers (["interpolate", ["linear"], ["zoom"], z, v, …]) at `zoom`. */
+function numberAtZoom(value: unknown, zoom: number, fallback: number): number {
+  if (typeof value === "number") return value;
+  if (!Array.isArray(value) || value[0] !== "interpolate") return fallback;
+  const pts: [number, number][] = [];
+  for (let i = 3; i + 1 < value.length; i += 2) pts.push([Number(value[i]), Number(value[i + 1])]);
+  if (!pts.length) return fallback;
+  if (zoom <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    const [z0, v0] = pts[i - 1], [z1, v1] = pts[i];
+    if (zoom <= z1) return v0 + ((v1 - v0) * (zoom - z0)) / (z1 - z0 || 1);
+  }
+  return pts[pts.length - 1][1];
+}
+
+const sourceFeatures = (style: maplibregl.StyleSpecification, id: string): Feature[] => {
+  const src = style.sources[id];
+  const data = src?.type === "geojson" ? src.data : null;
+  return data && typeof data === "object" && "features" in data ? (data as FeatureCollection).features : [];
+};
+
+// ---- offscreen rendering ----
+
+type Offscreen = { map: maplibregl.Map; canvas: HTMLCanvasElement; cssWidth: number; cssHeight: number; dispose: () => void };
+
+/**
+ * Render the live map's style into an offscreen map at poster size. The poster covers (at least) the
+ * area currently on screen. `dropLayers` removes layers from the copy (the SVG draws routes itself).
+ */
+async function renderOffscreen(map: maplibregl.Map, settings: PosterSettings, dropLayers: (l: LayerSpec) => boolean = () => false): Promise<Offscreen> {
+  const cssWidth = settings.widthIn * CSS_DPI;
+  const cssHeight = settings.heightIn * CSS_DPI;
+  const pixelRatio = settings.dpi / CSS_DPI;
+  const { width, height } = posterPixelSize(settings);
+
+  const container = document.createElement("div");
+  Object.assign(container.style, { position: "fixed", left: "-100000px", top: "0", width: `${cssWidth}px`, height: `${cssHeight}px` });
+  document.body.appendChild(container);
+
+  const style = map.getStyle();
+  style.layers = style.layers.filter((l) => !dropLayers(l));
+  const screen = map.getContainer();
+  const scale = Math.min(cssWidth / screen.clientWidth, cssHeight / screen.clientHeight);
+
+  const offscreen = new maplibregl.Map({
+    container,
+    style,
+    center: map.getCenter(),
+    zoom: map.getZoom() + Math.log2(scale),
+    bearing: map.getBearing(),
+    pitch: map.getPitch(),
+    pixelRatio,
+    maxCanvasSize: [width, height],
+    interactive: false,
+    attributionControl: false,
+    fadeDuration: 0,
+    canvasContextAttributes: { preserveDrawingBuffer: true },
+  });
+  const dispose = () => {
+    offscreen.remove();
+    container.remove();
+  };
+
+  try {
+    await Promise.race([
+      offscreen.once("idle"),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("Timed out waiting for the basemap tiles")), 120_000)),
+    ]);
+    const canvas = offscreen.getCanvas();
+    // MapLibre lowers the pixel ratio when the GPU can't allocate a canvas this large
+    if (canvas.width < width - 1 || canvas.height < height - 1) {
+      throw new Error(`${width}×${height} px is more than this GPU can render; lower the DPI or the size`);
+    }
+    return { map: offscreen, canvas, cssWidth, cssHeight, dispose };
+  } catch (e) {
+    dispose();
+    throw e;
+  }
+}
+
+// ---- title / legend / stats ----
+
+type LegendItem = { label: string; colors: string[]; kind: "glow" | "line" };
+
+function legendItems(layers: LayerSpec[], layerId: string, modes?: LegendEntry[], destinationColors?: string[]): LegendItem[] {
+  const { lines, glows } = routeLayerIds(layers, layerId);
+  const items: LegendItem[] = [];
+  const glowColor = (kind: string) => glows.find((l) => l.id.includes(`-${kind}-`))?.paint?.["circle-color"];
+  const origin = glowColor("origin");
+  if (typeof origin === "string") items.push({ label: "Origin", colors: [origin], kind: "glow" });
+  if (modes?.length) {
+    // dashed modes are drawn in their middle color on the map, so the swatch is flat too
+    for (const m of modes) items.push({ label: m.label, colors: m.dash ? [m.colors[1] ?? m.colors[0]] : [...new Set(m.colors)], kind: "line" });
+  } else {
+    const gradient = gradientStops(lines[0]?.paint?.["line-gradient"]).map((s) => s.color);
+    if (gradient.length) items.push({ label: "Route", colors: [...new Set(gradient)], kind: "line" });
+  }
+  // the endpoint glows are colored per feature (["get", "color"]); their colors come from the caller
+  const dest = glowColor("endpoint");
+  const destColors = typeof dest === "string" ? [dest] : destinationColors?.length ? [...new Set(destinationColors)] : [END_COLOR];
+  items.push({ label: "Destination", colors: destColors, kind: "glow" });
+  return items;
+}
+
+/** Sizes in poster CSS px, proportional to the poster so small and large prints look alike. */
+function decorMetrics(w: number, h: number) {
+  const u = Math.min(w, h) / 100;
+  return { u, pad: 3 * u, title: 4.5 * u, text: 1.6 * u, line: 2.6 * u, swatch: 1.8 * u };
+}
+
+/** Up to four glow dots spread over a legend swatch, one per color. */
+function glowDots(sx: number, swatch: number, colors: string[]) {
+  const shown = colors.slice(0, 4);
+  const step = (swatch * 2) / shown.length;
+  return shown.map((color, j) => ({ cx: sx + step * (j + 0.5), r: Math.min(swatch / 2, step * 0.6), color }));
+}
+
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif";
+
+function drawDecor(ctx: CanvasRenderingContext2D, w: number, h: number, title: string, legend: LegendItem[], stats: PosterStat[]) {
+  const m = decorMetrics(w, h);
+  ctx.textBaseline = "middle";
+
+  if (title) {
+    ctx.fillStyle = "#ffffff";
+    ctx.font = `700 ${m.title}px ${FONT}`;
+    ctx.textAlign = "left";
+    ctx.fillText(title, m.pad, m.pad + m.title / 2);
+  }
+
+  const panel = (x: number, y: number, pw: number, ph: number) => {
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.beginPath();
+    ctx.roundRect(x, y, pw, ph, m.u);
+    ctx.fill();
+  };
+
+  if (legend.length) {
+    const ph = legend.length * m.line + m.u * 2;
+    const pw = 16 * m.u;
+    const x = m.pad, y = h - m.pad - ph;
+    panel(x, y, pw, ph);
+    legend.forEach((item, i) => {
+      const cy = y + m.u + m.line * (i + 0.5);
+      const sx = x + m.u * 1.5;
+      if (item.kind === "line") {
+        const g = ctx.createLinearGradient(sx, 0, sx + m.swatch * 2, 0);
+        item.colors.forEach((c, j) => g.addColorStop(item.colors.length > 1 ? j / (item.colors.length - 1) : 0, c));
+        ctx.fillStyle = g;
+        ctx.fillRect(sx, cy - m.u * 0.3, m.swatch * 2, m.u * 0.6);
+      } else {
+        for (const { cx, r, color } of glowDots(sx, m.swatch, item.colors)) {
+          const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+          g.addColorStop(0, color);
+          g.addColorStop(1, "rgba(0,0,0,0)");
+          ctx.fillStyle = g;
+          ctx.fillRect(cx - r, cy - r, r * 2, r * 2);
+        }
+      }
+      ctx.fillStyle = "#ffffff";
+      ctx.font = `400 ${m.text}px ${FONT}`;
+      ctx.textAlign = "left";
+      ctx.fillText(item.label, sx + m.swatch * 2 + m.u, cy);
+    });
+  }
+
+  if (stats.length) {
+    const ph = stats.length * m.line + m.u * 2;
+    const pw = 26 * m.u;
+    const x = w - m.pad - pw, y = h - m.pad - ph;
+    panel(x, y, pw, ph);
+    stats.forEach((s, i) => {
+      const cy = y + m.u + m.line * (i + 0.5);
+      ctx.fillStyle = "rgba(255,255,255,0.7)";
+      ctx.font = `400 ${m.text}px ${FONT}`;
+      ctx.textAlign = "left";
+      ctx.fillText(s.label, x + m.u * 1.5, cy);
+      ctx.fillStyle = "#ffffff";
+      ctx.font = `600 ${m.text}px ${FONT}`;
+      ctx.textAlign = "right";
+      ctx.fillText(s.value, x + pw - m.u * 1.5, cy);
+    });
+  }
+}
+
+const esc = (s: string) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const n = (v: number) => (Math.round(v * 10) / 10).toString();
+
+function svgDecor(w: number, h: number, title: string, legend: LegendItem[], stats: PosterStat[]): { defs: string[]; body: string[] } {
+  const m = decorMetrics(w, h);
+  const defs: string[] = [];
+  const body: string[] = [`<g id="decor" font-family="${esc(FONT)}" dominant-baseline="central">`];
+
+  if (title) body.push(`<text x="${n(m.pad)}" y="${n(m.pad + m.title / 2)}" font-size="${n(m.title)}" font-weight="700" fill="#ffffff">${esc(title)}</text>`);
+
+  if (legend.length) {
+    const ph = legend.length * m.line + m.u * 2;
+    const x = m.pad, y = h - m.pad - ph;
+    body.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(16 * m.u)}" height="${n(ph)}" rx="${n(m.u)}" fill="#000000" fill-opacity="0.55"/>`);
+    legend.forEach((item, i) => {
+      const cy = y + m.u + m.line * (i + 0.5);
+      const sx = x + m.u * 1.5;
+      const id = `legend-${i}`;
+      if (item.kind === "line") {
+        const stops = item.colors.map((c, j) => `<stop offset="${item.colors.length > 1 ? j / (item.colors.length - 1) : 0}" stop-color="${esc(c)}"/>`);
+        defs.push(`<linearGradient id="${id}">${stops.join("")}</linearGradient>`);
+        body.push(`<rect x="${n(sx)}" y="${n(cy - m.u * 0.3)}" width="${n(m.swatch * 2)}" height="${n(m.u * 0.6)}" fill="url(#${id})"/>`);
+      } else {
+        glowDots(sx, m.swatch, item.colors).forEach(({ cx, r, color }, j) => {
+          defs.push(`<radialGradient id="${id}-${j}"><stop offset="0" stop-color="${esc(color)}"/><stop offset="1" stop-color="${esc(color)}" stop-opacity="0"/></radialGradient>`);
+          body.push(`<circle cx="${n(cx)}" cy="${n(cy)}" r="${n(r)}" fill="url(#${id}-${j})"/>`);
+        });
+      }
+      body.push(`<text x="${n(sx + m.swatch * 2 + m.u)}" y="${n(cy)}" font-size="${n(m.text)}" fill="#ffffff">${esc(item.label)}</text>`);
+    });
+  }
+
+  if (stats.length) {
+    const ph = stats.length * m.line + m.u * 2;
+    const pw = 26 * m.u;
+    const x = w - m.pad - pw, y = h - m.pad - ph;
+    body.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(pw)}" height="${n(ph)}" rx="${n(m.u)}" fill="#000000" fill-opacity="0.55"/>`);
+    stats.forEach((s, i) => {
+      const cy = y + m.u + m.line * (i + 0.5);
+      body.push(`<text x="${n(x + m.u * 1.5)}" y="${n(cy)}" font-size="${n(m.text)}" fill="#ffffff" fill-opacity="0.7">${esc(s.label)}</text>`);
+      body.push(`<text x="${n(x + pw - m.u * 1.5)}" y="${n(cy)}" font-size="${n(m.text)}" font-weight="600" fill="#ffffff" text-anchor="end">${esc(s.value)}</text>`);
+    });
+  }
+
+  body.push("</g>");
+  return { defs, body };
+}
+
+// ---- exports ----
+
+type PosterOptions = {
+  /** RouteLayer's layerId / sourceId, used to find its layers and GeoJSON in the style */
+  layerId: string;
+  sourceId: string;
+  /** routes the stats block describes (the visible, filtered collection) */
+  statsFC?: FeatureCollection | null;
+  /** per-mode legend rows (same as the on-map legend); without them the legend shows one "Route" gradient */
+  routeLegend?: LegendEntry[];
+  /** colors of the destination glows when they are data-driven (the categories in color-by mode); END_COLOR otherwise */
+  destinationColors?: string[];
+};
+
+const toBlob = (canvas: HTMLCanvasElement) =>
+  new Promise<Blob>((resolve, reject) => canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Could not encode the poster"))), "image/png"));
+
+export async function exportPosterPNG(map: maplibregl.Map, settings: PosterSettings, { layerId, statsFC, routeLegend, destinationColors }: PosterOptions): Promise<Blob> {
+  const off = await renderOffscreen(map, settings);
+  try {
+    const { width, height } = posterPixelSize(settings);
+    const out = document.createElement("canvas");
+    out.width = width;
+    out.height = height;
+    const ctx = out.getContext("2d");
+    if (!ctx) throw new Error("Canvas 2D is not available");
+    ctx.drawImage(off.canvas, 0, 0, width, height);
+    ctx.scale(width / off.cssWidth, height / off.cssHeight);
+    drawDecor(
+      ctx,
+      off.cssWidth,
+      off.cssHeight,
+      settings.title.trim(),
+      settings.legend ? legendItems(map.getStyle().layers, layerId, routeLegend, destinationColors) : [],
+      settings.stats ? posterStats(statsFC) : []
+    );
+    return await toBlob(out);
+  } finally {
+    off.dispose();
+  }
+}
+
+export async function exportPosterSVG(map: maplibregl.Map, settings: PosterSettings, { layerId, sourceId, statsFC, routeLegend, destinationColors }: PosterOptions): Promise<Blob> {
+  const style = map.getStyle();
+  const { lines, glows, all } = routeLayerIds(style.layers, layerId);
+  const routeIds = new Set(all.map((l) => l.id));
+
+  // basemap only; routes and glows are drawn as vectors on top
+  const off = await renderOffscreen(map, settings, (l) => routeIds.has(l.id));
+  try {
+    const { cssWidth: w, cssHeight: h } = off;
+    const zoom = off.map.getZoom();
+    const project = (c: Position) => off.map.project([c[0], c[1]]);
+    const defs: string[] = [];
+    const body: string[] = [`<image href="${off.canvas.toDataURL("image/png")}" x="0" y="0" width="${n(w)}" height="${n(h)}"/>`];
+
+    // one gradient path per route, like RouteLayer's per-feature layers (gradient runs start → end)
+    const routes = sourceFeatures(style, sourceId);
+    body.push(`<g id="routes" fill="none" stroke-linecap="round" stroke-linejoin="round">`);
+    for (const layer of lines) {
+      const idx = Number(layer.id.slice(layerId.length + 1));
+      const f = routes.find((r) => r.id === idx) ?? routes[idx];
+      const g = f?.geometry;
+      const parts = g?.type === "LineString" ? [g.coordinates] : g?.type === "MultiLineString" ? g.coordinates : [];
+      if (!parts.length) continue;
+
+      const pts = parts.map((p) => p.map(project));
+      const d = pts.map((p) => p.map((q, i) => `${i ? "L" : "M"}${n(q.x)} ${n(q.y)}`).join("")).join("");
+      const first = pts[0][0], lastPart = pts[pts.length - 1], last = lastPart[lastPart.length - 1];
+      const stops = gradientStops(layer.paint?.["line-gradient"] ?? layer.paint?.["line-color"]);
+      let stroke = stops[Math.floor(stops.length / 2)]?.color ?? "#ffffff";
+      if (stops.length > 1 && Math.hypot(last.x - first.x, last.y - first.y) > 1) {
+        const id = `route-${idx}`;
+        defs.push(
+          `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${n(first.x)}" y1="${n(first.y)}" x2="${n(last.x)}" y2="${n(last.y)}">` +
+            stops.map((s) => `<stop offset="${s.offset}" stop-color="${esc(s.color)}"/>`).join("") +
+            `</linearGradient>`
+        );
+        stroke = `url(#${id})`;
+      }
+      const width = numberAtZoom(layer.paint?.["line-width"], zoom, 1);
+      const opacity = numberAtZoom(layer.paint?.["line-opacity"], zoom, 1);
+      // line-dasharray is in line widths, stroke-dasharray in px
+      const dash = layer.paint?.["line-dasharray"];
+      const dashes = Array.isArray(dash) ? dash.map(Number).filter(Number.isFinite) : [];
+      const dashAttr = dashes.length ? ` stroke-dasharray="${dashes.map((v) => n(v * width)).join(" ")}"` : "";
+      body.push(`<path d="${d}" stroke="${esc(stroke)}" stroke-width="${n(width)}" stroke-opacity="${opacity}"${dashAttr}/>`);
+    }
+    body.push("</g>");
+
+    // glows: circle-blur fades the outer part of the radius, which a radial gradient reproduces
+    const glowData: Glow[] = glows.map((l) => {
+      // a fixed color, or ["get", prop] for per-point colors (color-by mode)
+      const paint = l.paint?.["circle-color"];
+      const colorProp = Array.isArray(paint) && paint[0] === "get" ? String(paint[1]) : null;
+      return {
+        opacity: numberAtZoom(l.paint?.["circle-opacity"], zoom, 1),
+        blur: Math.min(1, numberAtZoom(l.paint?.["circle-blur"], zoom, 0)),
+        radius: numberAtZoom(l.paint?.["circle-radius"], zoom, 5),
+        points: sourceFeatures(style, l.source).flatMap((f) =>
+          f.geometry?.type === "Point"
+            ? [{ coordinates: f.geometry.coordinates, color: String((colorProp ? f.properties?.[colorProp] : paint) ?? "#ffffff") }]
+            : []
+        ),
+      };
+    });
+    body.push(`<g id="glows">`);
+    glowData.forEach((glow, i) => {
+      const ids = new Map<string, string>();
+      for (const { coordinates, color } of glow.points) {
+        let id = ids.get(color);
+        if (!id) {
+          id = `glow-${i}-${ids.size}`;
+          ids.set(color, id);
+          defs.push(
+            `<radialGradient id="${id}"><stop offset="${n(1 - glow.blur)}" stop-color="${esc(color)}"/>` +
+              `<stop offset="1" stop-color="${esc(color)}" stop-opacity="0"/></radialGradient>`
+          );
+        }
+        const p = project(coordinates);
+        body.push(`<circle cx="${n(p.x)}" cy="${n(p.y)}" r="${n(glow.radius)}" fill="url(#${id})" fill-opacity="${glow.opacity}"/>`);
+      }
+    });
+    body.push("</g>");
+
+    const decor = svgDecor(
+      w,
+      h,
+      settings.title.trim(),
+      settings.legend ? legendItems(style.layers, layerId, routeLegend, destinationColors) : [],
+      settings.stats ? posterStats(statsFC) : []
+    );
+
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${settings.widthIn}in" height="${settings.heightIn}in" viewBox="0 0 ${n(w)} ${n(h)}">`,
+      `<defs>${[...defs, ...decor.defs].join("")}</defs>`,
+      ...body,
+      ...decor.body,
+      `</svg>`,
+    ].join("\n");
+    return new Blob([svg], { type: "image/svg+xml" });
+  } finally {
+    off.dispose();
+  }
+}
@@ -0,0 +1,75 @@
+import type { FeatureCollection } from "geojson";
+import type { TripDatum } from "./prepareTrips";
+import { DEFAULT_SMOOTHING, parseSmoothOpts, type SmoothPreset } from "./smoothingPresets";
+
+// Smoothed routes and trips computed ahead of time by `npm run build:routes` (scripts/build-routes.ts).
+// Next to `routes.geojson` the script writes `routes.manifest.json`, naming the content-hashed
+// `routes.smoothed.<hash>.geojson` and `trips.<hash>.json` it built and the source and options they
+// were built from. The app uses them instead of smoothing in the browser while the source file is
+// unchanged and the smoothing options match.
+
+/** Bumped when the artifacts' shape changes; older artifacts are then ignored. */
+export const PRECOMPUTED_FORMAT = 1;
+
+/** Points per trip path, as passed to toTripsData. */
+export const PRECOMPUTED_TRIP_POINTS = 400;
+
+export type RoutesManifest = {
+  format: number;
+  /** file name of the raw routes the artifacts were built from */
+  source: string;
+  /** sha-256 (hex) of the raw routes file */
+  sourceHash: string;
+  /** sha-256 (hex) of everything that went into the build, to skip unchanged rebuilds */
+  inputHash: string;
+  options: SmoothPreset;
+  tripsMaxPoints: number;
+  /** artifact file names, in the manifest's directory */
+  smoothed: string;
+  trips: string;
+  builtAt: string;
+};
+
+export type PrecomputedRoutes = { manifest: RoutesManifest; fc: FeatureCollection; trips: TripDatum[]; options: SmoothPreset };
+
+/** `…/routes.geojson` -> `…/routes.manifest.json`; null for URLs that aren't .geojson / .json files. */
+export function manifestPathFor(routesPath: string): string | null {
+  const bare = routesPath.split(/[?#]/)[0];
+  return /\.(geo)?json$/i.test(bare) ? bare.replace(/\.(geo)?json$/i, ".manifest.json") : null;
+}
+
+async function sha256Hex(bytes: ArrayBuffer): Promise<string | null> {
+  // crypto.subtle only exists in secure contexts (https, localhost)
+  if (typeof crypto === "undefined" || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The artifacts built for the routes file at `url` (whose bytes were fetched as `source`), or null
+ * when there are none, they are stale, or they can't be verified.
+ */
+export async function loadPrecomputedRoutes(url: string, source: ArrayBuffer): Promise<PrecomputedRoutes | null> {
+  const manifestUrl = manifestPathFor(url);
+  if (!manifestUrl) return null;
+  try {
+    const res = await fetch(manifestUrl);
+    if (!res.ok) return null;
+    const manifest = (await res.json()) as RoutesManifest;
+    if (manifest?.format !== PRECOMPUTED_FORMAT || manifest.tripsMaxPoints !== PRECOMPUTED_TRIP_POINTS) return null;
+    const hash = await sha256Hex(source);
+    if (hash !== manifest.sourceHash) {
+      if (hash) console.info(`[routes] ${manifest.source} changed since its artifacts were built; smoothing in the browser`);
+      return null;
+    }
+    const dir = manifestUrl.slice(0, manifestUrl.lastIndexOf("/") + 1);
+    const [smoothedRes, tripsRes] = await Promise.all([fetch(dir + manifest.smoothed), fetch(dir + manifest.trips)]);
+    if (!smoothedRes.ok || !tripsRes.ok) return null;
+    const [fc, trips] = (await Promise.all([smoothedRes.json(), tripsRes.json()])) as [FeatureCollection, TripDatum[]];
+    if (fc?.type !== "FeatureCollection" || !Array.isArray(trips) || trips.length !== fc.features.length) return null;
+    return { manifest, fc, trips, options: { ...DEFAULT_SMOOTHING, ...parseSmoothOpts(manifest.options) } };
+  } catch (e) {
+    console.warn("[routes] Ignoring precomputed routes:", e);
+    return null;
+  }
+}
@@ -18,9 +18,19 @@ export interface RouteProps {
   profile: "driving" | "cycling" | "walking"
   team?: string
   month?: string
+  class?: string
+  activity?: string
 }
 
-type FC = GeoJSON.FeatureCollection<GeoJSON.LineString, RouteProps>
+type FC = GeoJSON.FeatureCollection<GeoJSON.LineString | GeoJSON.MultiLineString, RouteProps>
+
+/** lng/lat of every part of a route, in order, as one path (what the route worker builds from packed lines) */
+export function routeVertices(g: GeoJSON.Geometry | null | undefined): [number, number][] {
+  const parts = g?.type === "LineString" ? [g.coordinates] : g?.type === "MultiLineString" ? g.coordinates : []
+  const out: [number, number][] = []
+  for (const part of parts) for (const p of part) out.push([p[0], p[1]])
+  return out
+}
 
 // ---- performance helper: thin dense polylines ----
 function thinPath(coords: [number, number][], maxPoints = 400) {
@@ -49,31 +59,50 @@ function haversine(a: [number, number], b: [number, number]) {
   return 2 * R * Math.asin(Math.sqrt(s))
 }
 
-export function toTripsData(fc: FC, maxPointsPerPath = 400): TripDatum[] {
-  if (!fc?.features?.length) return []
-  return fc.features.map((f, index) => {
-    const raw = f.geometry.coordinates as [number, number][]
-    const coords = thinPath(raw, maxPointsPerPath)
-    const p = f.properties
+/** Thinned path of one route with a timestamp (seconds) per point, spread by distance over its duration */
+export function tripPath(raw: [number, number][], durationS: number, maxPointsPerPath = 400) {
+  const coords = thinPath(raw, maxPointsPerPath)
+  const duration = Math.max(6, Math.min(Number(durationS) || 60, 90))
 
-    const duration = Math.max(6, Math.min(Number(p.duration_s) || 60, 90))
+  // --- timestamps by cumulative distance ---
+  const dists: number[] = [0]
+  for (let i = 1; i < coords.length; i++) {
+    dists[i] = dists[i - 1] + haversine(coords[i - 1], coords[i])
+  }
+  const total = dists[dists.length - 1] || 1
+  const timestamps = dists.map((d) => (d / total) * duration)
 
-    // --- timestamps by cumulative distance ---
-    const dists: number[] = [0]
-    for (let i = 1; i < coords.length; i++) {
-      dists[i] = dists[i - 1] + haversine(coords[i - 1], coords[i])
-    }
-    const total = dists[dists.length - 1] || 1
-    const timestamps = dists.map((d) => (d / total) * duration)
+  return { path: coords, timestamps }
+}
 
-    return {
-      path: coords,
-      timestamps,
-      color: SUBTLE_BLUE, // Single color for all trips
-      team: p.team,
-      month: p.month,
-      from: p.from,
-      to: p.to,
-    }
+/** A trip from a route's path and properties; `colorOf` as in toTripsData */
+export function tripDatum(
+  path: [number, number][],
+  timestamps: number[],
+  p: RouteProps,
+  colorOf?: (p: RouteProps) => [number, number, number]
+): TripDatum {
+  return {
+    path,
+    timestamps,
+    color: colorOf ? colorOf(p) : SUBTLE_BLUE, // Single color for all trips unless colored by attribute
+    team: p.team,
+    month: p.month,
+    from: p.from,
+    to: p.to,
+  }
+}
+
+/** `colorOf` gives each trip its own color (the "color by" mode); otherwise all trips share SUBTLE_BLUE */
+export function toTripsData(
+  fc: FC,
+  maxPointsPerPath = 400,
+  colorOf?: (p: RouteProps) => [number, number, number]
+): TripDatum[] {
+  if (!fc?.features?.length) return []
+  return fc.features.map((f) => {
+    const p = f.properties
+    const { path, timestamps } = tripPath(routeVertices(f.geometry), p.duration_s, maxPointsPerPath)
+    return tripDatum(path, timestamps, p, colorOf)
   })
 }
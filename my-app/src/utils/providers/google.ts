@@ -0,0 +1,81 @@
+import { haversineMeters } from "../geo";
+import { NoGeometryError, ProviderError, type Coord, type Profile, type Provider, type RouteResult } from "./types";
+
+function toGTravelMode(p: Profile) {
+  return p === "cycling" ? "BICYCLE" : p === "walking" ? "WALK" : "DRIVE";
+}
+
+/** Google Geocoding + Routes API. */
+export function createGoogleProvider({ apiKey }: { apiKey?: string }): Provider {
+  const requireKey = () => {
+    if (!apiKey) throw new ProviderError("google", "Missing Google Maps API key");
+    return apiKey;
+  };
+
+  async function geocode(query: string): Promise<Coord> {
+    const params = new URLSearchParams({
+      address: query,
+      language: "en",
+      components: "country:US", // bias results to the US
+      key: requireKey(),
+    });
+    const url = `https://maps.googleapis.com/maps/api/geocode/json?${params.toString()}`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Geocoding failed (${res.status}) for: ${query}`);
+    const data = await res.json();
+    const r = data?.results?.[0];
+    if (!r) throw new Error(`No geocoding result for: ${query}`);
+    const { lat, lng } = r.geometry.location;
+    // APPROXIMATE / GEOMETRIC_CENTER or partial matches usually land on a city or street centroid
+    const lowConfidence = !!r.partial_match || r.geometry.location_type === "APPROXIMATE" || r.geometry.location_type === "GEOMETRIC_CENTER";
+    return { lon: lng, lat, name: r.formatted_address || query, confidence: lowConfidence ? "low" : "high" };
+  }
+
+  // Routes API — returns GeoJSON already
+  async function route(a: Coord, b: Coord, profile: Profile): Promise<RouteResult> {
+    const body = {
+      origin:       { location: { latLng: { latitude: a.lat, longitude: a.lon } } },
+      destination:  { location: { latLng: { latitude: b.lat, longitude: b.lon } } },
+      travelMode:   toGTravelMode(profile),
+      polylineEncoding: "GEO_JSON_LINESTRING",
+      polylineQuality:  "HIGH_QUALITY"
+    };
+
+    const res = await fetch("https://routes.googleapis.com/directions/v2:computeRoutes", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Goog-Api-Key": requireKey(),
+        "X-Goog-FieldMask": "routes.distanceMeters,routes.duration,routes.polyline.geoJsonLinestring"
+      },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) throw new Error(`Google routing failed (${res.status}) for: ${a.name} → ${b.name}`);
+    const data = await res.json();
+    const r = data?.routes?.[0];
+    const line = r?.polyline?.geoJsonLinestring as GeoJSON.LineString | undefined;
+    if (!line?.coordinates?.length) throw new NoGeometryError(`No Google route geometry for: ${a.name} → ${b.name}`);
+
+    // keep the "last meters to door" tail
+    const coords = line.coordinates.slice();
+    const tail: [number, number] = [b.lon, b.lat];
+    if (haversineMeters(coords[coords.length - 1], tail) > 0) coords.push(tail);
+
+    // Google returns duration like "1234s" — parse to seconds
+    const seconds = typeof r.duration === "string" ? parseFloat(r.duration.replace("s", "")) : 0;
+
+    return {
+      type: "Feature",
+      properties: {
+        distance_m: r.distanceMeters,
+        duration_s: seconds,
+        from: a.name || "from",
+        to: b.name || "to",
+        profile,
+      },
+      geometry: { type: "LineString", coordinates: coords },
+    };
+  }
+
+  return { id: "google", label: "Google Maps", geocode, route };
+}
@@ -0,0 +1,106 @@
+import { createGoogleProvider } from "./google";
+import { createLocalProvider, type LocalProviderOptions } from "./local";
+import { createMapTilerProvider } from "./maptiler";
+import { createOsrmProvider, OSRM_DEMO_URL } from "./osrm";
+import { ProviderError, type Coord, type Profile, type Provider, type ProviderId, type RouteResult } from "./types";
+
+export * from "./types";
+export { createGoogleProvider, createLocalProvider, createMapTilerProvider, createOsrmProvider, OSRM_DEMO_URL };
+export type { LocalProviderOptions };
+
+/** Which vendor does which job, plus the credentials they need. */
+export type ProviderSettings = {
+  geocoder: ProviderId;
+  router: ProviderId;
+  googleKey?: string;
+  maptilerKey?: string;
+  osrmUrl?: string;
+};
+
+export const GEOCODERS: ProviderId[] = ["google", "maptiler", "local"];
+export const ROUTERS: ProviderId[] = ["google", "osrm", "local"];
+
+export const PROVIDER_LABELS: Record<ProviderId, string> = {
+  google: "Google Maps",
+  osrm: "OSRM",
+  maptiler: "MapTiler",
+  local: "Local (offline)",
+};
+
+const asProviderId = (v: string | undefined, allowed: ProviderId[], fallback: ProviderId): ProviderId =>
+  allowed.includes(v as ProviderId) ? (v as ProviderId) : fallback;
+
+/** Shown in place of a basemap when no MapTiler key is configured. */
+export const MISSING_BASEMAP_KEY = "No MapTiler API key: set NEXT_PUBLIC_MAPTILER_KEY (see README) to load the basemap.";
+
+/** Build-time configuration (NEXT_PUBLIC_* vars are inlined by Next, so each is read literally). */
+export const ENV_PROVIDER_SETTINGS: ProviderSettings = {
+  geocoder: asProviderId(process.env.NEXT_PUBLIC_GEOCODER, GEOCODERS, "google"),
+  router: asProviderId(process.env.NEXT_PUBLIC_ROUTER, ROUTERS, "google"),
+  googleKey: process.env.NEXT_PUBLIC_GOOGLE_MAPS_KEY || "",
+  maptilerKey: process.env.NEXT_PUBLIC_MAPTILER_KEY || "",
+  osrmUrl: process.env.NEXT_PUBLIC_OSRM_URL || OSRM_DEMO_URL,
+};
+
+const STORAGE_KEY = "sdic-map:providers";
+
+/** Env defaults overlaid with whatever was last chosen in the UI (localStorage). */
+export function loadProviderSettings(): ProviderSettings {
+  if (typeof window === "undefined") return ENV_PROVIDER_SETTINGS;
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "{}") as Partial<ProviderSettings>;
+    return {
+      ...ENV_PROVIDER_SETTINGS,
+      ...saved,
+      geocoder: asProviderId(saved.geocoder, GEOCODERS, ENV_PROVIDER_SETTINGS.geocoder),
+      router: asProviderId(saved.router, ROUTERS, ENV_PROVIDER_SETTINGS.router),
+    };
+  } catch {
+    return ENV_PROVIDER_SETTINGS;
+  }
+}
+
+/** Throws when the browser won't store them (private mode, quota); they still apply to this session. */
+export function saveProviderSettings(settings: ProviderSettings) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/** Human-readable problem with the settings, or null when they look usable. */
+export function validateProviderSettings(s: ProviderSettings): string | null {
+  const uses = (id: ProviderId) => s.geocoder === id || s.router === id;
+  if (uses("google") && !s.googleKey) return "Missing Google Maps API key. Enter it below or set NEXT_PUBLIC_GOOGLE_MAPS_KEY.";
+  if (uses("maptiler") && !s.maptilerKey) return "Missing MapTiler API key. Enter it below or set NEXT_PUBLIC_MAPTILER_KEY.";
+  if (uses("osrm") && !s.osrmUrl) return "Missing OSRM server URL.";
+  return null;
+}
+
+export type RoutingService = {
+  geocoder: Provider;
+  router: Provider;
+  geocode(query: string): Promise<Coord>;
+  route(a: Coord, b: Coord, profile: Profile): Promise<RouteResult>;
+};
+
+/** Instantiate the selected geocoder and router. `local` configures the offline provider. */
+export function createRoutingService(settings: ProviderSettings, local?: LocalProviderOptions): RoutingService {
+  const make = (id: ProviderId): Provider => {
+    switch (id) {
+      case "google": return createGoogleProvider({ apiKey: settings.googleKey });
+      case "osrm": return createOsrmProvider({ baseUrl: settings.osrmUrl || OSRM_DEMO_URL });
+      case "maptiler": return createMapTilerProvider({ apiKey: settings.maptilerKey });
+      case "local": return createLocalProvider(local);
+    }
+  };
+
+  const geocoder = make(settings.geocoder);
+  const router = settings.router === settings.geocoder ? geocoder : make(settings.router);
+  if (!geocoder.geocode) throw new ProviderError(geocoder.id, `${geocoder.label} cannot geocode`);
+  if (!router.route) throw new ProviderError(router.id, `${router.label} cannot route`);
+
+  return {
+    geocoder,
+    router,
+    geocode: geocoder.geocode,
+    route: router.route,
+  };
+}
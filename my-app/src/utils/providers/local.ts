@@ -0,0 +1,193 @@
+import type { FeatureCollection, Geometry, Position } from "geojson";
+import { haversineMeters, pathLengthMeters } from "../geo";
+import { ProviderError, type Coord, type Profile, type Provider, type RouteResult } from "./types";
+
+/** Rough door-to-door speeds (m/s) used to estimate durations offline. */
+export const LOCAL_SPEEDS_MPS: Record<Profile, number> = {
+  driving: 8.3,  // ~30 km/h city driving
+  cycling: 4.2,  // ~15 km/h
+  walking: 1.4,  // ~5 km/h
+};
+
+export type LocalProviderOptions = {
+  /** address -> [lon, lat] gazetteer (keys are matched case/whitespace-insensitively) */
+  places?: Record<string, [number, number]>;
+  /** road network as LineString / MultiLineString features; straight lines are used when absent */
+  roads?: FeatureCollection<Geometry> | null;
+  speeds?: Partial<Record<Profile, number>>;
+  /** spacing (m) of the interpolated vertices on straight-line routes */
+  straightLineSpacingMeters?: number;
+};
+
+const normalize = (s: string) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+// ---- road graph ----
+type RoadGraph = {
+  nodes: Position[];
+  /** adjacency: node -> [neighbor, meters][] */
+  edges: [number, number][][];
+};
+
+function buildRoadGraph(roads: FeatureCollection<Geometry>): RoadGraph {
+  const nodes: Position[] = [];
+  const edges: [number, number][][] = [];
+  const index = new Map<string, number>();
+
+  // Vertices closer than ~10cm collapse into one node so touching lines connect
+  const nodeId = (p: Position) => {
+    const key = `${p[0].toFixed(6)},${p[1].toFixed(6)}`;
+    let id = index.get(key);
+    if (id == null) {
+      id = nodes.length;
+      index.set(key, id);
+      nodes.push([p[0], p[1]]);
+      edges.push([]);
+    }
+    return id;
+  };
+
+  const addLine = (coords: Position[]) => {
+    for (let i = 1; i < coords.length; i++) {
+      const a = nodeId(coords[i - 1]);
+      const b = nodeId(coords[i]);
+      if (a === b) continue;
+      const w = haversineMeters(coords[i - 1], coords[i]);
+      edges[a].push([b, w]);
+      edges[b].push([a, w]);
+    }
+  };
+
+  for (const f of roads.features || []) {
+    const g = f.geometry;
+    if (g?.type === "LineString") addLine(g.coordinates);
+    else if (g?.type === "MultiLineString") g.coordinates.forEach(addLine);
+  }
+  return { nodes, edges };
+}
+
+function nearestNode(graph: RoadGraph, p: Position): number {
+  let best = -1, bestD = Infinity;
+  for (let i = 0; i < graph.nodes.length; i++) {
+    const d = haversineMeters(graph.nodes[i], p);
+    if (d < bestD) { bestD = d; best = i; }
+  }
+  return best;
+}
+
+/** Dijkstra over the road graph with a small binary heap. Returns node ids from `src` to `dst`. */
+function shortestPath(graph: RoadGraph, src: number, dst: number): number[] | null {
+  const dist = new Float64Array(graph.nodes.length).fill(Infinity);
+  const prev = new Int32Array(graph.nodes.length).fill(-1);
+  const heap: [number, number][] = []; // [dist, node]
+
+  const push = (item: [number, number]) => {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop()!;
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+        if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+        if (m === i) break;
+        [heap[m], heap[i]] = [heap[i], heap[m]];
+        i = m;
+      }
+    }
+    return top;
+  };
+
+  dist[src] = 0;
+  push([0, src]);
+  while (heap.length) {
+    const [d, u] = pop();
+    if (d > dist[u]) continue;
+    if (u === dst) break;
+    for (const [v, w] of graph.edges[u]) {
+      const nd = d + w;
+      if (nd < dist[v]) {
+        dist[v] = nd;
+        prev[v] = u;
+        push([nd, v]);
+      }
+    }
+  }
+  if (!Number.isFinite(dist[dst])) return null;
+
+  const path: number[] = [];
+  for (let u = dst; u !== -1; u = prev[u]) path.push(u);
+  return path.reverse();
+}
+
+function straightLine(a: Position, b: Position, spacingMeters: number): Position[] {
+  const steps = Math.max(1, Math.ceil(haversineMeters(a, b) / Math.max(1, spacingMeters)));
+  const out: Position[] = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+  }
+  return out;
+}
+
+/**
+ * Offline stand-in: geocodes from a local gazetteer and routes over a local road graph
+ * (or as straight lines). No network access, deterministic output.
+ */
+export function createLocalProvider({
+  places = {},
+  roads = null,
+  speeds,
+  straightLineSpacingMeters = 50,
+}: LocalProviderOptions = {}): Provider {
+  const gazetteer = new Map(Object.entries(places).map(([k, v]) => [normalize(k), v]));
+  const graph = roads?.features?.length ? buildRoadGraph(roads) : null;
+  const mps = { ...LOCAL_SPEEDS_MPS, ...speeds };
+
+  async function geocode(query: string): Promise<Coord> {
+    const hit = gazetteer.get(normalize(query));
+    if (!hit) throw new ProviderError("local", `Address not in local gazetteer: ${query}`);
+    return { lon: hit[0], lat: hit[1], name: query, confidence: "high" };
+  }
+
+  async function route(a: Coord, b: Coord, profile: Profile): Promise<RouteResult> {
+    const from: Position = [a.lon, a.lat];
+    const to: Position = [b.lon, b.lat];
+    let coords: Position[];
+
+    if (graph?.nodes.length) {
+      const path = shortestPath(graph, nearestNode(graph, from), nearestNode(graph, to));
+      if (!path) throw new ProviderError("local", `No local road path for: ${a.name} → ${b.name}`);
+      // Walk from the real endpoints onto / off the network
+      coords = [from, ...path.map((i) => graph.nodes[i]), to];
+    } else {
+      coords = straightLine(from, to, straightLineSpacingMeters);
+    }
+
+    const distance = pathLengthMeters(coords);
+    return {
+      type: "Feature",
+      properties: {
+        distance_m: Math.round(distance),
+        duration_s: Math.round(distance / Math.max(0.1, mps[profile] ?? LOCAL_SPEEDS_MPS.driving)),
+        from: a.name || "from",
+        to: b.name || "to",
+        profile,
+      },
+      geometry: { type: "LineString", coordinates: coords },
+    };
+  }
+
+  return { id: "local", label: graph ? "Local road graph" : "Straight line", geocode, route };
+}
@@ -0,0 +1,19 @@
+import { ProviderError, type Coord, type Provider } from "./types";
+
+/** MapTiler geocoding (MapTiler has no public routing API, so this provider only geocodes). */
+export function createMapTilerProvider({ apiKey }: { apiKey?: string }): Provider {
+  async function geocode(query: string): Promise<Coord> {
+    if (!apiKey) throw new ProviderError("maptiler", "Missing MapTiler API key");
+    const url = `https://api.maptiler.com/geocoding/${encodeURIComponent(query)}.json?key=${apiKey}&limit=1&language=en&country=US`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Geocoding failed (${res.status}) for: ${query}`);
+    const data = await res.json();
+    const feat = data?.features?.[0];
+    if (!feat?.center) throw new Error(`No geocoding result for: ${query}`);
+    // relevance is 0..1; anything that isn't an address/POI hit is treated as approximate
+    const precise = (feat.relevance ?? 1) >= 0.8 && (feat.place_type || []).some((t: string) => t === "address" || t === "poi");
+    return { lon: feat.center[0], lat: feat.center[1], name: feat.place_name || query, confidence: precise ? "high" : "low" };
+  }
+
+  return { id: "maptiler", label: "MapTiler", geocode };
+}
@@ -0,0 +1,31 @@
+import type { LineString } from "geojson";
+import { NoGeometryError, type Coord, type Profile, type Provider, type RouteResult } from "./types";
+
+export const OSRM_DEMO_URL = "https://router.project-osrm.org";
+
+/** OSRM HTTP routing (no geocoder). The public demo server only serves the driving profile. */
+export function createOsrmProvider({ baseUrl = OSRM_DEMO_URL }: { baseUrl?: string }): Provider {
+  const base = baseUrl.replace(/\/+$/, "");
+
+  async function route(a: Coord, b: Coord, profile: Profile): Promise<RouteResult> {
+    const url = `${base}/route/v1/${profile}/${a.lon},${a.lat};${b.lon},${b.lat}?overview=full&geometries=geojson&steps=false`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Routing failed: ${res.status}`);
+    const data = await res.json();
+    const r = data?.routes?.[0];
+    if (!r?.geometry) throw new NoGeometryError(`No route geometry returned for: ${a.name} → ${b.name}`);
+    return {
+      type: "Feature",
+      properties: {
+        distance_m: r.distance,
+        duration_s: r.duration,
+        from: a.name || "from",
+        to: b.name || "to",
+        profile,
+      },
+      geometry: r.geometry as LineString,
+    };
+  }
+
+  return { id: "osrm", label: "OSRM", route };
+}
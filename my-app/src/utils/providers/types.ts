@@ -0,0 +1,54 @@
+import type { Feature, LineString } from "geojson";
+
+export type Profile = "driving" | "cycling" | "walking";
+
+export const PROFILES: Profile[] = ["driving", "cycling", "walking"];
+
+export interface Coord {
+  lon: number;
+  lat: number;
+  name?: string;
+  /** geocoder match quality; "low" for approximate / partial matches */
+  confidence?: "high" | "low";
+}
+
+export type RouteProperties = {
+  distance_m: number;
+  duration_s: number;
+  from: string;
+  to: string;
+  profile: Profile;
+};
+
+export type RouteResult = Feature<LineString, RouteProperties>;
+
+export type ProviderId = "google" | "osrm" | "maptiler" | "local";
+
+export interface GeocodingProvider {
+  id: ProviderId;
+  geocode(query: string): Promise<Coord>;
+}
+
+export interface RoutingProvider {
+  id: ProviderId;
+  route(a: Coord, b: Coord, profile: Profile): Promise<RouteResult>;
+}
+
+/** A vendor that can do one or both jobs. Missing methods mean "not supported". */
+export type Provider = { id: ProviderId; label: string } & Partial<Omit<GeocodingProvider, "id">> & Partial<Omit<RoutingProvider, "id">>;
+
+/** Raised when a provider is asked for something it can't do or isn't configured for. */
+export class ProviderError extends Error {
+  constructor(public provider: ProviderId, message: string) {
+    super(message);
+    this.name = "ProviderError";
+  }
+}
+
+/** The router answered but returned no usable line for the pair. */
+export class NoGeometryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "NoGeometryError";
+  }
+}
@@ -0,0 +1,113 @@
+import type { Feature, FeatureCollection, Geometry, Position } from "geojson";
+import { featureBounds, haversineMeters, type Bounds } from "./geo";
+
+// Region presets computed from the data: route endpoints grouped by distance or by the
+// city in their `to` address, each with bounds, route count and dominant team.
+
+export type ClusterMethod = "distance" | "city";
+
+export type RegionCluster = {
+  id: string;
+  label: string;
+  /** bounds of the member routes' endpoints (whole lines would all stretch back to the origin) */
+  bounds: Bounds;
+  count: number;
+  /** most frequent team among the routes ("" when none has a team) */
+  dominantTeam: string;
+  /** share of routes belonging to `dominantTeam`, 0..1 */
+  dominantShare: number;
+};
+
+const US_STATE_ZIP = /^[A-Z]{2}(\s+\d{5}(-\d{4})?)?$/i;
+const COUNTRY = /^(usa|us|united states( of america)?)$/i;
+
+/**
+ * City from a free-form address: "1 Ferry Building, San Francisco, CA 94111" → "San Francisco".
+ * Takes the part before the state/ZIP component; null when the address has no comma-separated parts.
+ */
+export function parseCity(address: unknown): string | null {
+  const parts = String(address ?? "").split(",").map((p) => p.trim()).filter(Boolean);
+  while (parts.length && COUNTRY.test(parts[parts.length - 1])) parts.pop();
+  if (parts.length < 2) return null;
+  const stateAt = parts.findLastIndex((p) => US_STATE_ZIP.test(p));
+  const city = stateAt > 0 ? parts[stateAt - 1] : parts[parts.length - 1];
+  // a leading house number means we picked the street, not the city
+  return city && !/^\d/.test(city) ? city : null;
+}
+
+function endpoint(g: Geometry | null | undefined): Position | null {
+  if (g?.type === "LineString") return g.coordinates[g.coordinates.length - 1] ?? null;
+  if (g?.type === "MultiLineString") return g.coordinates[g.coordinates.length - 1]?.slice(-1)[0] ?? null;
+  return null;
+}
+
+const addressOf = (f: Feature) => f.properties?.original_to ?? f.properties?.to;
+
+function mostCommon(values: string[]): [string, number] {
+  const counts = new Map<string, number>();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  let best: [string, number] = ["", 0];
+  for (const entry of counts) if (entry[1] > best[1]) best = entry;
+  return best;
+}
+
+function summarize(id: string, label: string, members: Feature[]): RegionCluster | null {
+  const points = members.flatMap((f): Feature[] => {
+    const p = endpoint(f.geometry);
+    return p ? [{ type: "Feature", properties: {}, geometry: { type: "Point", coordinates: p } }] : [];
+  });
+  const bounds = featureBounds(points);
+  if (!bounds) return null;
+  const [dominantTeam, n] = mostCommon(members.map((f) => String(f.properties?.team ?? "").trim()));
+  return { id, label, bounds, count: members.length, dominantTeam, dominantShare: n / members.length };
+}
+
+/**
+ * Single-linkage clustering of route endpoints: two endpoints closer than `thresholdMeters`
+ * end up in the same cluster. O(n²), fine for the few hundred routes a dataset has.
+ */
+function clusterByDistance(features: Feature[], thresholdMeters: number): Feature[][] {
+  const items = features.flatMap((f) => {
+    const p = endpoint(f.geometry);
+    return p ? [{ f, p }] : [];
+  });
+  const parent = items.map((_, i) => i);
+  const find = (i: number): number => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (haversineMeters(items[i].p, items[j].p) <= thresholdMeters) parent[find(i)] = find(j);
+    }
+  }
+  const groups = new Map<number, Feature[]>();
+  items.forEach(({ f }, i) => {
+    const root = find(i);
+    groups.set(root, [...(groups.get(root) || []), f]);
+  });
+  return [...groups.values()];
+}
+
+/** Clusters for the jump-to list, largest first. */
+export function computeRegionClusters(
+  fc: FeatureCollection | null | undefined,
+  { method = "distance", thresholdMeters = 3000 }: { method?: ClusterMethod; thresholdMeters?: number } = {}
+): RegionCluster[] {
+  const features = fc?.features ?? [];
+  let clusters: RegionCluster[];
+
+  if (method === "city") {
+    const byCity = new Map<string, Feature[]>();
+    for (const f of features) {
+      const city = parseCity(addressOf(f)) ?? "Unknown city";
+      byCity.set(city, [...(byCity.get(city) || []), f]);
+    }
+    clusters = [...byCity].flatMap(([city, members]) => summarize(`city:${city.toLowerCase()}`, city, members) ?? []);
+  } else {
+    clusters = clusterByDistance(features, thresholdMeters).flatMap((members, i) => {
+      // name a distance cluster after the city most of its addresses are in
+      const [city] = mostCommon(members.map((f) => parseCity(addressOf(f)) ?? ""));
+      return summarize(`cluster:${i}`, city || `Cluster ${i + 1}`, members) ?? [];
+    });
+  }
+
+  return clusters.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
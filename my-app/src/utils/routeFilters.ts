@@ -0,0 +1,102 @@
+import type { Feature, FeatureCollection, GeoJsonProperties, Geometry } from "geojson";
+
+// Route properties (from the routeGenerator CSV) we expose as filter facets
+export const FACET_KEYS = ["month", "team", "class", "activity", "profile"] as const;
+export type FacetKey = (typeof FACET_KEYS)[number];
+
+/**
+ * Selected values per facet. A missing or empty list means "no restriction".
+ * `monthWindow` is set by the timeline: when present, only those months are shown (even if empty).
+ */
+export type RouteFilters = Partial<Record<FacetKey, string[]>> & {
+  monthWindow?: string[] | null;
+};
+
+export type TimelineMode = "cumulative" | "current";
+
+/** Distinct values per facet, as found in the loaded data */
+export type Facets = Record<FacetKey, string[]>;
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+
+/** 0-based calendar index for a month name ("March", "mar", "3"); -1 if unknown. */
+export function monthIndex(value: unknown): number {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return -1;
+  const n = Number(s);
+  if (Number.isInteger(n) && n >= 1 && n <= 12) return n - 1;
+  return MONTHS.findIndex((m) => m === s || (s.length >= 3 && m.startsWith(s)));
+}
+
+/** Trimmed string value of a facet on a feature's properties ("" when absent). */
+export function facetValue(props: GeoJsonProperties | undefined, key: FacetKey): string {
+  const v = props?.[key];
+  return v == null ? "" : String(v).trim();
+}
+
+// Months sort by calendar order, everything else alphabetically
+export function compareFacetValues(key: FacetKey) {
+  return (a: string, b: string) => {
+    if (key === "month") {
+      const d = monthIndex(a) - monthIndex(b);
+      if (d !== 0) return d;
+    }
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+  };
+}
+
+/** Collect the distinct (non-empty) values of every facet present in `fc`. */
+export function buildFacets(fc: FeatureCollection | null | undefined): Facets {
+  const sets = Object.fromEntries(FACET_KEYS.map((k) => [k, new Set<string>()])) as Record<FacetKey, Set<string>>;
+  for (const f of fc?.features || []) {
+    for (const key of FACET_KEYS) {
+      const v = facetValue(f.properties, key);
+      if (v) sets[key].add(v);
+    }
+  }
+  return Object.fromEntries(
+    FACET_KEYS.map((k) => [k, [...sets[k]].sort(compareFacetValues(k))])
+  ) as Facets;
+}
+
+/**
+ * Months visible at timeline position `index` of the ordered `months` list.
+ * Returns null when everything is visible (cumulative mode with the playhead on the last month).
+ */
+export function monthWindow(months: string[], index: number, mode: TimelineMode): string[] | null {
+  if (!months.length) return null;
+  const i = Math.max(0, Math.min(months.length - 1, index));
+  if (mode === "current") return [months[i]];
+  return i >= months.length - 1 ? null : months.slice(0, i + 1);
+}
+
+/** True when no facet (or timeline window) restricts anything. */
+export function isFilterEmpty(filters: RouteFilters | null | undefined): boolean {
+  return !filters || (filters.monthWindow == null && FACET_KEYS.every((k) => !filters[k]?.length));
+}
+
+/** Does a feature's properties satisfy every active facet (OR within a facet, AND across facets)? */
+export function matchesFilters(props: GeoJsonProperties | undefined, filters: RouteFilters | null | undefined): boolean {
+  if (isFilterEmpty(filters)) return true;
+  if (filters?.monthWindow && !filters.monthWindow.includes(facetValue(props, "month"))) return false;
+  return FACET_KEYS.every((key) => {
+    const selected = filters?.[key];
+    if (!selected?.length) return true;
+    return selected.includes(facetValue(props, key));
+  });
+}
+
+/** Return a FeatureCollection with only the features matching `filters` (same object if nothing is filtered). */
+export function filterFeatureCollection<G extends Geometry | null = Geometry, P = GeoJsonProperties>(
+  fc: FeatureCollection<G, P>,
+  filters: RouteFilters | null | undefined
+): FeatureCollection<G, P> {
+  if (!fc || isFilterEmpty(filters)) return fc;
+  return {
+    ...fc,
+    features: fc.features.filter((f: Feature<G, P>) => matchesFilters(f.properties as GeoJsonProperties, filters)),
+  };
+}
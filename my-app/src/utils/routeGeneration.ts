@@ -0,0 +1,440 @@
+import Papa from "papaparse";
+import { normalizeProfile, type CsvMode, type MappedRow } from "./csvIngest";
+import { DEFAULT_EMISSION_FACTORS, emissionsFor, type EmissionFactors, type EmissionProperties } from "./emissions";
+import { normalizeAddress } from "./geocodeCache";
+import { findHub, hubHasCoords, nearestHubIndex, type Hub } from "./hubs";
+import { NoGeometryError, type Coord, type Profile, type RouteProperties, type RouteResult } from "./providers";
+
+// ---- Types shared by the routeGenerator page
+
+/** One leg of a multi-stop route, between two consecutive stops. */
+export type RouteLeg = {
+  from: string;
+  to: string;
+  distance_m: number;
+  duration_s: number;
+};
+
+export interface RouteFeature extends GeoJSON.Feature<GeoJSON.LineString> {
+  properties: RouteProperties & Partial<EmissionProperties> & {
+    // original metadata fields from csv file
+    month?: string;
+    class?: string;
+    team?: string;
+    original_from?: string;
+    original_to?: string;
+    location_name?: string;
+    activity?: string;
+    // hub-and-spoke only: the hub the route starts at, and the hub the csv asked for (if any)
+    hub?: string;
+    hub_assigned?: string;
+    // multi-stop itineraries only
+    trip?: string;
+    /** intermediate stops, as written in the csv */
+    via?: string[];
+    legs?: RouteLeg[];
+  };
+}
+
+export type Pair = {
+  from: string;
+  to: string;
+  original_from: string;
+  original_to: string;
+  /** intermediate stops between from and to (itineraries) */
+  via?: string[];
+  trip?: string;
+  /** hub-and-spoke: `from` is empty and the route starts at a hub */
+  fromHub?: boolean;
+  /** hub named in the csv; nearest hub when unset */
+  hub?: string;
+  profile?: Profile;
+  month?: string;
+  team?: string;
+  class?: string;
+  location_name?: string;
+  activity?: string;
+};
+
+// ---- CSV rows → pairs
+
+const rowMeta = (r: MappedRow) => {
+  const profile = normalizeProfile(r.profile);
+  return {
+    ...(profile ? { profile } : {}),
+    month: r.month,
+    team: r.team,
+    class: r.class,
+    location_name: r.location_name,
+    activity: r.activity,
+  };
+};
+
+const endpoints = (from: string, to: string) => ({ from, to, original_from: from, original_to: to });
+
+/** Display label of a pair's origin (hub pairs have no `from` address). */
+export const originLabel = (pair: Pair) =>
+  pair.fromHub ? (pair.hub ? `hub ${pair.hub}` : "nearest hub") : pair.original_from ?? pair.from;
+
+/**
+ * Turn mapped CSV rows into routable pairs for the given mode.
+ * `skip` holds 1-based row numbers with validation errors; they are left out
+ * (in sequential mode the list simply closes over the gap).
+ */
+export function rowsToPairs(rows: MappedRow[], mode: CsvMode, skip: Set<number> = new Set()): Pair[] {
+  const usable = rows.flatMap((r, i) => (skip.has(i + 1) ? [] : [r]));
+
+  if (mode === "pairs") {
+    return usable.flatMap((r) => (r.from && r.to ? [{ ...endpoints(r.from, r.to), ...rowMeta(r) }] : []));
+  }
+
+  if (mode === "hubs") {
+    return usable.flatMap((r): Pair[] => {
+      if (!r.to) return [];
+      if (r.from) return [{ ...endpoints(r.from, r.to), ...rowMeta(r) }];
+      return [{ ...endpoints("", r.to), fromHub: true, ...(r.hub ? { hub: r.hub } : {}), ...rowMeta(r) }];
+    });
+  }
+
+  if (mode === "sequential") {
+    // each leg carries the destination row's metadata (the venue / activity being travelled to)
+    const stops = usable.filter((r) => r.address);
+    return stops.slice(1).map((r, i) => ({ ...endpoints(stops[i].address!, r.address!), ...rowMeta(r) }));
+  }
+
+  // itinerary: group by trip id in order of first appearance, then order stops
+  const trips = new Map<string, { row: MappedRow; order: number }[]>();
+  usable.forEach((r, i) => {
+    if (!r.trip || !r.address) return;
+    const stop = Number(r.stop);
+    trips.set(r.trip, [...(trips.get(r.trip) || []), { row: r, order: r.stop && Number.isFinite(stop) ? stop : i }]);
+  });
+
+  const pairs: Pair[] = [];
+  for (const [trip, entries] of trips) {
+    if (entries.length < 2) continue;
+    const stops = [...entries].sort((a, b) => a.order - b.order).map((e) => e.row);
+    // first non-empty value of each metadata column across the trip's rows
+    const meta: MappedRow = {};
+    for (const r of stops) {
+      for (const k of ["month", "team", "class", "location_name", "activity", "profile"] as const) meta[k] ??= r[k];
+    }
+    pairs.push({
+      ...endpoints(stops[0].address!, stops[stops.length - 1].address!),
+      via: stops.slice(1, -1).map((r) => r.address!),
+      trip,
+      ...rowMeta(meta),
+    });
+  }
+  return pairs;
+}
+
+export type PairStatus = "pending" | "ok" | "geocode_failed" | "routing_failed" | "no_geometry";
+
+export type PairResult = {
+  /** position of the pair in the parsed CSV */
+  index: number;
+  pair: Pair;
+  status: PairStatus;
+  error?: string;
+  attempts: number;
+  feature?: RouteFeature;
+};
+
+export const PAIR_STATUS_LABELS: Record<PairStatus, string> = {
+  pending: "pending",
+  ok: "ok",
+  geocode_failed: "geocode failed",
+  routing_failed: "routing failed",
+  no_geometry: "no geometry",
+};
+
+export const isFailure = (r: PairResult) => r.status !== "ok" && r.status !== "pending";
+
+export function sleep(ms: number) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/** Exponential backoff delay for the n-th retry (0-based): base, 2·base, 4·base … capped. */
+export function backoffDelay(attempt: number, baseMs = 500, maxMs = 8000) {
+  return Math.min(maxMs, baseMs * 2 ** attempt);
+}
+
+const errorMessage = (e: unknown) => (e instanceof Error ? e.message : String(e));
+
+/** Join leg geometries end to end, dropping the repeated vertex at each stop. */
+function joinLegs(legs: RouteResult[]): GeoJSON.LineString {
+  const coordinates: GeoJSON.Position[] = [];
+  for (const leg of legs) {
+    const cs = leg.geometry.coordinates;
+    const last = coordinates[coordinates.length - 1];
+    const first = cs[0];
+    coordinates.push(...(last && first && last[0] === first[0] && last[1] === first[1] ? cs.slice(1) : cs));
+  }
+  return { type: "LineString", coordinates };
+}
+
+/** Map pin or geocoded address of a hub. */
+async function hubCoord(h: Hub, resolve: (address: string) => Promise<Coord>): Promise<Coord> {
+  if (hubHasCoords(h)) return { lon: h.lon, lat: h.lat, name: h.name };
+  if (!h.address) throw new Error(`Hub "${h.name}" has no address or map pin`);
+  return { ...(await resolve(h.address)), name: h.name };
+}
+
+/**
+ * Pick the origin hub for a spoke: the one named on the row (only that hub is looked up), else
+ * the nearest to `dest` among the hubs that can be located. A name that matches no hub is an error.
+ */
+async function pickHub(pair: Pair, dest: Coord, hubs: Hub[], resolve: (address: string) => Promise<Coord>) {
+  if (!hubs.length) throw new Error("No origin hub configured");
+  if (pair.hub?.trim()) {
+    const assigned = findHub(hubs, pair.hub);
+    if (!assigned) throw new Error(`Unknown hub "${pair.hub}"`);
+    return { hub: assigned, coord: await hubCoord(assigned, resolve) };
+  }
+
+  const settled = await Promise.allSettled(hubs.map((h) => hubCoord(h, resolve)));
+  const located = hubs.flatMap((hub, i) => {
+    const r = settled[i];
+    return r.status === "fulfilled" ? [{ hub, coord: r.value }] : [];
+  });
+  if (!located.length) {
+    const reasons = settled.map((r) => (r.status === "rejected" ? errorMessage(r.reason) : "")).filter(Boolean);
+    throw new Error(`No hub could be located (${reasons.join("; ")})`);
+  }
+  return located[nearestHubIndex(located.map((l) => l.coord), dest)];
+}
+
+/**
+ * Geocode every stop and route one pair (or multi-stop itinerary, leg by leg),
+ * classifying where it failed. Hub pairs start at their hub (see `pickHub`).
+ * Never throws: the outcome (and error text) is carried on the result.
+ */
+export async function routePair(
+  pair: Pair,
+  index: number,
+  {
+    resolve,
+    route,
+    defaultProfile,
+    hubs = [],
+    emissionFactors = DEFAULT_EMISSION_FACTORS,
+  }: {
+    resolve: (address: string) => Promise<Coord>;
+    route: (a: Coord, b: Coord, profile: Profile) => Promise<RouteResult>;
+    defaultProfile: Profile;
+    hubs?: Hub[];
+    /** g CO2/km per mode, for the co2_kg / co2_if_driven_kg properties */
+    emissionFactors?: EmissionFactors;
+  },
+  attempts = 1
+): Promise<PairResult> {
+  const base = { index, pair, attempts };
+  const addresses = [...(pair.fromHub ? [] : [pair.from]), ...(pair.via ?? []), pair.to];
+
+  let stops: Coord[];
+  try {
+    stops = await Promise.all(addresses.map(resolve));
+  } catch (e: unknown) {
+    return { ...base, status: "geocode_failed", error: errorMessage(e) };
+  }
+
+  let hub: Hub | undefined;
+  if (pair.fromHub) {
+    try {
+      const picked = await pickHub(pair, stops[0], hubs, resolve);
+      hub = picked.hub;
+      stops.unshift(picked.coord);
+      addresses.unshift(hub.address || hub.name);
+    } catch (e: unknown) {
+      return { ...base, status: "geocode_failed", error: `Hub: ${errorMessage(e)}` };
+    }
+  }
+
+  const profile = pair.profile ?? defaultProfile;
+  const legs: RouteResult[] = [];
+  for (let i = 1; i < stops.length; i++) {
+    const legLabel = stops.length > 2 ? `Leg ${i}: ` : "";
+    let feat: RouteResult;
+    try {
+      feat = await route(stops[i - 1], stops[i], profile);
+    } catch (e: unknown) {
+      return { ...base, status: e instanceof NoGeometryError ? "no_geometry" : "routing_failed", error: legLabel + errorMessage(e) };
+    }
+    if (!feat?.geometry?.coordinates || feat.geometry.coordinates.length < 2) {
+      return { ...base, status: "no_geometry", error: `${legLabel}Route has no line geometry: ${addresses[i - 1]} → ${addresses[i]}` };
+    }
+    legs.push(feat);
+  }
+
+  const multi = legs.length > 1;
+  const first = legs[0];
+  const distance_m = legs.reduce((sum, l) => sum + (l.properties.distance_m || 0), 0);
+  // add metadata to properties
+  const feature: RouteFeature = {
+    type: "Feature",
+    geometry: multi ? joinLegs(legs) : first.geometry,
+    properties: {
+      ...first.properties,
+      ...(multi
+        ? {
+            to: legs[legs.length - 1].properties.to,
+            distance_m,
+            duration_s: legs.reduce((sum, l) => sum + (l.properties.duration_s || 0), 0),
+            legs: legs.map(({ properties: p }) => ({ from: p.from, to: p.to, distance_m: p.distance_m, duration_s: p.duration_s })),
+          }
+        : {}),
+      month: pair.month,
+      class: pair.class,
+      team: pair.team,
+      original_from: hub ? addresses[0] : pair.original_from ?? pair.from,
+      original_to: pair.original_to ?? pair.to,
+      location_name: pair.location_name,
+      activity: pair.activity,
+      ...(hub ? { hub: hub.name, ...(pair.hub ? { hub_assigned: pair.hub } : {}) } : {}),
+      ...(pair.trip ? { trip: pair.trip } : {}),
+      ...(pair.via?.length ? { via: pair.via } : {}),
+      ...emissionsFor(distance_m, profile, emissionFactors),
+    },
+  };
+  return { ...base, status: "ok", feature };
+}
+
+/**
+ * Retry one failed pair up to `maxAttempts` more times, sleeping with exponential backoff
+ * before each attempt. Returns the last result.
+ */
+export async function retryPair(
+  prev: PairResult,
+  run: (pair: Pair, index: number, attempts: number) => Promise<PairResult>,
+  { maxAttempts = 3, baseMs = 500 }: { maxAttempts?: number; baseMs?: number } = {}
+): Promise<PairResult> {
+  let result = prev;
+  for (let i = 0; i < maxAttempts; i++) {
+    await sleep(backoffDelay(i, baseMs));
+    result = await run(prev.pair, prev.index, result.attempts + 1);
+    if (result.status === "ok") break;
+  }
+  return result;
+}
+
+// Columns of the generator CSV, in upload order
+export const CSV_COLUMNS = ["month", "team", "class", "from", "to", "location_name", "activity"] as const;
+
+/**
+ * Failed pairs as a semicolon CSV with the original upload columns (original addresses),
+ * so it can be fixed and re-uploaded. `profile`, `status` and `error` trail as extra columns.
+ */
+export function failuresToCSV(results: PairResult[]): string {
+  const failed = results.filter(isFailure);
+  const withProfile = failed.some((r) => r.pair.profile);
+  const withTrips = failed.some((r) => r.pair.trip || r.pair.via?.length);
+  const withHubs = failed.some((r) => r.pair.fromHub);
+  const fields = [
+    ...CSV_COLUMNS,
+    ...(withProfile ? ["profile"] : []),
+    // itineraries keep their intermediate stops in one " | "-separated column
+    ...(withTrips ? ["trip", "via"] : []),
+    ...(withHubs ? ["hub"] : []),
+    "status",
+    "error",
+  ];
+  const data = failed.map(({ pair, status, error }) => {
+    const row: Record<string, string> = {
+      month: pair.month ?? "",
+      team: pair.team ?? "",
+      class: pair.class ?? "",
+      from: pair.original_from ?? pair.from,
+      to: pair.original_to ?? pair.to,
+      location_name: pair.location_name ?? "",
+      activity: pair.activity ?? "",
+      status: PAIR_STATUS_LABELS[status],
+      error: (error ?? "").replace(/\s+/g, " "),
+    };
+    if (withProfile) row.profile = pair.profile ?? "";
+    if (withTrips) {
+      row.trip = pair.trip ?? "";
+      row.via = (pair.via ?? []).join(" | ");
+    }
+    if (withHubs) row.hub = pair.hub ?? "";
+    return row;
+  });
+  return Papa.unparse({ fields, data: data.map((row) => fields.map((f) => row[f] ?? "")) }, { delimiter: ";" });
+}
+
+// ---- Incremental regeneration against an existing routes.geojson
+
+/** Identity of a route for incremental runs: normalized original from/to plus profile (and stops, if any). */
+export function pairKey(from: string | undefined, to: string | undefined, profile: string | undefined, via: string[] = []) {
+  const stops = via.length ? `|${via.map(normalizeAddress).join(">")}` : "";
+  return `${normalizeAddress(from)}|${normalizeAddress(to)}|${profile || ""}${stops}`;
+}
+
+// Spokes are keyed by the hub the csv asked for ("*" = nearest), not the hub address they resolved to
+const hubOrigin = (assigned: string | undefined) => `hub:${assigned || "*"}`;
+
+const keyOfPair = (pair: Pair, defaultProfile: Profile) =>
+  pairKey(
+    pair.fromHub ? hubOrigin(pair.hub) : pair.original_from ?? pair.from,
+    pair.original_to ?? pair.to,
+    pair.profile ?? defaultProfile,
+    pair.via
+  );
+
+const keyOfFeature = (f: RouteFeature) =>
+  pairKey(
+    f.properties?.hub ? hubOrigin(f.properties.hub_assigned) : f.properties?.original_from ?? f.properties?.from,
+    f.properties?.original_to ?? f.properties?.to,
+    f.properties?.profile,
+    Array.isArray(f.properties?.via) ? f.properties.via : []
+  );
+
+export type IndexedPair = { index: number; pair: Pair };
+
+export type MergePlan = {
+  /** CSV rows with no matching route yet: these get routed */
+  added: IndexedPair[];
+  /** CSV rows already covered by an existing feature */
+  unchanged: IndexedPair[];
+  /** existing features no CSV row refers to any more */
+  removed: RouteFeature[];
+};
+
+/**
+ * Match CSV pairs against existing features by `pairKey`.
+ * Matching is by count, so a pair listed twice needs two existing routes to be fully unchanged.
+ */
+export function planIncremental(pairs: Pair[], existing: RouteFeature[], defaultProfile: Profile): MergePlan {
+  const pool = new Map<string, RouteFeature[]>();
+  for (const f of existing) {
+    const k = keyOfFeature(f);
+    pool.set(k, [...(pool.get(k) || []), f]);
+  }
+
+  const added: IndexedPair[] = [];
+  const unchanged: IndexedPair[] = [];
+  pairs.forEach((pair, index) => {
+    const bucket = pool.get(keyOfPair(pair, defaultProfile));
+    if (bucket?.length) {
+      bucket.shift();
+      unchanged.push({ index, pair });
+    } else {
+      added.push({ index, pair });
+    }
+  });
+
+  const removed = [...pool.values()].flat();
+  return { added, unchanged, removed };
+}
+
+/** Existing features (untouched, optionally minus `plan.removed`) followed by the newly routed ones. */
+export function mergeRoutes(
+  existing: RouteFeature[],
+  plan: MergePlan,
+  added: RouteFeature[],
+  { dropRemoved = false }: { dropRemoved?: boolean } = {}
+): RouteFeature[] {
+  const removed = new Set(plan.removed);
+  const kept = dropRemoved ? existing.filter((f) => !removed.has(f)) : existing;
+  return [...kept, ...added];
+}
@@ -0,0 +1,160 @@
+import type { FeatureCollection, GeoJSON } from "geojson";
+import { packFeatures, packedTransfer, unpackFeatures, type PackedFeatures } from "./packedLines";
+import { toTripsData, tripDatum, type RouteProps, type TripDatum } from "./prepareTrips";
+import { smoothGeoJSON, type SmoothOpts } from "./smoothRoute";
+
+// Route smoothing and trip preparation off the main thread. Jobs go to one shared worker
+// (src/workers/routePipeline.worker.ts) with the geometry in transferable typed arrays, report
+// progress as they go and stop early when their AbortSignal fires. Where workers are unavailable
+// (or the worker fails), the same work runs on the main thread as it always did.
+
+export type PipelineRequest =
+  | { type: "smooth"; id: number; routes: PackedFeatures; options?: SmoothOpts; overrides?: Record<number, SmoothOpts> | null }
+  | { type: "trips"; id: number; routes: PackedFeatures; maxPointsPerPath: number }
+  | { type: "cancel"; id: number };
+
+export type PipelineResponse =
+  | { type: "progress"; id: number; done: number; total: number }
+  | { type: "smoothed"; id: number; routes: PackedFeatures }
+  /** `offsets[i]..offsets[i + 1]` are trip i's points: lng, lat pairs in `paths`, seconds in `timestamps` */
+  | { type: "trips"; id: number; paths: Float64Array; timestamps: Float64Array; offsets: Uint32Array }
+  | { type: "cancelled"; id: number }
+  | { type: "error"; id: number; message: string };
+
+export class PipelineCancelledError extends Error {
+  constructor() {
+    super("Route processing cancelled");
+    this.name = "PipelineCancelledError";
+  }
+}
+
+export type JobOptions = { onProgress?: (done: number, total: number) => void; signal?: AbortSignal };
+
+type Job = { onProgress?: JobOptions["onProgress"]; settle: (response: PipelineResponse | null, error?: Error) => void };
+
+let worker: Worker | null | undefined; // undefined until first used, null when unavailable
+let nextId = 1;
+const jobs = new Map<number, Job>();
+
+function getWorker(): Worker | null {
+  if (worker !== undefined) return worker;
+  if (typeof Worker === "undefined") return (worker = null);
+  try {
+    const w = new Worker(new URL("../workers/routePipeline.worker.ts", import.meta.url));
+    w.addEventListener("message", (e: MessageEvent<PipelineResponse>) => {
+      const msg = e.data;
+      const job = jobs.get(msg.id);
+      if (!job) return;
+      if (msg.type === "progress") job.onProgress?.(msg.done, msg.total);
+      else if (msg.type === "cancelled") job.settle(null, new PipelineCancelledError());
+      else if (msg.type === "error") job.settle(null, new Error(msg.message));
+      else job.settle(msg);
+    });
+    // a worker that can't load or crashes is dropped; its jobs (and later ones) run on the main thread
+    w.addEventListener("error", (e) => {
+      console.warn("Route worker failed:", e.message);
+      w.terminate();
+      worker = null;
+      for (const job of [...jobs.values()]) job.settle(null, new Error("Route worker failed"));
+    });
+    worker = w;
+  } catch (e) {
+    console.warn("Route worker unavailable:", e);
+    worker = null;
+  }
+  return worker;
+}
+
+/** Posts the job `build` makes (with the buffers to transfer) to the worker; null when there is no worker to run it. */
+function runJob(build: (id: number) => [PipelineRequest, Transferable[]], { onProgress, signal }: JobOptions): Promise<PipelineResponse> | null {
+  const w = getWorker();
+  if (!w) return null;
+  if (signal?.aborted) return Promise.reject(new PipelineCancelledError());
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      w.postMessage({ type: "cancel", id } satisfies PipelineRequest);
+      jobs.get(id)?.settle(null, new PipelineCancelledError());
+    };
+    jobs.set(id, {
+      onProgress,
+      settle: (response, error) => {
+        jobs.delete(id);
+        signal?.removeEventListener("abort", onAbort);
+        if (error || !response) reject(error ?? new Error("Route worker sent no result"));
+        else resolve(response);
+      },
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const [request, transfer] = build(id);
+    w.postMessage(request, transfer);
+  });
+}
+
+// trips built ahead of time (see precomputedRoutes.ts), by the smoothed feature they belong to
+const precomputedTrips = new WeakMap<object, TripDatum>();
+let precomputedTripPoints = 0;
+
+/** Lets prepareTrips reuse `trips` (one per feature of `fc`, made with `maxPointsPerPath`) instead of recomputing them. */
+export function registerPrecomputedTrips(fc: FeatureCollection, trips: TripDatum[], maxPointsPerPath: number) {
+  if (trips.length !== fc.features.length) return;
+  precomputedTripPoints = maxPointsPerPath;
+  fc.features.forEach((f, i) => precomputedTrips.set(f, trips[i]));
+}
+
+const asCollection = (input: GeoJSON): FeatureCollection =>
+  input.type === "FeatureCollection" ? input : { type: "FeatureCollection", features: input.type === "Feature" ? [input] : [] };
+
+/** smoothGeoJSON in the worker. */
+export async function smoothRoutes(
+  input: GeoJSON,
+  options?: SmoothOpts,
+  overrides?: Record<number, SmoothOpts> | null,
+  jobOptions: JobOptions = {}
+): Promise<FeatureCollection> {
+  const job = runJob((id) => {
+    const routes = packFeatures(asCollection(input));
+    return [{ type: "smooth", id, routes, options, overrides }, packedTransfer(routes)];
+  }, jobOptions);
+  try {
+    const res = job && (await job);
+    if (res?.type === "smoothed") return unpackFeatures(res.routes);
+  } catch (e) {
+    if (e instanceof PipelineCancelledError) throw e;
+    console.warn("Smoothing in the worker failed, retrying on the main thread:", e);
+  }
+  return smoothGeoJSON(input, options, overrides);
+}
+
+/** toTripsData with the path thinning and timing in the worker; colors are applied here. */
+export async function prepareTrips(
+  fc: FeatureCollection,
+  maxPointsPerPath = 400,
+  colorOf?: (p: RouteProps) => [number, number, number],
+  jobOptions: JobOptions = {}
+): Promise<TripDatum[]> {
+  const known = maxPointsPerPath === precomputedTripPoints ? fc.features.map((f) => precomputedTrips.get(f)) : [];
+  if (known.length && known.every(Boolean)) {
+    return (known as TripDatum[]).map((t, i) => tripDatum(t.path, t.timestamps, fc.features[i].properties as RouteProps, colorOf));
+  }
+
+  const job = runJob((id) => {
+    const routes = packFeatures(fc);
+    return [{ type: "trips", id, routes, maxPointsPerPath }, packedTransfer(routes)];
+  }, jobOptions);
+  try {
+    const res = job && (await job);
+    if (res?.type === "trips") {
+      return fc.features.map((f, i) => {
+        const path: [number, number][] = [];
+        for (let v = res.offsets[i]; v < res.offsets[i + 1]; v++) path.push([res.paths[v * 2], res.paths[v * 2 + 1]]);
+        const timestamps = Array.from(res.timestamps.subarray(res.offsets[i], res.offsets[i + 1]));
+        return tripDatum(path, timestamps, f.properties as RouteProps, colorOf);
+      });
+    }
+  } catch (e) {
+    if (e instanceof PipelineCancelledError) throw e;
+    console.warn("Preparing trips in the worker failed, retrying on the main thread:", e);
+  }
+  return toTripsData(fc as Parameters<typeof toTripsData>[0], maxPointsPerPath, colorOf);
+}
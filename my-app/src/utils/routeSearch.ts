@@ -0,0 +1,107 @@
+import type { Feature } from "geojson";
+
+// Fuzzy search over the loaded routes' venue, activity, address and team, tolerant of case,
+// accents, word order, partial words and small typos ("zelerbach" finds "Zellerbach Hall").
+
+/** Searched properties and how much a match in each counts. */
+export const SEARCH_FIELDS = [
+  { key: "location_name", weight: 1 },
+  { key: "activity", weight: 0.9 },
+  { key: "original_to", weight: 0.85 },
+  { key: "to", weight: 0.8 },
+  { key: "team", weight: 0.7 },
+] as const;
+
+export type SearchField = (typeof SEARCH_FIELDS)[number]["key"];
+
+export type SearchResult = {
+  /** position in the searched feature list */
+  index: number;
+  feature: Feature;
+  score: number;
+  /** field the best match was found in, and its text */
+  field: SearchField;
+  text: string;
+};
+
+const normalize = (s: string) =>
+  s
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/** Levenshtein distance, giving up (returning max + 1) once it exceeds `max`. */
+function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** 0..1 for how well one query token matches one word. */
+function tokenScore(token: string, word: string): number {
+  if (word === token) return 1;
+  if (word.startsWith(token)) return 0.9;
+  if (word.includes(token)) return 0.7;
+  if (token.length < 4) return 0;
+  // typos: compare against the word (whole, or its start for partially typed words)
+  const max = token.length >= 7 ? 2 : 1;
+  const d = Math.min(editDistance(token, word, max), editDistance(token, word.slice(0, token.length), max));
+  return d <= max ? 0.6 - 0.15 * d : 0;
+}
+
+const STOP_WORDS = new Set(["the", "a", "an", "of", "at", "in", "on", "to", "and"]);
+
+const queryTokens = (query: string) => normalize(query).split(" ").filter((t) => t && !STOP_WORDS.has(t));
+
+/**
+ * 0..1 for the query against one text. Tokens that match nothing only lower the score
+ * ("zellerbach hall event" still finds "Zellerbach Hall"), but at least half of them must match.
+ */
+export function fuzzyScore(query: string, text: string): number {
+  const tokens = queryTokens(query);
+  const t = normalize(text);
+  if (!tokens.length || !t) return 0;
+  const words = t.split(" ");
+  let sum = 0;
+  let matched = 0;
+  for (const token of tokens) {
+    const best = Math.max(...words.map((w) => tokenScore(token, w)));
+    if (best) matched++;
+    sum += best;
+  }
+  if (matched * 2 < tokens.length) return 0;
+  // the query as typed, as a phrase, beats the same words scattered
+  const q = tokens.join(" ");
+  const phrase = t.includes(q) ? (t.startsWith(q) ? 0.3 : 0.2) : 0;
+  return Math.min(1, (sum / tokens.length) * 0.8 + phrase);
+}
+
+/** Best matches first, at most `limit`. */
+export function searchRoutes(features: Feature[], query: string, limit = 20): SearchResult[] {
+  if (!queryTokens(query).length) return [];
+  const results: SearchResult[] = [];
+  features.forEach((feature, index) => {
+    let best: SearchResult | null = null;
+    for (const { key, weight } of SEARCH_FIELDS) {
+      const v = feature.properties?.[key];
+      if (v == null || v === "") continue;
+      const text = String(v);
+      const score = fuzzyScore(query, text) * weight;
+      if (score > 0 && (!best || score > best.score)) best = { index, feature, score, field: key, text };
+    }
+    if (best) results.push(best);
+  });
+  return results.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, limit);
+}
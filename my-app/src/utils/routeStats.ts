@@ -0,0 +1,158 @@
+import type { Feature, FeatureCollection } from "geojson";
+import Papa from "papaparse";
+import { DEFAULT_EMISSION_FACTORS, emissionsFor, type EmissionFactors } from "./emissions";
+import { pathLengthMeters } from "./geo";
+import { compareFacetValues, facetValue } from "./routeFilters";
+
+// Totals and breakdowns for the stats dashboard, computed from whatever routes are visible.
+
+export type StatsGroupKey = "team" | "month" | "profile";
+
+export const STATS_GROUPS: { key: StatsGroupKey; label: string }[] = [
+  { key: "team", label: "Team" },
+  { key: "month", label: "Month" },
+  { key: "profile", label: "Mode" },
+];
+
+export type StatsRow = {
+  key: string;
+  routes: number;
+  km: number;
+  hours: number;
+  /** estimated CO2 (see emissions.ts) and the same distance driven */
+  co2Kg: number;
+  co2IfDrivenKg: number;
+  /** share of all visible routes, 0..1 */
+  share: number;
+};
+
+export type LongestTrip = { from: string; to: string; team: string; month: string; profile: string; km: number; hours: number; co2Kg: number };
+
+export type RouteStats = {
+  routes: number;
+  km: number;
+  hours: number;
+  co2Kg: number;
+  co2IfDrivenKg: number;
+  /** routes without `duration_s` (their time is left out of the hours) */
+  missingDuration: number;
+  groups: Record<StatsGroupKey, StatsRow[]>;
+  longest: LongestTrip[];
+};
+
+const NONE = "(none)";
+
+/** `distance_m`, or the geometry's length for routes that don't carry it. */
+function distanceMeters(f: Feature): number {
+  const d = Number(f.properties?.distance_m);
+  if (Number.isFinite(d) && d > 0) return d;
+  const g = f.geometry;
+  if (g?.type === "LineString") return pathLengthMeters(g.coordinates);
+  if (g?.type === "MultiLineString") return g.coordinates.reduce((sum, c) => sum + pathLengthMeters(c), 0);
+  return 0;
+}
+
+function durationSeconds(f: Feature): number | null {
+  const v = f.properties?.duration_s;
+  if (v == null || v === "") return null;
+  const s = Number(v);
+  return Number.isFinite(s) && s >= 0 ? s : null;
+}
+
+export function computeRouteStats(
+  fc: FeatureCollection | null | undefined,
+  { longest = 5, emissionFactors = DEFAULT_EMISSION_FACTORS }: { longest?: number; emissionFactors?: EmissionFactors } = {}
+): RouteStats {
+  const features = fc?.features ?? [];
+  const acc = Object.fromEntries(STATS_GROUPS.map(({ key }) => [key, new Map<string, StatsRow>()])) as Record<StatsGroupKey, Map<string, StatsRow>>;
+  const trips: LongestTrip[] = [];
+  let km = 0, hours = 0, co2Kg = 0, co2IfDrivenKg = 0, missingDuration = 0;
+
+  for (const f of features) {
+    const k = distanceMeters(f) / 1000;
+    const s = durationSeconds(f);
+    const h = (s ?? 0) / 3600;
+    // recomputed from distance and mode so edited factors apply to routes generated earlier
+    const co2 = emissionsFor(k * 1000, f.properties?.profile, emissionFactors);
+    if (s == null) missingDuration++;
+    km += k;
+    hours += h;
+    co2Kg += co2.co2_kg;
+    co2IfDrivenKg += co2.co2_if_driven_kg;
+
+    for (const { key } of STATS_GROUPS) {
+      const value = facetValue(f.properties, key) || NONE;
+      const row = acc[key].get(value) ?? { key: value, routes: 0, km: 0, hours: 0, co2Kg: 0, co2IfDrivenKg: 0, share: 0 };
+      row.routes++;
+      row.km += k;
+      row.hours += h;
+      row.co2Kg += co2.co2_kg;
+      row.co2IfDrivenKg += co2.co2_if_driven_kg;
+      acc[key].set(value, row);
+    }
+
+    const p = f.properties ?? {};
+    trips.push({
+      from: String(p.original_from ?? p.from ?? ""),
+      to: String(p.original_to ?? p.to ?? ""),
+      team: facetValue(p, "team"),
+      month: facetValue(p, "month"),
+      profile: facetValue(p, "profile"),
+      km: k,
+      hours: h,
+      co2Kg: co2.co2_kg,
+    });
+  }
+
+  const groups = Object.fromEntries(
+    STATS_GROUPS.map(({ key }) => {
+      const rows = [...acc[key].values()].map((r) => ({ ...r, share: features.length ? r.routes / features.length : 0 }));
+      // months keep calendar order; teams and modes are ranked by distance
+      rows.sort(key === "month" ? (a, b) => compareFacetValues("month")(a.key, b.key) : (a, b) => b.km - a.km);
+      return [key, rows];
+    })
+  ) as Record<StatsGroupKey, StatsRow[]>;
+
+  return {
+    routes: features.length,
+    km,
+    hours,
+    co2Kg,
+    co2IfDrivenKg,
+    missingDuration,
+    groups,
+    longest: trips.sort((a, b) => b.km - a.km).slice(0, longest),
+  };
+}
+
+const fixed = (n: number, digits = 1) => n.toFixed(digits);
+
+/** One CSV with the totals, every breakdown and the longest trips (semicolon-delimited like the route CSVs). */
+export function routeStatsToCSV(stats: RouteStats): string {
+  const fields = ["section", "key", "routes", "km", "hours", "co2_kg", "co2_if_driven_kg", "share", "from", "to", "team", "month", "profile"];
+  const co2 = (r: { co2Kg: number; co2IfDrivenKg: number }) => ({ co2_kg: fixed(r.co2Kg, 2), co2_if_driven_kg: fixed(r.co2IfDrivenKg, 2) });
+  const data: Record<string, string | number>[] = [
+    { section: "total", key: "all", routes: stats.routes, km: fixed(stats.km), hours: fixed(stats.hours, 2), ...co2(stats), share: "1.000" },
+  ];
+  for (const { key } of STATS_GROUPS) {
+    for (const r of stats.groups[key]) {
+      data.push({ section: key, key: r.key, routes: r.routes, km: fixed(r.km), hours: fixed(r.hours, 2), ...co2(r), share: fixed(r.share, 3) });
+    }
+  }
+  stats.longest.forEach((t, i) => {
+    data.push({
+      section: "longest",
+      key: i + 1,
+      routes: 1,
+      km: fixed(t.km),
+      hours: fixed(t.hours, 2),
+      co2_kg: fixed(t.co2Kg, 2),
+      from: t.from,
+      to: t.to,
+      team: t.team,
+      month: t.month,
+      profile: t.profile,
+    });
+  });
+  return Papa.unparse({ fields, data: data.map((row) => fields.map((f) => row[f] ?? "")) }, { delimiter: ";" });
+}
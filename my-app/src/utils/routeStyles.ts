@@ -0,0 +1,145 @@
+import { normalizeProfile } from "./csvIngest";
+
+// Per-route styling driven by feature properties: a gradient (or dashed line) per travel mode and
+// a width multiplier by importance. DEFAULT_ROUTE_STYLES is the built-in look;
+// public/assets/route-styles.json holds overrides of it, so the look can be changed without code edits.
+
+export type RouteStyle = {
+  label?: string;
+  /** start → middle → end of the route; 1–3 colors */
+  colors: string[];
+  /** line width in px before the importance multiplier */
+  width?: number;
+  opacity?: number;
+  /** dash pattern in line widths; dashed routes are drawn in their middle color (MapLibre can't dash a gradient) */
+  dash?: number[];
+};
+
+export type RouteStyleConfig = {
+  default: RouteStyle;
+  /** keyed by profile (driving / cycling / walking) */
+  profiles: Record<string, RouteStyle>;
+  importance: {
+    /** feature property holding the importance ("high", "medium", "low" …) */
+    property: string;
+    /** width multiplier per importance value */
+    widths: Record<string, number>;
+  };
+};
+
+export type ResolvedRouteStyle = {
+  colors: [string, string, string];
+  width: number;
+  opacity: number;
+  dash: number[] | null;
+};
+
+/** Destination glow color when routes aren't colored by an attribute. */
+export const END_COLOR = "#8b60f7";
+
+export const DEFAULT_ROUTE_STYLES: RouteStyleConfig = {
+  default: { label: "Route", colors: ["#ffffff", "#3D64F6", "#8b60f7"], width: 4, opacity: 0.3 },
+  profiles: {
+    driving: { label: "Driving", colors: ["#ffffff", "#3D64F6", "#8b60f7"] },
+    cycling: { label: "Cycling", colors: ["#ffffff", "#00FF93", "#138B4F"] },
+    walking: { label: "Walking", colors: ["#ffffff", "#BA29BC", "#B026FF"], dash: [1.5, 1.5] },
+  },
+  importance: { property: "importance", widths: { high: 1.6, medium: 1, low: 0.6 } },
+};
+
+const finite = (v: unknown): v is number => typeof v === "number" && Number.isFinite(v);
+
+/** `v`'s fields over `base`; without a base (a mode the defaults don't have) colors are required. */
+function parseStyle(v: unknown, where: string, base?: RouteStyle): RouteStyle {
+  const s = (v ?? {}) as Record<string, unknown>;
+  const colors = s.colors ?? base?.colors;
+  if (!Array.isArray(colors) || !colors.length || colors.length > 3 || !colors.every((c) => typeof c === "string" && c)) {
+    throw new Error(`${where} needs colors: 1 to 3 color strings`);
+  }
+  if (s.dash != null && (!Array.isArray(s.dash) || !s.dash.every((d) => finite(d) && d >= 0))) throw new Error(`${where}: dash must be an array of numbers`);
+  return {
+    ...base,
+    colors: colors as string[],
+    ...(typeof s.label === "string" ? { label: s.label } : {}),
+    ...(finite(s.width) && s.width > 0 ? { width: s.width } : {}),
+    ...(finite(s.opacity) ? { opacity: Math.max(0, Math.min(1, s.opacity)) } : {}),
+    // an empty dash turns off the base style's dashing
+    ...(Array.isArray(s.dash) ? { dash: s.dash.length ? (s.dash as number[]) : undefined } : {}),
+  };
+}
+
+/**
+ * Apply a route-styles JSON to DEFAULT_ROUTE_STYLES: each style, mode and importance width given
+ * replaces only the fields it names. Throws with a readable message.
+ */
+export function parseRouteStyleConfig(json: unknown): RouteStyleConfig {
+  const obj = (json ?? {}) as Record<string, unknown>;
+  const profiles = (obj.profiles ?? {}) as Record<string, unknown>;
+  const importance = (obj.importance ?? {}) as Record<string, unknown>;
+  const widths = (importance.widths ?? {}) as Record<string, unknown>;
+
+  return {
+    default: obj.default != null ? parseStyle(obj.default, "default", DEFAULT_ROUTE_STYLES.default) : DEFAULT_ROUTE_STYLES.default,
+    profiles: {
+      ...DEFAULT_ROUTE_STYLES.profiles,
+      ...Object.fromEntries(
+        Object.entries(profiles).map(([k, v]) => [k.toLowerCase(), parseStyle(v, `profiles.${k}`, DEFAULT_ROUTE_STYLES.profiles[k.toLowerCase()])])
+      ),
+    },
+    importance: {
+      property: typeof importance.property === "string" && importance.property ? importance.property : DEFAULT_ROUTE_STYLES.importance.property,
+      widths: {
+        ...DEFAULT_ROUTE_STYLES.importance.widths,
+        ...(Object.fromEntries(Object.entries(widths).filter(([, w]) => finite(w) && w > 0)) as Record<string, number>),
+      },
+    },
+  };
+}
+
+const profileKey = (profile: unknown) => {
+  const raw = String(profile ?? "").trim().toLowerCase();
+  return normalizeProfile(raw) ?? raw;
+};
+
+/** Style for one route: its mode's style over the default, width scaled by importance. */
+export function resolveRouteStyle(
+  config: RouteStyleConfig,
+  props: Record<string, unknown> | null | undefined,
+  fallbackImportance = "medium"
+): ResolvedRouteStyle {
+  const mode = config.profiles[profileKey(props?.profile)];
+  const style = { ...config.default, ...mode };
+  const [a, b = a, c = b] = style.colors;
+  const importance = String(props?.[config.importance.property] ?? "").trim().toLowerCase() || fallbackImportance;
+  const k = config.importance.widths[importance] ?? 1;
+  return {
+    colors: [a, b, c],
+    width: (style.width ?? 4) * k,
+    opacity: style.opacity ?? 0.3,
+    dash: style.dash ?? null,
+  };
+}
+
+export type LegendEntry = { key: string; label: string; colors: string[]; dash: number[] | null };
+
+/** Legend rows for the modes present in the data; routes without a (styled) mode share the default row. */
+export function routeLegendEntries(config: RouteStyleConfig, profiles: string[]): LegendEntry[] {
+  const entries: LegendEntry[] = [];
+  let needsDefault = !profiles.length;
+  for (const p of profiles) {
+    const key = profileKey(p);
+    const mode = config.profiles[key];
+    if (!mode) {
+      needsDefault = true;
+      continue;
+    }
+    if (entries.some((e) => e.key === key)) continue;
+    const style = { ...config.default, ...mode };
+    entries.push({ key, label: style.label ?? key, colors: style.colors, dash: style.dash ?? null });
+  }
+  if (needsDefault) {
+    const d = config.default;
+    entries.push({ key: "", label: d.label ?? "Route", colors: d.colors, dash: d.dash ?? null });
+  }
+  return entries;
+}
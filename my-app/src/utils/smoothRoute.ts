@@ -7,6 +7,7 @@ import { featureCollection, lineString } from "@turf/helpers";
 import length from "@turf/length";
 import simplify from "@turf/simplify";
 import type { Feature, FeatureCollection, GeoJSON, GeoJsonProperties, LineString, MultiLineString, Position } from "geojson";
+import { parseSmoothOpts } from "./smoothingPresets";
 
 
 
@@ -172,6 +173,9 @@ export type SmoothOpts = {
   densifySegments?: number;         // add intermediate points before spline
   spline?: boolean;                  // whether to bezier-spline the result
   resampleSpacingMeters?: number;   // e.g. 3-10m depending on your map scale
+  cleanupSpacingMeters?: number;    // even out points around simplify (the second pass at 1.25×); 0 = skip
+  maxDeviationMeters?: number;      // fall back to gentler settings past this Hausdorff distance (0 = off)
+  measure?: boolean;                // compute the smooth_* metrics even without a max deviation (they cost more than the smoothing)
 };
 
 
@@ -188,6 +192,7 @@ export function smoothLineString<P extends GeoJsonProperties = GeoJsonProperties
     densifySegments = 3,
     spline = true,
     resampleSpacingMeters,
+    cleanupSpacingMeters = 20,
   } = opts;
 
   const avgLat =
@@ -203,7 +208,7 @@ export function smoothLineString<P extends GeoJsonProperties = GeoJsonProperties
   ls = cleanCoords(ls) as Feature<LineString, P>;
 
   // Early resample to clean clumping
-  ls = resampleUniformFast(ls, 20);
+  if (cleanupSpacingMeters > 0) ls = resampleUniformFast(ls, cleanupSpacingMeters);
 
   // High-quality simplify in degrees
   ls = simplify(ls, {
@@ -212,7 +217,7 @@ export function smoothLineString<P extends GeoJsonProperties = GeoJsonProperties
   }) as Feature<LineString, P>;
 
   // Light pass to uniformize after simplify
-  ls = resampleUniformFast(ls, 25);
+  if (cleanupSpacingMeters > 0) ls = resampleUniformFast(ls, cleanupSpacingMeters * 1.25);
 
   // Fillet sharp corners twice to open room for smoothing
   ls = filletSharp(ls, deflectionThresholdDeg, filletFraction);
@@ -264,35 +269,262 @@ export function smoothLineString<P extends GeoJsonProperties = GeoJsonProperties
 }
 
 
+// ---------- quality metrics ----------
+
+export type SmoothMetrics = {
+  hausdorffMeters: number;      // farthest either line gets from the other
+  meanDeviationMeters: number;  // average distance of the smoothed line from the original
+  lengthBeforeMeters: number;
+  lengthAfterMeters: number;
+  lengthChangePct: number;      // + = the smoothed line is longer
+  verticesBefore: number;
+  verticesAfter: number;
+};
+
+type XY = [number, number];
+
+const METRIC_SAMPLE_METERS = 10; // distances are measured at least this often along each line
+const GRID_CELL_METERS = 50;
+const GRID_MAX_RING = 20;        // past this, a brute-force scan is cheaper than widening the search
+
+function pointSegmentDistance(p: XY, a: XY, b: XY) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? clamp(((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2, 0, 1) : 0;
+  return Math.hypot(p[0] - (a[0] + dx * t), p[1] - (a[1] + dy * t));
+}
+
+// cells are keyed by a number rather than an "x,y" string; |cy| stays far below 1e6 on Earth
+const cellKey = (cx: number, cy: number) => cx * 1e6 + cy;
+
+// Segments of a polyline (local meters) bucketed in a uniform grid for nearest-distance queries.
+class SegmentGrid {
+  private cells = new Map<number, number[]>();
+
+  constructor(private pts: XY[]) {
+    for (let i = 0; i < pts.length - 1; i++) {
+      const [x0, y0] = pts[i], [x1, y1] = pts[i + 1];
+      for (let cx = Math.floor(Math.min(x0, x1) / GRID_CELL_METERS); cx <= Math.floor(Math.max(x0, x1) / GRID_CELL_METERS); cx++) {
+        for (let cy = Math.floor(Math.min(y0, y1) / GRID_CELL_METERS); cy <= Math.floor(Math.max(y0, y1) / GRID_CELL_METERS); cy++) {
+          const key = cellKey(cx, cy);
+          const bucket = this.cells.get(key);
+          if (bucket) bucket.push(i);
+          else this.cells.set(key, [i]);
+        }
+      }
+    }
+  }
+
+  private segment(i: number, p: XY) {
+    return pointSegmentDistance(p, this.pts[i], this.pts[Math.min(i + 1, this.pts.length - 1)]);
+  }
+
+  distance(p: XY): number {
+    const cx = Math.floor(p[0] / GRID_CELL_METERS), cy = Math.floor(p[1] / GRID_CELL_METERS);
+    let best = Infinity;
+    for (let r = 0; r <= GRID_MAX_RING; r++) {
+      for (let dx = -r; dx <= r; dx++) {
+        for (let dy = -r; dy <= r; dy++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue; // ring r only
+          for (const i of this.cells.get(cellKey(cx + dx, cy + dy)) ?? []) best = Math.min(best, this.segment(i, p));
+        }
+      }
+      // anything outside ring r is at least r cells away
+      if (best <= r * GRID_CELL_METERS) return best;
+    }
+    for (let i = 0; i < Math.max(1, this.pts.length - 1); i++) best = Math.min(best, this.segment(i, p));
+    return best;
+  }
+}
+
+function polylineLength(pts: XY[]) {
+  let total = 0;
+  for (let i = 1; i < pts.length; i++) total += Math.hypot(pts[i][0] - pts[i - 1][0], pts[i][1] - pts[i - 1][1]);
+  return total;
+}
+
+// Every vertex, plus evenly spaced points on segments longer than `spacing`.
+function samplePolyline(pts: XY[], spacing: number): XY[] {
+  const out: XY[] = pts.slice(0, 1);
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    const n = Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / spacing);
+    for (let s = 1; s <= n; s++) out.push([a[0] + ((b[0] - a[0]) * s) / n, a[1] + ((b[1] - a[1]) * s) / n]);
+  }
+  return out;
+}
+
+/** How far, and how, a smoothed line differs from the original it was made from. */
+export function smoothingMetrics(original: Position[], smoothed: Position[]): SmoothMetrics {
+  const lat0 = original.reduce((s, p) => s + (p[1] ?? 0), 0) / Math.max(1, original.length);
+  const kx = metersPerDegLon(lat0), ky = metersPerDegLat();
+  const toXY = (p: Position): XY => [p[0] * kx, p[1] * ky];
+  const a = original.map(toXY), b = smoothed.map(toXY);
+  const lengthBeforeMeters = polylineLength(a), lengthAfterMeters = polylineLength(b);
+
+  let hausdorff = 0, sum = 0, n = 0;
+  if (a.length && b.length) {
+    const gridA = new SegmentGrid(a), gridB = new SegmentGrid(b);
+    for (const p of samplePolyline(a, METRIC_SAMPLE_METERS)) hausdorff = Math.max(hausdorff, gridB.distance(p));
+    for (const p of samplePolyline(b, METRIC_SAMPLE_METERS)) {
+      const d = gridA.distance(p);
+      hausdorff = Math.max(hausdorff, d);
+      sum += d;
+      n++;
+    }
+  }
+
+  return {
+    hausdorffMeters: hausdorff,
+    meanDeviationMeters: n ? sum / n : 0,
+    lengthBeforeMeters,
+    lengthAfterMeters,
+    lengthChangePct: lengthBeforeMeters > 0 ? ((lengthAfterMeters - lengthBeforeMeters) / lengthBeforeMeters) * 100 : 0,
+    verticesBefore: original.length,
+    verticesAfter: smoothed.length,
+  };
+}
+
+/** Metrics of a multi-part route, from those of its parts. */
+function combineMetrics(parts: SmoothMetrics[]): SmoothMetrics {
+  const before = parts.reduce((s, m) => s + m.lengthBeforeMeters, 0);
+  const after = parts.reduce((s, m) => s + m.lengthAfterMeters, 0);
+  return {
+    hausdorffMeters: Math.max(0, ...parts.map((m) => m.hausdorffMeters)),
+    meanDeviationMeters: after > 0 ? parts.reduce((s, m) => s + m.meanDeviationMeters * m.lengthAfterMeters, 0) / after : 0,
+    lengthBeforeMeters: before,
+    lengthAfterMeters: after,
+    lengthChangePct: before > 0 ? ((after - before) / before) * 100 : 0,
+    verticesBefore: parts.reduce((s, m) => s + m.verticesBefore, 0),
+    verticesAfter: parts.reduce((s, m) => s + m.verticesAfter, 0),
+  };
+}
+
+// Progressively gentler settings tried, in order, on a route that breaks maxDeviationMeters.
+// Resampling cuts corners by up to half its spacing, so the later steps resample finer or not at all;
+// "minimal" only drops points about a meter off the line, so it fits all but the tightest limits.
+// A route that breaks it even on the last one keeps its original geometry.
+export const SMOOTH_FALLBACKS: { label: string; adjust: (o: SmoothOpts) => SmoothOpts }[] = [
+  { label: "no spline", adjust: (o) => ({ ...o, spline: false }) },
+  {
+    label: "gentle corners",
+    adjust: (o) => ({
+      ...o,
+      spline: false,
+      filletFraction: Math.max(0.05, (o.filletFraction ?? 0.2) / 2),
+      deflectionThresholdDeg: Math.max(45, o.deflectionThresholdDeg ?? 25),
+      cleanupSpacingMeters: Math.min(5, o.cleanupSpacingMeters ?? 20),
+      resampleSpacingMeters: Math.min(5, o.resampleSpacingMeters ?? 0),
+    }),
+  },
+  {
+    label: "minimal",
+    adjust: (o) => ({
+      ...o,
+      spline: false,
+      deflectionThresholdDeg: 181, // no corner rounding
+      simplifyToleranceMeters: Math.min(1, o.simplifyToleranceMeters ?? 2),
+      densifySegments: 0,
+      cleanupSpacingMeters: 0,
+      resampleSpacingMeters: 0,
+    }),
+  },
+];
+
+export type GuardedSmoothing = {
+  coordinates: Position[];
+  /** null unless `maxDeviationMeters` or `measure` is set */
+  metrics: SmoothMetrics | null;
+  /** label of the fallback that was used, "original" if none kept within the limit */
+  fallback: string | null;
+};
+
+/**
+ * smoothLineString, retried with SMOOTH_FALLBACKS while it moves the line further than `opts.maxDeviationMeters`.
+ * Lines are only measured when there is a limit to check or `opts.measure` asks for the metrics.
+ */
+export function smoothLineStringGuarded(coords: Position[], props: GeoJsonProperties = {}, opts: SmoothOpts = {}): GuardedSmoothing {
+  const smoothed = smoothLineString(coords, props, opts).geometry.coordinates;
+  const max = opts.maxDeviationMeters;
+  if ((!max || max <= 0) && !opts.measure) return { coordinates: smoothed, metrics: null, fallback: null };
+  const metrics = smoothingMetrics(coords, smoothed);
+  if (!max || max <= 0 || metrics.hausdorffMeters <= max) return { coordinates: smoothed, metrics, fallback: null };
+
+  for (const { label, adjust } of SMOOTH_FALLBACKS) {
+    const retry = smoothLineString(coords, props, adjust(opts)).geometry.coordinates;
+    const m = smoothingMetrics(coords, retry);
+    if (m.hausdorffMeters <= max) return { coordinates: retry, metrics: m, fallback: label };
+  }
+  return { coordinates: coords, metrics: smoothingMetrics(coords, coords), fallback: "original" };
+}
+
+/** The metrics as flat feature properties (what the debug panel and exports read); none for unmeasured routes. */
+export function metricsProperties(metrics: SmoothMetrics | null, fallback: string | null) {
+  if (!metrics) return {};
+  const round = (v: number, digits: number) => Number(v.toFixed(digits));
+  return {
+    smooth_hausdorff_m: round(metrics.hausdorffMeters, 2),
+    smooth_mean_dev_m: round(metrics.meanDeviationMeters, 2),
+    smooth_length_change_pct: round(metrics.lengthChangePct, 2),
+    smooth_vertices_before: metrics.verticesBefore,
+    smooth_vertices_after: metrics.verticesAfter,
+    ...(fallback ? { smooth_fallback: fallback } : {}),
+  };
+}
+
+
+// One route of smoothGeoJSON: `index` picks its entry in `overrides`. Null for features without geometry.
+export function smoothFeature(
+  f: Feature,
+  index: number,
+  opts?: SmoothOpts,
+  overrides?: Record<number, SmoothOpts> | null
+): Feature<LineString | MultiLineString> | null {
+  if (!f?.geometry) return null;
+  const props = { ...(f.properties || {}) };
+  const own = props.smoothing || overrides?.[index] ? { ...opts, ...parseSmoothOpts(props.smoothing), ...overrides?.[index] } : opts;
+
+  if (f.geometry.type === "LineString") {
+    const r = smoothLineStringGuarded(f.geometry.coordinates, props, own);
+    return {
+      type: "Feature",
+      properties: { ...props, ...metricsProperties(r.metrics, r.fallback) },
+      geometry: { type: "LineString", coordinates: r.coordinates },
+    };
+  }
+  if (f.geometry.type === "MultiLineString") {
+    const parts = f.geometry.coordinates.map(part => smoothLineStringGuarded(part, props, own));
+    // report the gentlest settings any part needed
+    const rank = (l: string | null) => (l === "original" ? SMOOTH_FALLBACKS.length : SMOOTH_FALLBACKS.findIndex(fb => fb.label === l));
+    const fallback = parts.map(r => r.fallback).reduce((worst, l) => (rank(l) > rank(worst) ? l : worst), null);
+    const metrics = parts.map(r => r.metrics).filter((m): m is SmoothMetrics => m != null);
+    return {
+      type: "Feature",
+      properties: { ...props, ...metricsProperties(metrics.length ? combineMetrics(metrics) : null, fallback) },
+      geometry: { type: "MultiLineString", coordinates: parts.map(r => r.coordinates) },
+    };
+  }
+  // pass-through for non-lines (e.g., Points)
+  return f as Feature<LineString | MultiLineString>;
+}
+
 // Accept Feature or FeatureCollection; returns FeatureCollection with smoothed lines.
 // MultiLineString features are preserved (we smooth each part).
-export function smoothGeoJSON(input: GeoJSON, opts?: SmoothOpts): FeatureCollection<LineString | MultiLineString> {
+// A feature's own `properties.smoothing`, then `overrides[index]`, are applied over `opts` for that route.
+export function smoothGeoJSON(
+  input: GeoJSON,
+  opts?: SmoothOpts,
+  overrides?: Record<number, SmoothOpts> | null
+): FeatureCollection<LineString | MultiLineString> {
   const fc: FeatureCollection = (input).type === "FeatureCollection"
     ? (input as FeatureCollection)
     : featureCollection([(input as unknown) as Feature]);
 
   const outFeatures: Feature<LineString | MultiLineString>[] = [];
-
-  for (const f of fc.features) {
-    if (!f?.geometry) continue;
-    const props = { ...(f.properties || {}) };
-
-    if (f.geometry.type === "LineString") {
-      outFeatures.push(smoothLineString(f.geometry.coordinates, props, opts));
-    } else if (f.geometry.type === "MultiLineString") {
-      const smoothedParts = f.geometry.coordinates.map(part =>
-        smoothLineString(part, props, opts).geometry.coordinates
-      );
-      outFeatures.push({
-        type: "Feature",
-        properties: props,
-        geometry: { type: "MultiLineString", coordinates: smoothedParts },
-      });
-    } else {
-      // pass-through for non-lines (e.g., Points)
-      outFeatures.push(f as Feature<LineString | MultiLineString>);
-    }
-  }
+  fc.features.forEach((f, index) => {
+    const out = smoothFeature(f, index, opts, overrides);
+    if (out) outFeatures.push(out);
+  });
 
   return featureCollection(outFeatures);
 }
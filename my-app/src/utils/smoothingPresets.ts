@@ -0,0 +1,94 @@
+import type { FeatureCollection } from "geojson";
+import type { SmoothOpts } from "./smoothRoute";
+
+// Tunable smoothing for the route lines. The active preset comes from (later wins): the built-in
+// defaults, the preset saved in this browser, the dataset's own `smoothing` member, and live tuning.
+// Single routes can override it through `properties.smoothing`, which is how tuned routes are
+// exported with the dataset.
+
+/** The tunable options; `measure` is requested by whoever reads the metrics, not saved with a preset. */
+export type SmoothPreset = Required<Omit<SmoothOpts, "measure">>;
+export type NumericSmoothKey = Exclude<keyof SmoothPreset, "spline">;
+
+/** What RouteLayer has always used. */
+export const DEFAULT_SMOOTHING: SmoothPreset = {
+  simplifyToleranceMeters: 4,
+  deflectionThresholdDeg: 20,
+  filletFraction: 0.4,
+  densifySegments: 0,
+  spline: false,
+  resampleSpacingMeters: 9,
+  cleanupSpacingMeters: 20,
+  maxDeviationMeters: 0,
+};
+
+export type SmoothControl = { key: NumericSmoothKey; label: string; min: number; max: number; step: number; unit?: string; hint: string };
+
+export const SMOOTH_CONTROLS: SmoothControl[] = [
+  { key: "cleanupSpacingMeters", label: "Cleanup", min: 0, max: 50, step: 1, unit: "m", hint: "Even point spacing around the simplify step (0 = off)" },
+  { key: "simplifyToleranceMeters", label: "Simplify", min: 0, max: 20, step: 0.5, unit: "m", hint: "Drop points closer than this to the line" },
+  { key: "deflectionThresholdDeg", label: "Corner angle", min: 0, max: 90, step: 1, unit: "°", hint: "Round turns sharper than this" },
+  { key: "filletFraction", label: "Corner rounding", min: 0.05, max: 0.45, step: 0.01, hint: "How far from the corner the rounding starts" },
+  { key: "densifySegments", label: "Densify", min: 0, max: 8, step: 1, hint: "Extra points per segment before the spline" },
+  { key: "resampleSpacingMeters", label: "Resample", min: 0, max: 50, step: 1, unit: "m", hint: "Even point spacing (0 = off)" },
+  { key: "maxDeviationMeters", label: "Max deviation", min: 0, max: 50, step: 1, unit: "m", hint: "Routes that would move further fall back to gentler settings (0 = off)" },
+];
+
+const clampTo = (c: SmoothControl, v: number) => Math.max(c.min, Math.min(c.max, v));
+
+/** Valid fields of a smoothing object (from JSON, a dataset or localStorage), clamped to the slider ranges. */
+export function parseSmoothOpts(json: unknown): Partial<SmoothPreset> {
+  if (!json || typeof json !== "object") return {};
+  const obj = json as Record<string, unknown>;
+  const out: Partial<SmoothPreset> = {};
+  for (const c of SMOOTH_CONTROLS) {
+    const v = obj[c.key];
+    if (typeof v === "number" && Number.isFinite(v)) out[c.key] = clampTo(c, v);
+  }
+  if (typeof obj.spline === "boolean") out.spline = obj.spline;
+  return out;
+}
+
+/** Whether two option sets smooth alike (unset fields count as the defaults). */
+export function sameSmoothing(a: unknown, b: unknown): boolean {
+  const x = { ...DEFAULT_SMOOTHING, ...parseSmoothOpts(a) };
+  const y = { ...DEFAULT_SMOOTHING, ...parseSmoothOpts(b) };
+  return (Object.keys(DEFAULT_SMOOTHING) as (keyof SmoothPreset)[]).every((k) => x[k] === y[k]);
+}
+
+/** The preset a dataset was exported with (its top-level `smoothing` member). */
+export function datasetSmoothing(fc: FeatureCollection | null | undefined): Partial<SmoothPreset> {
+  return parseSmoothOpts((fc as { smoothing?: unknown } | null | undefined)?.smoothing);
+}
+
+/** Per-route overrides by feature index in the source collection. */
+export type RouteSmoothing = Record<number, Partial<SmoothPreset>>;
+
+/** Source collection with the preset and per-route overrides written in, ready to download. */
+export function withSmoothing(fc: FeatureCollection, preset: SmoothPreset, overrides: RouteSmoothing = {}) {
+  return {
+    ...fc,
+    smoothing: preset,
+    features: fc.features.map((f, i) =>
+      overrides[i] ? { ...f, properties: { ...f.properties, smoothing: { ...parseSmoothOpts(f.properties?.smoothing), ...overrides[i] } } } : f
+    ),
+  };
+}
+
+const STORAGE_KEY = "sdic-map:smoothing";
+
+export function loadSmoothingPreset(): Partial<SmoothPreset> {
+  if (typeof window === "undefined") return {};
+  try {
+    return parseSmoothOpts(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null"));
+  } catch {
+    return {};
+  }
+}
+
+export function saveSmoothingPreset(preset: SmoothPreset | null) {
+  try {
+    if (preset) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preset));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch {}
+}
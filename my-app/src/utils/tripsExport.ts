@@ -0,0 +1,152 @@
+import type { TripsOverlayHandle } from "@/components/TripsOverlay";
+import type maplibregl from "maplibre-gl";
+import { zipStore, type ZipEntry } from "./zip";
+
+// Frame-by-frame export of the trips animation. The overlay clock is stepped deterministically
+// (one full loop spread over the clip), the MapLibre and deck.gl canvases are composited at the
+// requested size, and frames are encoded in the browser as WebM or a zip of PNGs.
+
+export type ExportFormat = "webm" | "png-zip";
+
+export type ExportSettings = {
+  format: ExportFormat;
+  width: number;
+  height: number;
+  fps: number;
+  /** clip length; the whole animation loop is fitted into it, so the clip always loops */
+  seconds: number;
+};
+
+export const EXPORT_SIZES = [
+  { label: "1080 × 1080 (square)", width: 1080, height: 1080 },
+  { label: "1080 × 1920 (vertical)", width: 1080, height: 1920 },
+  { label: "1920 × 1080 (HD)", width: 1920, height: 1080 },
+  { label: "1280 × 720", width: 1280, height: 720 },
+];
+
+export const EXPORT_FPS = [24, 30, 60];
+
+export class ExportCancelledError extends Error {
+  constructor() {
+    super("Export cancelled");
+    this.name = "ExportCancelledError";
+  }
+}
+
+/** A MediaRecorder mime type for WebM, or null when the browser can't record canvases. */
+export function webmMimeType(): string | null {
+  if (typeof MediaRecorder === "undefined") return null;
+  return ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((t) => MediaRecorder.isTypeSupported(t)) ?? null;
+}
+
+export const exportFileName = ({ format, width, height, fps }: ExportSettings) =>
+  `trips-${width}x${height}-${fps}fps.${format === "webm" ? "webm" : "zip"}`;
+
+/** Centered crop of the map viewport (CSS px) with the output's aspect ratio. */
+function cropFor(map: maplibregl.Map, width: number, height: number) {
+  const rect = map.getCanvas().getBoundingClientRect();
+  const aspect = width / height;
+  const cropW = rect.width / rect.height > aspect ? rect.height * aspect : rect.width;
+  const cropH = cropW / aspect;
+  return { rect, x: (rect.width - cropW) / 2, y: (rect.height - cropH) / 2, scale: width / cropW };
+}
+
+/** Draw every canvas in the map container (basemap first, then the deck.gl overlay) into `ctx`. */
+function composite(map: maplibregl.Map, ctx: CanvasRenderingContext2D, width: number, height: number) {
+  const { rect, x, y, scale } = cropFor(map, width, height);
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, width, height);
+  for (const canvas of map.getContainer().querySelectorAll("canvas")) {
+    const r = canvas.getBoundingClientRect();
+    if (!canvas.width || !canvas.height) continue;
+    ctx.drawImage(canvas, (r.left - rect.left - x) * scale, (r.top - rect.top - y) * scale, r.width * scale, r.height * scale);
+  }
+}
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+const toPNG = (canvas: HTMLCanvasElement) =>
+  new Promise<Blob>((resolve, reject) => canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Could not encode frame"))), "image/png"));
+
+/**
+ * Render the animation loop into a WebM clip or a PNG-sequence zip.
+ * The map needs `preserveDrawingBuffer` so its canvas can be read between frames.
+ */
+export async function exportTrips(
+  map: maplibregl.Map,
+  trips: TripsOverlayHandle,
+  settings: ExportSettings,
+  { onProgress, signal }: { onProgress?: (done: number, total: number) => void; signal?: AbortSignal } = {}
+): Promise<Blob> {
+  const { format, width, height, fps } = settings;
+  const loop = trips.loopSeconds();
+  if (!(loop > 0)) throw new Error("Nothing to export: the trips have no duration");
+  const mimeType = format === "webm" ? webmMimeType() : null;
+  if (format === "webm" && !mimeType) throw new Error("This browser can't record WebM; export a PNG sequence instead");
+
+  const total = Math.max(1, Math.round(settings.seconds * fps));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Canvas 2D is not available");
+
+  // render the basemap at the output resolution, not the screen's
+  const prevPixelRatio = map.getPixelRatio();
+  const { scale } = cropFor(map, width, height);
+  const pixelRatio = Math.min(4, Math.max(1, scale));
+
+  let recorder: MediaRecorder | null = null;
+  let track: CanvasCaptureMediaStreamTrack | null = null;
+  const chunks: Blob[] = [];
+  const frames: ZipEntry[] = [];
+
+  trips.pause();
+  try {
+    map.setPixelRatio(pixelRatio);
+    map.triggerRepaint();
+    await map.once("idle");
+
+    if (mimeType) {
+      const stream = canvas.captureStream(0);
+      track = stream.getVideoTracks()[0] as CanvasCaptureMediaStreamTrack;
+      recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 12_000_000 });
+      recorder.ondataavailable = (e) => {
+        if (e.data.size) chunks.push(e.data);
+      };
+      recorder.start();
+      recorder.pause();
+    }
+
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) throw new ExportCancelledError();
+      await trips.renderAt((i / total) * loop, { pixelRatio });
+      composite(map, ctx, width, height);
+
+      if (recorder && track) {
+        // the recorder only runs while a frame is on screen, so slow frames don't stretch the clip
+        recorder.resume();
+        track.requestFrame();
+        await sleep(1000 / fps);
+        recorder.pause();
+      } else {
+        const png = await toPNG(canvas);
+        frames.push({ name: `frame_${String(i).padStart(5, "0")}.png`, data: new Uint8Array(await png.arrayBuffer()) });
+      }
+      onProgress?.(i + 1, total);
+    }
+
+    if (recorder) {
+      const stopped = new Promise((r) => (recorder!.onstop = r));
+      recorder.stop();
+      await stopped;
+      return new Blob(chunks, { type: "video/webm" });
+    }
+    return zipStore(frames);
+  } finally {
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+    track?.stop();
+    map.setPixelRatio(prevPixelRatio);
+    trips.resume();
+  }
+}
@@ -0,0 +1,171 @@
+import { isColorByKey, type ColorByKey } from "./colorBy";
+import { FACET_KEYS, type RouteFilters, type TimelineMode } from "./routeFilters";
+
+// Shareable map state, kept in the URL hash so it works on the static (GitHub Pages) export.
+// Example: #c=-122.43609,37.77169,12.9&smooth=0&speed=40&team=Ferry&team=Pier&at=March&tl=current&color=team
+
+export type Camera = { lng: number; lat: number; zoom: number; bearing?: number; pitch?: number };
+
+export type AnimationSettings = {
+  /** show the TripsLayer animation */
+  enabled: boolean;
+  /** seconds of data shown per wall-second */
+  speed: number;
+  /** seconds of tail kept lit */
+  trail: number;
+  /** constant travel speed used to retime trips */
+  metersPerSecond: number;
+};
+
+export const DEFAULT_ANIMATION: AnimationSettings = { enabled: true, speed: 25, trail: 900, metersPerSecond: 45 };
+
+export type UrlState = {
+  camera?: Camera;
+  /** id of the camera preset last flown to */
+  view?: string;
+  /** camera presets JSON to load instead of the bundled one */
+  presets?: string;
+  /** run the guided tour on load */
+  tour?: boolean;
+  /** hide all controls and loop the tour (event screens) */
+  kiosk?: boolean;
+  /** routes GeoJSON to load instead of the bundled one */
+  data?: string;
+  smoothed?: boolean;
+  /** show the segment-frequency (corridor) layer */
+  corridors?: boolean;
+  /** attribute the routes and trips are colored by */
+  colorBy?: ColorByKey;
+  /** the one category shown (picked in the color-by legend) */
+  isolated?: string;
+  animation?: Partial<AnimationSettings>;
+  filters?: RouteFilters;
+  /** timeline playhead month (absent = last month) */
+  month?: string;
+  timelineMode?: TimelineMode;
+};
+
+const num = (v: string | null) => {
+  if (v == null || v.trim() === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+};
+
+const round = (n: number, digits: number) => Number(n.toFixed(digits));
+
+/** Only http(s) or same-origin paths may be loaded as a dataset. */
+export function isSafeDataUrl(v: string) {
+  return /^https?:\/\//i.test(v) || (v.startsWith("/") && !v.startsWith("//"));
+}
+
+/** Read state from a URL: query parameters first, the hash overrides. */
+export function parseUrlState(location: { search: string; hash: string }): UrlState {
+  const params = new URLSearchParams(location.search);
+  new URLSearchParams(location.hash.replace(/^#/, "")).forEach((v, k) => {
+    if ((FACET_KEYS as readonly string[]).includes(k)) params.append(k, v);
+    else params.set(k, v);
+  });
+
+  const state: UrlState = {};
+
+  const [lng, lat, zoom, bearing, pitch] = (params.get("c") || "").split(",").map((s) => num(s));
+  if (lng != null && lat != null && zoom != null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+    state.camera = { lng, lat, zoom, ...(bearing ? { bearing } : {}), ...(pitch ? { pitch } : {}) };
+  }
+
+  const view = params.get("v");
+  if (view && /^[\w-]+$/.test(view)) state.view = view;
+  const presets = params.get("presets");
+  if (presets && isSafeDataUrl(presets)) state.presets = presets;
+  if (params.get("tour") === "1") state.tour = true;
+  if (params.get("kiosk") === "1") state.kiosk = true;
+
+  const data = params.get("data");
+  if (data && isSafeDataUrl(data)) state.data = data;
+
+  const smooth = params.get("smooth");
+  if (smooth === "0" || smooth === "1") state.smoothed = smooth === "1";
+  if (params.get("corridors") === "1") state.corridors = true;
+  const color = params.get("color");
+  if (isColorByKey(color)) {
+    state.colorBy = color;
+    const only = params.get("only");
+    if (only) state.isolated = only;
+  }
+
+  const animation: Partial<AnimationSettings> = {};
+  const anim = params.get("anim");
+  if (anim === "0" || anim === "1") animation.enabled = anim === "1";
+  const speed = num(params.get("speed"));
+  const trail = num(params.get("trail"));
+  const mps = num(params.get("mps"));
+  if (speed != null && speed > 0) animation.speed = speed;
+  if (trail != null && trail > 0) animation.trail = trail;
+  if (mps != null && mps > 0) animation.metersPerSecond = mps;
+  if (Object.keys(animation).length) state.animation = animation;
+
+  const filters: RouteFilters = {};
+  for (const key of FACET_KEYS) {
+    const values = params.getAll(key).filter(Boolean);
+    if (values.length) filters[key] = [...new Set(values)];
+  }
+  if (Object.keys(filters).length) state.filters = filters;
+
+  const month = params.get("at");
+  if (month) state.month = month;
+  const tl = params.get("tl");
+  if (tl === "cumulative" || tl === "current") state.timelineMode = tl;
+
+  return state;
+}
+
+/** Serialize state to a hash fragment (without "#"); defaults are left out to keep links short. */
+export function serializeUrlState(state: UrlState): string {
+  const params = new URLSearchParams();
+
+  if (state.camera) {
+    const { lng, lat, zoom, bearing = 0, pitch = 0 } = state.camera;
+    const parts = [round(lng, 5), round(lat, 5), round(zoom, 2)];
+    if (bearing || pitch) parts.push(round(bearing, 1), round(pitch, 1));
+    params.set("c", parts.join(","));
+  }
+  if (state.view) params.set("v", state.view);
+  if (state.presets) params.set("presets", state.presets);
+  if (state.tour) params.set("tour", "1");
+  if (state.kiosk) params.set("kiosk", "1");
+  if (state.data) params.set("data", state.data);
+  if (state.smoothed === false) params.set("smooth", "0");
+  if (state.corridors) params.set("corridors", "1");
+  if (state.colorBy) {
+    params.set("color", state.colorBy);
+    if (state.isolated) params.set("only", state.isolated);
+  }
+
+  const a = state.animation;
+  if (a) {
+    if (a.enabled === false) params.set("anim", "0");
+    if (a.speed != null && a.speed !== DEFAULT_ANIMATION.speed) params.set("speed", String(a.speed));
+    if (a.trail != null && a.trail !== DEFAULT_ANIMATION.trail) params.set("trail", String(a.trail));
+    if (a.metersPerSecond != null && a.metersPerSecond !== DEFAULT_ANIMATION.metersPerSecond) params.set("mps", String(a.metersPerSecond));
+  }
+
+  for (const key of FACET_KEYS) {
+    for (const v of state.filters?.[key] ?? []) params.append(key, v);
+  }
+
+  if (state.month) params.set("at", state.month);
+  if (state.timelineMode === "current") params.set("tl", "current");
+
+  // commas and slashes read fine in a hash, so keep them unescaped
+  return params.toString().replace(/%2C/gi, ",").replace(/%2F/gi, "/");
+}
+
+/** Replace the current history entry's hash (no navigation, no scroll). Any query string is folded in. */
+export function writeUrlState(state: UrlState) {
+  if (typeof window === "undefined") return;
+  const hash = serializeUrlState(state);
+  const url = `${window.location.pathname}${hash ? `#${hash}` : ""}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(window.history.state, "", url);
+  }
+}
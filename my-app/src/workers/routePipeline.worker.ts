@@ -0,0 +1,89 @@
+import { packFeatures, packedFeature, packedTransfer } from "@/utils/packedLines";
+import { tripPath } from "@/utils/prepareTrips";
+import type { PipelineRequest, PipelineResponse } from "@/utils/routePipeline";
+import { smoothFeature } from "@/utils/smoothRoute";
+import type { Feature } from "geojson";
+
+// Worker side of src/utils/routePipeline.ts. Jobs work through their routes in slices of about
+// SLICE_MS, yielding in between so progress gets out and "cancel" messages get in.
+
+const SLICE_MS = 30;
+
+const running = new Set<number>();
+const cancelled = new Set<number>();
+
+const post = (msg: PipelineResponse, transfer: Transferable[] = []) => (self as unknown as Worker).postMessage(msg, transfer);
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/** Runs `fn` for 0..total-1; false if the job was cancelled on the way. */
+async function eachRoute(id: number, total: number, fn: (i: number) => void): Promise<boolean> {
+  let sliceStart = performance.now();
+  for (let i = 0; i < total; i++) {
+    fn(i);
+    if (performance.now() - sliceStart > SLICE_MS) {
+      post({ type: "progress", id, done: i + 1, total });
+      await nextTask();
+      if (cancelled.has(id)) return false;
+      sliceStart = performance.now();
+    }
+  }
+  post({ type: "progress", id, done: total, total });
+  return true;
+}
+
+async function smooth({ id, routes, options, overrides }: Extract<PipelineRequest, { type: "smooth" }>) {
+  const out: Feature[] = [];
+  const done = await eachRoute(id, routes.properties.length, (i) => {
+    const f = smoothFeature(packedFeature(routes, i), i, options, overrides);
+    if (f) out.push(f);
+  });
+  if (!done) return post({ type: "cancelled", id });
+  const packed = packFeatures({ type: "FeatureCollection", features: out });
+  post({ type: "smoothed", id, routes: packed }, packedTransfer(packed));
+}
+
+async function trips({ id, routes, maxPointsPerPath }: Extract<PipelineRequest, { type: "trips" }>) {
+  const n = routes.properties.length;
+  const results: ReturnType<typeof tripPath>[] = [];
+  const done = await eachRoute(id, n, (i) => {
+    // every part of the route, in order, as one path
+    const path: [number, number][] = [];
+    for (let v = routes.parts[routes.features[i]]; v < routes.parts[routes.features[i + 1]]; v++) {
+      path.push([routes.coords[v * 2], routes.coords[v * 2 + 1]]);
+    }
+    results.push(tripPath(path, Number(routes.properties[i]?.duration_s), maxPointsPerPath));
+  });
+  if (!done) return post({ type: "cancelled", id });
+
+  const offsets = new Uint32Array(n + 1);
+  results.forEach((r, i) => (offsets[i + 1] = offsets[i] + r.path.length));
+  const paths = new Float64Array(offsets[n] * 2);
+  const timestamps = new Float64Array(offsets[n]);
+  results.forEach((r, i) => {
+    r.path.forEach(([lng, lat], k) => {
+      paths[(offsets[i] + k) * 2] = lng;
+      paths[(offsets[i] + k) * 2 + 1] = lat;
+    });
+    timestamps.set(r.timestamps, offsets[i]);
+  });
+  post({ type: "trips", id, paths, timestamps, offsets }, [paths.buffer, timestamps.buffer, offsets.buffer]);
+}
+
+self.addEventListener("message", async (e: MessageEvent<PipelineRequest>) => {
+  const req = e.data;
+  if (req.type === "cancel") {
+    if (running.has(req.id)) cancelled.add(req.id);
+    return;
+  }
+  running.add(req.id);
+  try {
+    if (req.type === "smooth") await smooth(req);
+    else await trips(req);
+  } catch (err) {
+    post({ type: "error", id: req.id, message: err instanceof Error ? err.message : String(err) });
+  } finally {
+    running.delete(req.id);
+    cancelled.delete(req.id);
+  }
+});